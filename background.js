@@ -1,69 +1,554 @@
+/**
+ * Background service worker - session orchestrator
+ *
+ * Owns the state of every auto-surf session (one per tab), so a session survives
+ * page reloads, SPA navigations that reinject the content scripts and service
+ * worker restarts. Content scripts are the "hands": they run the engagement
+ * pipeline and report back, but they don't decide whether a session is running.
+ *
+ * Only one tab per platform can run a session: starting a second one is
+ * refused and names the tab that holds the platform. Safety counters and
+ * recent comments are written here too, one at a time, so tabs never lose
+ * each other's writes.
+ *
+ * Sessions are kept in chrome.storage.session (cleared when the browser closes):
+ *   sessions: { [tabId]: { tabId, platform, isActive, settings, stats, startTime, url, summary } }
+ * summary is set when the session ends: { reason: { code, limit? }, stats, startTime, endTime, durationMinutes }
+ * and also stored in the history database's sessions store, where the dashboard reads it.
+ *
+ * MESSAGE API (chrome.runtime.sendMessage({ action, ... })):
+ * From the popup:
+ * - startSession { tabId }            → { success, session } or { success: false, error: 'platformBusy', holder }
+ * - stopSession { tabId }             → { success, session }
+ * - getSession { tabId }              → { isActive, platform, stats, startTime, lastSummary, quota, holder }
+ *   holder: { tabId, windowId, title, url, startTime } of another tab running this platform, or null
+ * - updateSettings { tabId, settings } → { success }
+ * - getSchedules                      → { schedules } (each with nextRun)
+ * - saveSchedules { schedules }       → { success, errors }
+ * From content scripts (tab comes from sender.tab):
+ * - sessionReady { platform }          → { session } (non-null = resume it)
+ * - sessionUpdate { stats }            → { success }
+ * - sessionEnded { stats, summary }    → { success }
+ * - logEngagement { record }           → { success } (see background/engagement-history.js)
+ * - recordSafetyAction { platform, safetyAction, timestamp } → { success, counters } (see SafetyLimits)
+ * - recordComment { platform, template, comment, at } → { success, rotation } (see CommentRotation)
+ * - generateComment { post, persona, presetId, preset } → { success, comment, provider } or { success: false, error }
+ *   (also sent by the popup to test the provider; see background/comment-providers.js)
+ * From the options page:
+ * - mergeSafetyCounters { counters }   → { success } (history import, see SafetyLimits.mergeInStorage)
+ *
+ * The orchestrator drives content scripts with the existing content actions:
+ * start { session }, stop, updateSettings, getStatus.
+ *
+ * Scheduled sessions: background/session-scheduler.js
+ * Engagement log and session summaries: background/engagement-history.js (read by the options page)
+ * Pro mode comments: background/comment-providers.js
+ */
+
+// The surfers/utilities files here assign their class to `self`, not `window`:
+// the same file runs in this worker, the popup and the content scripts
+importScripts(
+  'background/session-scheduler.js',
+  'background/engagement-history.js',
+  'background/comment-providers.js',
+  'surfers/utilities/platform-settings.js',
+  'surfers/utilities/safety-limits.js',
+  'surfers/utilities/comment-rotation.js'
+);
+
+const PLATFORM_HOSTS = {
+  twitter: ['twitter.com', 'x.com'],
+  facebook: ['facebook.com'],
+  instagram: ['instagram.com'],
+  linkedin: ['linkedin.com'],
+  reddit: ['reddit.com']
+};
+
+function detectPlatform(url) {
+  try {
+    const hostname = new URL(url).hostname;
+    for (const [platform, hosts] of Object.entries(PLATFORM_HOSTS)) {
+      if (hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))) {
+        return platform;
+      }
+    }
+  } catch (error) {
+    // Not a URL we can parse (chrome://, about:blank, ...)
+  }
+  return null;
+}
+
+class SessionOrchestrator {
+  /**
+   * @param {EngagementHistory} history - Where finished session summaries are kept
+   */
+  constructor(history) {
+    this.history = history;
+    // Storage writes are read-modify-write, so run them one at a time
+    this.writeQueue = Promise.resolve();
+  }
+
+  static get STORAGE_KEY() {
+    return 'sessions';
+  }
+
+  async getSessions() {
+    const result = await chrome.storage.session.get(SessionOrchestrator.STORAGE_KEY);
+    return result[SessionOrchestrator.STORAGE_KEY] || {};
+  }
+
+  async getSession(tabId) {
+    const sessions = await this.getSessions();
+    return sessions[tabId] || null;
+  }
+
+  /**
+   * Apply a change to one tab's session and persist it
+   * @param {number} tabId
+   * @param {Function} mutator - Receives the current session (or null), returns the new one (or null to delete)
+   * @returns {Promise<Object|null>} The saved session
+   */
+  updateSession(tabId, mutator) {
+    const task = this.writeQueue.then(async () => {
+      const sessions = await this.getSessions();
+      const session = mutator(sessions[tabId] || null);
+
+      if (session) {
+        sessions[tabId] = session;
+      } else {
+        delete sessions[tabId];
+      }
+
+      await chrome.storage.session.set({ [SessionOrchestrator.STORAGE_KEY]: sessions });
+      return session;
+    });
+
+    this.writeQueue = task.catch(() => {});
+    return task;
+  }
+
+  removeSession(tabId) {
+    return this.updateSession(tabId, () => null);
+  }
+
+  /**
+   * Store a new session unless another tab is already running one on the same
+   * platform. Goes through the write queue, so two starts can't both get it.
+   * @returns {Promise<Object|null>} The other tab's session, or null if this one got the platform
+   */
+  acquirePlatform(tabId, session) {
+    const task = this.writeQueue.then(async () => {
+      const sessions = await this.getSessions();
+      const holder = Object.values(sessions).find(other =>
+        other.isActive && other.platform === session.platform && other.tabId !== tabId
+      );
+      if (holder) return holder;
+
+      sessions[tabId] = session;
+      await chrome.storage.session.set({ [SessionOrchestrator.STORAGE_KEY]: sessions });
+      return null;
+    });
+
+    this.writeQueue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * Another tab with a live session on the platform
+   * @returns {Promise<Object|null>} { tabId, windowId, title, url, startTime }
+   */
+  async findHolder(platform, exceptTabId) {
+    const sessions = await this.getSessions();
+    const holder = Object.values(sessions).find(other =>
+      other.isActive && other.platform === platform && other.tabId !== exceptTabId
+    );
+    return holder ? this.describeHolder(holder) : null;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} What the popup shows about the holding tab, null if that tab is gone
+   */
+  async describeHolder(session) {
+    try {
+      const tab = await chrome.tabs.get(session.tabId);
+      return { tabId: tab.id, windowId: tab.windowId, title: tab.title, url: tab.url, startTime: session.startTime };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Ask the tab's content script for its live status
+   * @returns {Promise<Object|null>} getStatus response, or null if no content script answers
+   */
+  async getContentStatus(tabId) {
+    try {
+      return await chrome.tabs.sendMessage(tabId, { action: 'getStatus' });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @param {number} tabId
+   * @param {Object} options
+   * @param {Object|null} options.settings - Settings profile to run with (default: the popup's settings for the platform)
+   * @param {string|null} options.scheduleId - Set when started by the scheduler
+   */
+  async start(tabId, { settings = null, scheduleId = null } = {}) {
+    const tab = await chrome.tabs.get(tabId);
+    const platform = detectPlatform(tab.url);
+    if (!platform) {
+      return { success: false, error: 'Unsupported platform' };
+    }
+
+    const { surfSettings, platformSettings } = await chrome.storage.sync.get(['surfSettings', 'platformSettings']);
+    const session = {
+      tabId,
+      platform,
+      isActive: true,
+      settings: settings || self.PlatformSettings.resolve(surfSettings, platformSettings, platform),
+      stats: {
+        totalPostsViewed: 0,
+        totalSeeMoreClicked: 0,
+        totalPostsLiked: 0,
+        totalComments: 0,
+        skipReasons: {}
+      },
+      startTime: Date.now(),
+      url: tab.url,
+      scheduleId
+    };
+
+    let holder = await this.acquirePlatform(tabId, session);
+    if (holder && !(await this.describeHolder(holder))) {
+      // Its tab closed while the worker wasn't listening - end that session and take over
+      await this.stop(holder.tabId, { reason: 'tabClosed' });
+      await this.removeSession(holder.tabId);
+      holder = await this.acquirePlatform(tabId, session);
+    }
+    if (holder) {
+      console.log(`[Session] ${platform} already running on tab ${holder.tabId}, not starting on tab ${tabId}`);
+      return { success: false, error: 'platformBusy', holder: await this.describeHolder(holder) };
+    }
+    console.log(`[Session] Started on tab ${tabId} (${platform})`);
+
+    this.pruneHistory().catch(error => {
+      console.log('[History] Could not prune old records:', error);
+    });
+
+    const delivered = await this.sendToTab(tabId, { action: 'start', session });
+    if (!delivered) {
+      // Content script missing (e.g. tab opened before the extension was installed)
+      await this.injectContentScripts(tabId);
+    }
+
+    return { success: true, session };
+  }
+
+  /**
+   * @param {number} tabId
+   * @param {Object} ended - What the content script reported
+   * @param {Object|null} ended.stats - Final stats
+   * @param {Object|null} ended.summary - Summary from the content script's stop()
+   * @param {string} ended.reason - Stop reason code when there's no summary (content script gone)
+   */
+  async stop(tabId, { stats = null, summary = null, reason = 'user' } = {}) {
+    let stopped = false;
+    const session = await this.updateSession(tabId, current => {
+      if (!current || !current.isActive) return current;
+
+      stopped = true;
+      const endTime = Date.now();
+      const finalStats = stats || current.stats;
+      return {
+        ...current,
+        isActive: false,
+        endTime,
+        stats: finalStats,
+        summary: summary || {
+          reason: { code: reason },
+          stats: finalStats,
+          startTime: current.startTime,
+          endTime,
+          durationMinutes: Math.round((endTime - current.startTime) / 60000)
+        }
+      };
+    });
+
+    if (stopped) {
+      console.log(`[Session] Stopped on tab ${tabId} (${session.summary.reason.code})`);
+      await this.saveSummary(session);
+    }
+    return { success: true, session };
+  }
+
+  /**
+   * Keep the summary of a finished session for the dashboard
+   */
+  async saveSummary(session) {
+    try {
+      await this.history.addSession({
+        ...session.summary,
+        platform: session.platform,
+        scheduleId: session.scheduleId || null
+      });
+    } catch (error) {
+      console.log(`[Session] Could not save summary for tab ${session.tabId}:`, error);
+    }
+  }
+
+  /**
+   * Apply the retention period picked on the history page - nothing happens
+   * while it's left at forever
+   */
+  async pruneHistory() {
+    const days = await self.EngagementHistory.getRetentionDays();
+    if (days === 0) return;
+
+    const deleted = await this.history.prune(days);
+    if (deleted.engagements || deleted.sessions) {
+      console.log(`[History] Pruned ${deleted.engagements} engagements and ${deleted.sessions} sessions`);
+    }
+  }
+
+  /**
+   * Stop the content script first so the final stats make it into the session
+   * @param {number} tabId
+   * @param {string} reason - 'user' or 'schedule'
+   */
+  async stopTab(tabId, reason = 'user') {
+    let response = null;
+    try {
+      response = await chrome.tabs.sendMessage(tabId, { action: 'stop', reason });
+    } catch (error) {
+      console.log(`[Session] Tab ${tabId} did not receive "stop"`);
+    }
+    return this.stop(tabId, {
+      stats: response && response.stats,
+      summary: response && response.summary,
+      reason
+    });
+  }
+
+  async status(tabId) {
+    const [session, content] = await Promise.all([this.getSession(tabId), this.getContentStatus(tabId)]);
+    const active = !!(session && session.isActive);
+
+    if (!content) {
+      // No content script - report the stored session so the popup can explain
+      return active ? { isActive: true, platform: session.platform, stats: session.stats, startTime: session.startTime, contentLoaded: false } : null;
+    }
+
+    return {
+      isActive: active,
+      platform: content.platform,
+      stats: active ? session.stats : content.stats,
+      startTime: active ? session.startTime : null,
+      lastSummary: (session && session.summary) || null,
+      quota: content.quota || null,
+      holder: active ? null : await this.findHolder(content.platform, tabId),
+      contentLoaded: true
+    };
+  }
+
+  async updateSettings(tabId, settings) {
+    await this.updateSession(tabId, current => {
+      if (!current || !current.isActive) return current;
+      return { ...current, settings: { ...current.settings, ...settings } };
+    });
+    await this.sendToTab(tabId, { action: 'updateSettings', settings });
+    return { success: true };
+  }
+
+  /**
+   * Content script (re)loaded - hand back the session if this tab has one running
+   */
+  async ready(tabId, platform, url) {
+    const session = await this.getSession(tabId);
+    if (!session || !session.isActive) {
+      return { session: null };
+    }
+
+    if (session.platform !== platform) {
+      // Navigated to another platform - the session doesn't follow
+      console.log(`[Session] Tab ${tabId} left ${session.platform}, ending session`);
+      await this.stop(tabId, { reason: 'navigation' });
+      return { session: null };
+    }
+
+    await this.updateSession(tabId, current => current && { ...current, url });
+    console.log(`[Session] Resuming on tab ${tabId} (${platform})`);
+    return { session: { ...session, resumed: true } };
+  }
+
+  async update(tabId, stats) {
+    await this.updateSession(tabId, current => {
+      if (!current || !current.isActive) return current;
+      return { ...current, stats };
+    });
+    return { success: true };
+  }
+
+  async sendToTab(tabId, message) {
+    try {
+      await chrome.tabs.sendMessage(tabId, message);
+      return true;
+    } catch (error) {
+      console.log(`[Session] Tab ${tabId} did not receive "${message.action}"`);
+      return false;
+    }
+  }
+
+  /**
+   * Inject the manifest's content scripts into a tab that lost them
+   * The surfer factory's singleton guard makes this safe to repeat
+   */
+  async injectContentScripts(tabId) {
+    const files = chrome.runtime.getManifest().content_scripts[0].js;
+    try {
+      await chrome.scripting.executeScript({ target: { tabId }, files });
+      console.log(`[Session] Reinjected content scripts into tab ${tabId}`);
+    } catch (error) {
+      console.log(`[Session] Could not inject content scripts into tab ${tabId}:`, error.message);
+    }
+  }
+
+  /**
+   * Tab finished loading - make sure an active session has a content script to resume in
+   */
+  async handleTabUpdated(tabId, tab) {
+    const session = await this.getSession(tabId);
+    if (!session || !session.isActive) return;
+
+    if (detectPlatform(tab.url) !== session.platform) {
+      console.log(`[Session] Tab ${tabId} navigated away from ${session.platform}, ending session`);
+      await this.stop(tabId, { reason: 'navigation' });
+      return;
+    }
+
+    const content = await this.getContentStatus(tabId);
+    if (!content) {
+      await this.injectContentScripts(tabId);
+    } else if (!content.isActive) {
+      // Content script is there but missed sessionReady (e.g. worker was restarting)
+      await this.sendToTab(tabId, { action: 'start', session: { ...session, resumed: true } });
+    }
+  }
+}
+
+// Every tab's safety counters are written here, one action at a time
+let safetyCounterQueue = Promise.resolve();
+
+function recordSafetyAction(platform, action, timestamp) {
+  const task = safetyCounterQueue.then(() => self.SafetyLimits.recordInStorage(platform, action, timestamp));
+  safetyCounterQueue = task.catch(() => {});
+  return task.then(counters => ({ success: true, counters }));
+}
+
+// Imported counters join the same queue, so they can't race a running session's actions
+function mergeSafetyCounters(counters) {
+  const task = safetyCounterQueue.then(() => self.SafetyLimits.mergeInStorage(counters));
+  safetyCounterQueue = task.catch(() => {});
+  return task.then(() => ({ success: true }));
+}
+
+// Posted comments for the no-repeat window, through the same queue
+function recordComment(platform, template, comment, at) {
+  const task = safetyCounterQueue.then(() => self.CommentRotation.recordInStorage(platform, template, comment, at));
+  safetyCounterQueue = task.catch(() => {});
+  return task.then(rotation => ({ success: true, rotation }));
+}
+
+const engagementHistory = new self.EngagementHistory();
+const orchestrator = new SessionOrchestrator(engagementHistory);
+const scheduler = new self.SessionScheduler(orchestrator);
+
 chrome.runtime.onInstalled.addListener(() => {
   console.log('LajySocial installed');
+  scheduler.reschedule();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  scheduler.reschedule();
 });
 
-// ============================================================================
-// IMPORTANT: Content script injection is now handled by manifest.json
-// ============================================================================
-//
-// The extension has been refactored to use a multi-file architecture:
-//   - surfers/base-surfer.js (shared utilities)
-//   - surfers/{platform}-surfer.js (platform-specific implementations)
-//   - surfers/surfer-factory.js (platform detection + singleton guard)
-//
-// The old monolithic content.js has been:
-//   - DELETED (it's dead code and should not be re-injected)
-//   - Backed up to content.js.backup (for emergency rollback only)
-//
-// DO NOT re-enable the code below unless you're debugging and understand
-// that it will NOT work with the old content.js path (file deleted).
-// ============================================================================
-
-/*
-chrome.action.onClicked.addListener((tab) => {
-  chrome.scripting.executeScript({
-    target: { tabId: tab.id },
-    files: [
-      'surfers/base-surfer.js',
-      'surfers/facebook-surfer.js',
-      'surfers/linkedin-surfer.js',
-      'surfers/twitter-surfer.js',
-      'surfers/instagram-surfer.js',
-      'surfers/reddit-surfer.js',
-      'surfers/surfer-factory.js'
-    ]
+chrome.alarms.onAlarm.addListener(alarm => {
+  scheduler.handleAlarm(alarm).catch(error => {
+    console.log(`[Scheduler] Alarm "${alarm.name}" failed:`, error);
   });
 });
 
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const tabId = message.tabId || (sender.tab && sender.tab.id);
+  let pending = null;
+
+  switch (message.action) {
+    case 'startSession':
+      pending = orchestrator.start(tabId);
+      break;
+    case 'stopSession':
+      pending = orchestrator.stopTab(tabId);
+      break;
+    case 'getSession':
+      pending = orchestrator.status(tabId);
+      break;
+    case 'updateSettings':
+      pending = orchestrator.updateSettings(tabId, message.settings);
+      break;
+    case 'getSchedules':
+      pending = scheduler.list().then(schedules => ({ schedules }));
+      break;
+    case 'saveSchedules':
+      pending = scheduler.saveSchedules(message.schedules);
+      break;
+    case 'sessionReady':
+      pending = orchestrator.ready(tabId, message.platform, sender.tab.url);
+      break;
+    case 'sessionUpdate':
+      pending = orchestrator.update(tabId, message.stats);
+      break;
+    case 'logEngagement':
+      pending = engagementHistory.add(message.record).then(() => ({ success: true }));
+      break;
+    case 'recordSafetyAction':
+      pending = recordSafetyAction(message.platform, message.safetyAction, message.timestamp || Date.now());
+      break;
+    case 'mergeSafetyCounters':
+      pending = mergeSafetyCounters(message.counters);
+      break;
+    case 'recordComment':
+      pending = recordComment(message.platform, message.template, message.comment, message.at || Date.now());
+      break;
+    case 'generateComment':
+      pending = self.CommentProviders.generate(message);
+      break;
+    case 'sessionEnded':
+      pending = orchestrator.stop(tabId, { stats: message.stats, summary: message.summary });
+      break;
+    default:
+      return false;
+  }
+
+  pending
+    .then(response => sendResponse(response))
+    .catch(error => {
+      console.log(`[Session] "${message.action}" failed:`, error);
+      sendResponse({ success: false, error: error.message });
+    });
+  return true;
+});
+
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete' && tab.url) {
-    const supportedDomains = [
-      'twitter.com',
-      'x.com',
-      'facebook.com',
-      'instagram.com',
-      'linkedin.com',
-      'reddit.com'
-    ];
-
-    const isSupported = supportedDomains.some(domain => tab.url.includes(domain));
-
-    if (isSupported) {
-      chrome.scripting.executeScript({
-        target: { tabId: tabId },
-        files: [
-          'surfers/base-surfer.js',
-          'surfers/facebook-surfer.js',
-          'surfers/linkedin-surfer.js',
-          'surfers/twitter-surfer.js',
-          'surfers/instagram-surfer.js',
-          'surfers/reddit-surfer.js',
-          'surfers/surfer-factory.js'
-        ]
-      }).catch(() => {
-        console.log('Could not inject content script');
-      });
-    }
+  if (changeInfo.status === 'complete') {
+    orchestrator.handleTabUpdated(tabId, tab).catch(error => {
+      console.log(`[Session] Could not follow tab ${tabId} after it loaded:`, error);
+    });
   }
 });
-*/
\ No newline at end of file
+
+chrome.tabs.onRemoved.addListener(async tabId => {
+  // End a running session first so its summary still reaches the dashboard
+  await orchestrator.stop(tabId, { reason: 'tabClosed' });
+  orchestrator.removeSession(tabId);
+});
@@ -0,0 +1,223 @@
+/**
+ * CommentProviders - Pro mode comment generation behind one provider interface
+ * Loaded by background.js (importScripts); content scripts ask through the
+ * generateComment message, so API keys and cross-origin requests stay here.
+ *
+ * A provider is a class registered in CommentProviders.REGISTRY:
+ *   constructor(config)                    // the stored provider config plus apiKey
+ *   async generate(request) → string       // throws when it can't produce a comment
+ * request: {
+ *   post: { text, platform, ... },         // extractPostContent() output
+ *   persona: 'friendly' | 'quirky' | 'critical' | 'professional' | 'casual' | 'custom',
+ *   presetId, preset: { id, name, reference } | null // custom preset, when persona is 'custom' (see PersonaPresets)
+ * }
+ *
+ * Config (chrome.storage.sync proModeSettings.provider):
+ *   { type: 'templates' | 'openai' | 'mock', baseUrl, model }
+ * 'templates' (the default) means no provider: the surfer keeps using its templates.
+ * The API key is kept in chrome.storage.local (providerApiKey) so it stays on
+ * this device and out of settings backups.
+ */
+
+/**
+ * Any server that speaks the OpenAI chat completions API: OpenAI itself,
+ * or a local one (Ollama, LM Studio, llama.cpp) through its base URL
+ */
+self.OpenAICompatibleProvider = class OpenAICompatibleProvider {
+  static get TIMEOUT_MS() {
+    return 30000;
+  }
+
+  constructor(config) {
+    this.baseUrl = (config.baseUrl || CommentProviders.DEFAULT_CONFIG.baseUrl).replace(/\/+$/, '');
+    this.model = config.model || CommentProviders.DEFAULT_CONFIG.model;
+    this.apiKey = config.apiKey || '';
+  }
+
+  async generate(request) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), OpenAICompatibleProvider.TIMEOUT_MS);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: this.model,
+          messages: CommentProviders.buildMessages(request),
+          temperature: 0.8,
+          max_tokens: 150
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`${this.baseUrl} answered ${response.status}`);
+      }
+
+      const data = await response.json();
+      const content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+      if (!content) {
+        throw new Error('Response has no comment');
+      }
+      return content;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`${this.baseUrl} took longer than ${OpenAICompatibleProvider.TIMEOUT_MS / 1000}s`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+};
+
+/**
+ * Offline stand-in: the same request always gets the same comment, so the
+ * pro mode pipeline can be tried without a server
+ */
+self.MockCommentProvider = class MockCommentProvider {
+  static get OPENERS() {
+    return {
+      friendly: ['Love this', 'This made my day', 'So glad you shared this'],
+      quirky: ['Okay this is delightfully weird', 'My brain did a little dance reading this', 'Plot twist I did not expect'],
+      critical: ['Interesting point, though I wonder', 'Curious how this holds up', 'Good read - what about the other side of'],
+      professional: ['Valuable insight', 'Well articulated', 'Thank you for sharing this perspective'],
+      casual: ['ha nice', 'yeah this', 'lol so true'],
+      custom: ['Nice one', 'Really like this', 'Good stuff']
+    };
+  }
+
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Small stable string hash (FNV-1a)
+   */
+  static hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+  }
+
+  async generate(request) {
+    const persona = request.persona in MockCommentProvider.OPENERS ? request.persona : 'friendly';
+    const openers = MockCommentProvider.OPENERS[persona];
+    const text = (request.post && request.post.text) || '';
+    const presetName = request.preset ? request.preset.name : '';
+
+    const opener = openers[MockCommentProvider.hash(`${persona}|${presetName}|${text}`) % openers.length];
+    const topic = text.split(/\s+/).filter(word => word.length > 3).slice(0, 4).join(' ');
+
+    return topic ? `${opener}: "${topic}..."` : `${opener}!`;
+  }
+};
+
+self.CommentProviders = class CommentProviders {
+  static get REGISTRY() {
+    return {
+      openai: OpenAICompatibleProvider,
+      mock: MockCommentProvider
+    };
+  }
+
+  static get DEFAULT_CONFIG() {
+    return {
+      type: 'templates',
+      baseUrl: 'https://api.openai.com/v1',
+      model: 'gpt-4o-mini'
+    };
+  }
+
+  /**
+   * How each built-in persona should sound, for the prompt
+   */
+  static get PERSONAS() {
+    return {
+      friendly: 'warm and supportive, encouraging the author',
+      quirky: 'playful and a bit offbeat, with a light joke',
+      critical: 'thoughtful and respectful, adding a question or a counterpoint',
+      professional: 'polished and concise, like a colleague on LinkedIn',
+      casual: 'relaxed and short, like texting a friend'
+    };
+  }
+
+  static get MAX_COMMENT_LENGTH() {
+    return 500;
+  }
+
+  static async loadConfig() {
+    const [{ proModeSettings }, { providerApiKey }] = await Promise.all([
+      chrome.storage.sync.get(['proModeSettings']),
+      chrome.storage.local.get(['providerApiKey'])
+    ]);
+
+    return {
+      ...CommentProviders.DEFAULT_CONFIG,
+      ...((proModeSettings && proModeSettings.provider) || {}),
+      apiKey: providerApiKey || ''
+    };
+  }
+
+  /**
+   * Chat messages for the request: the persona (or the preset's reference
+   * comments) as the system prompt, the post as the user message
+   */
+  static buildMessages({ post, persona, preset }) {
+    const style = persona === 'custom' && preset
+      ? `Match the voice of these example comments:\n${preset.reference}`
+      : `Tone: ${CommentProviders.PERSONAS[persona] || CommentProviders.PERSONAS.friendly}.`;
+
+    return [
+      {
+        role: 'system',
+        content: 'You write a short reply to a social media post. Reply with the comment text only - ' +
+          'no quotes, no hashtags, at most two sentences, in the language of the post.\n' + style
+      },
+      {
+        role: 'user',
+        content: `Platform: ${(post && post.platform) || 'unknown'}\nPost:\n${((post && post.text) || '').substring(0, 2000)}`
+      }
+    ];
+  }
+
+  /**
+   * One line, no wrapping quotes, capped in length
+   */
+  static clean(comment) {
+    return String(comment)
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^["'“](.*)["'”]$/, '$1')
+      .substring(0, CommentProviders.MAX_COMMENT_LENGTH)
+      .trim();
+  }
+
+  /**
+   * @param {Object} request - See the file header
+   * @returns {Promise<Object>} { success, comment, provider } or { success: false, error }
+   *   error is 'noProvider' when the user hasn't picked one
+   */
+  static async generate(request) {
+    const config = await CommentProviders.loadConfig();
+    const Provider = CommentProviders.REGISTRY[config.type];
+    if (!Provider) {
+      return { success: false, error: 'noProvider' };
+    }
+
+    const comment = CommentProviders.clean(await new Provider(config).generate(request));
+    if (!comment) {
+      return { success: false, error: `${config.type} returned an empty comment` };
+    }
+    return { success: true, comment, provider: config.type };
+  }
+};
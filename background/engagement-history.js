@@ -0,0 +1,274 @@
+/**
+ * EngagementHistory - IndexedDB log of every action the surfers take
+ * Written by the background worker (content scripts send logEngagement), read
+ * directly by the options page - both run on the extension's origin, so they
+ * share the database. Content scripts can't open it themselves: their
+ * IndexedDB belongs to the site they run on.
+ *
+ * Stores:
+ * - engagements: one record per action
+ *   { id, platform, action, reason, postUrl, author, excerpt, commentText, sessionStart, timestamp, importedAt }
+ *   action: 'viewed' | 'expanded' | 'liked' | 'commented' | 'skipped' (reason says why)
+ * - sessions: one summary per finished session (feeds the dashboard)
+ *   { id, platform, reason, stats, startTime, endTime, durationMinutes, scheduleId, importedAt }
+ *   stats: { totalPostsViewed, totalSeeMoreClicked, totalPostsLiked, totalComments, skipReasons }
+ *
+ * importedAt is only set on records that came from a history file (see HistoryTransfer).
+ *
+ * Both stores are kept forever unless the user picks a retention period on the
+ * history page (chrome.storage.local historyRetentionDays, 0 = forever). Then
+ * the orchestrator runs prune() each time a session starts. Imported records
+ * get their full retention period counted from the import, so restoring an old
+ * export doesn't throw it away again.
+ */
+
+self.EngagementHistory = class EngagementHistory {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  static get DB_NAME() {
+    return 'lajysocial-history';
+  }
+
+  static get DB_VERSION() {
+    return 2;
+  }
+
+  static get STORE() {
+    return 'engagements';
+  }
+
+  static get SESSION_STORE() {
+    return 'sessions';
+  }
+
+  static get ACTIONS() {
+    return ['viewed', 'expanded', 'liked', 'commented', 'skipped'];
+  }
+
+  static get RETENTION_KEY() {
+    return 'historyRetentionDays';
+  }
+
+  /**
+   * Retention periods offered on the history page, in days; 0 keeps everything
+   */
+  static get RETENTION_CHOICES() {
+    return [0, 30, 90, 365];
+  }
+
+  /**
+   * @returns {Promise<number>} Days of history to keep, 0 for forever
+   */
+  static async getRetentionDays() {
+    const result = await chrome.storage.local.get([EngagementHistory.RETENTION_KEY]);
+    const days = parseInt(result[EngagementHistory.RETENTION_KEY]);
+    return Number.isFinite(days) && days > 0 ? days : 0;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(EngagementHistory.DB_NAME, EngagementHistory.DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+
+          if (event.oldVersion < 1) {
+            const store = db.createObjectStore(EngagementHistory.STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('timestamp', 'timestamp');
+            store.createIndex('platform', 'platform');
+            store.createIndex('action', 'action');
+          }
+          if (event.oldVersion < 2) {
+            const sessions = db.createObjectStore(EngagementHistory.SESSION_STORE, { keyPath: 'id', autoIncrement: true });
+            sessions.createIndex('startTime', 'startTime');
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the store and resolve with its result
+   */
+  async request(mode, makeRequest, storeName = EngagementHistory.STORE) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = makeRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * @param {Object} record - Record without id; timestamp defaults to now
+   * @returns {Promise<number>} The new record's id
+   */
+  add(record) {
+    if (!EngagementHistory.ACTIONS.includes(record.action)) {
+      return Promise.reject(new Error(`Unknown action "${record.action}"`));
+    }
+
+    const { id, ...entry } = record;
+    return this.request('readwrite', store => store.add({
+      platform: null,
+      reason: null,
+      postUrl: null,
+      author: null,
+      excerpt: '',
+      commentText: null,
+      sessionStart: null,
+      ...entry,
+      timestamp: record.timestamp || Date.now()
+    }));
+  }
+
+  count() {
+    return this.request('readonly', store => store.count());
+  }
+
+  clear() {
+    return this.request('readwrite', store => store.clear());
+  }
+
+  /**
+   * Newest records first
+   * @param {Object} filters
+   * @param {string} filters.platform - Only this platform
+   * @param {string} filters.action - Only this action
+   * @param {string} filters.search - Case-insensitive match on author, excerpt, comment, URL and reason
+   * @param {number} filters.from - Earliest timestamp (ms)
+   * @param {number} filters.to - Latest timestamp (ms)
+   * @param {number} filters.limit - Max records returned (default 500, 0 = all)
+   * @returns {Promise<Object>} { records, matched } - matched counts every hit, not just the returned ones
+   */
+  async query({ platform = '', action = '', search = '', from = null, to = null, limit = 500 } = {}) {
+    const db = await this.open();
+    const needle = search.trim().toLowerCase();
+    const range = from || to
+      ? IDBKeyRange.bound(from || 0, to || Number.MAX_SAFE_INTEGER)
+      : null;
+
+    return new Promise((resolve, reject) => {
+      const records = [];
+      let matched = 0;
+
+      const transaction = db.transaction(EngagementHistory.STORE, 'readonly');
+      const cursorRequest = transaction.objectStore(EngagementHistory.STORE)
+        .index('timestamp')
+        .openCursor(range, 'prev');
+
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+
+        const record = cursor.value;
+        if (this.matches(record, platform, action, needle)) {
+          matched++;
+          if (!limit || records.length < limit) {
+            records.push(record);
+          }
+        }
+        cursor.continue();
+      };
+
+      transaction.oncomplete = () => resolve({ records, matched });
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * @param {Object} summary - Session summary from the orchestrator, plus its platform
+   * @returns {Promise<number>} The new summary's id
+   */
+  addSession(summary) {
+    const { id, ...entry } = summary;
+    return this.request('readwrite', store => store.add(entry), EngagementHistory.SESSION_STORE);
+  }
+
+  /**
+   * Session summaries started within [from, to], oldest first
+   */
+  getSessions({ from = null, to = null } = {}) {
+    const range = from || to
+      ? IDBKeyRange.bound(from || 0, to || Number.MAX_SAFE_INTEGER)
+      : null;
+    return this.request('readonly', store => store.index('startTime').getAll(range), EngagementHistory.SESSION_STORE);
+  }
+
+  /**
+   * Every record of a store, oldest first by id
+   */
+  getAll(storeName = EngagementHistory.STORE) {
+    return this.request('readonly', store => store.getAll(), storeName);
+  }
+
+  /**
+   * Add many records in one transaction (used by import); ids are reassigned
+   * @returns {Promise<number>} How many were added
+   */
+  async addAll(records, storeName = EngagementHistory.STORE) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, 'readwrite');
+      const store = transaction.objectStore(storeName);
+      records.forEach(({ id, ...entry }) => store.add(entry));
+      transaction.oncomplete = () => resolve(records.length);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Delete engagements and session summaries older than the retention period,
+   * except records imported within it
+   * @param {number} maxAgeDays
+   * @param {number} now - Timestamp (ms)
+   * @returns {Promise<Object>} { engagements, sessions } - how many were deleted
+   */
+  async prune(maxAgeDays, now = Date.now()) {
+    const db = await this.open();
+    const cutoff = now - maxAgeDays * 24 * 60 * 60 * 1000;
+    const stores = [
+      [EngagementHistory.STORE, 'timestamp'],
+      [EngagementHistory.SESSION_STORE, 'startTime']
+    ];
+
+    return new Promise((resolve, reject) => {
+      const deleted = { engagements: 0, sessions: 0 };
+      const transaction = db.transaction(stores.map(([storeName]) => storeName), 'readwrite');
+
+      stores.forEach(([storeName, indexName]) => {
+        const cursorRequest = transaction.objectStore(storeName)
+          .index(indexName)
+          .openCursor(IDBKeyRange.upperBound(cutoff, true));
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor) return;
+          if (!(cursor.value.importedAt >= cutoff)) {
+            cursor.delete();
+            deleted[storeName]++;
+          }
+          cursor.continue();
+        };
+      });
+
+      transaction.oncomplete = () => resolve(deleted);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  matches(record, platform, action, needle) {
+    if (platform && record.platform !== platform) return false;
+    if (action && record.action !== action) return false;
+    if (!needle) return true;
+
+    return [record.author, record.excerpt, record.commentText, record.postUrl, record.reason]
+      .some(value => value && value.toLowerCase().includes(needle));
+  }
+};
@@ -0,0 +1,263 @@
+/**
+ * SessionScheduler - Runs auto-surf sessions on a weekly schedule
+ * Loaded by background.js (importScripts); drives the SessionOrchestrator
+ *
+ * Schedules are stored in chrome.storage.sync:
+ *   schedules: [{
+ *     id, enabled, platform,
+ *     days: [1, 2, 3, 4, 5],     // Date.getDay() values, 0 = Sunday
+ *     times: ['09:00', '17:00'], // 24h local time
+ *     durationMinutes: 20,
+ *     profile: 'live' | 'snapshot', // popup settings at run time, or the ones saved with the schedule
+ *     settings: {...}             // only for 'snapshot'
+ *   }]
+ *
+ * Every (schedule, time) pair gets its own chrome.alarms alarm set to its next
+ * occurrence; when it fires the session is started and the alarm is re-armed.
+ * Each scheduled session also gets a stop alarm at startTime + duration.
+ */
+
+self.SessionScheduler = class SessionScheduler {
+  constructor(orchestrator) {
+    this.orchestrator = orchestrator;
+  }
+
+  static get STORAGE_KEY() {
+    return 'schedules';
+  }
+
+  static get START_ALARM_PREFIX() {
+    return 'schedule:';
+  }
+
+  static get STOP_ALARM_PREFIX() {
+    return 'schedule-stop:';
+  }
+
+  static get MAX_DURATION_MINUTES() {
+    return 480;
+  }
+
+  /**
+   * Page each platform's scheduled session opens when no tab is already on it
+   */
+  static get PLATFORM_URLS() {
+    return {
+      twitter: 'https://x.com/home',
+      facebook: 'https://www.facebook.com/',
+      instagram: 'https://www.instagram.com/',
+      linkedin: 'https://www.linkedin.com/feed/',
+      reddit: 'https://www.reddit.com/'
+    };
+  }
+
+  async getSchedules() {
+    const result = await chrome.storage.sync.get(SessionScheduler.STORAGE_KEY);
+    return result[SessionScheduler.STORAGE_KEY] || [];
+  }
+
+  /**
+   * Validate, store and re-arm the alarms
+   * @returns {Promise<Object>} { success, errors } - nothing is saved if any entry is invalid
+   */
+  async saveSchedules(schedules) {
+    const errors = [];
+    schedules.forEach((entry, index) => {
+      this.validate(entry).forEach(error => errors.push(`Schedule ${index + 1}: ${error}`));
+    });
+
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    await chrome.storage.sync.set({ [SessionScheduler.STORAGE_KEY]: schedules });
+    await this.reschedule();
+    return { success: true, errors: [] };
+  }
+
+  validate(entry) {
+    const errors = [];
+
+    if (!SessionScheduler.PLATFORM_URLS[entry.platform]) {
+      errors.push(`unknown platform "${entry.platform}"`);
+    }
+    if (!Array.isArray(entry.days) || entry.days.length === 0 ||
+        entry.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.push('pick at least one day');
+    }
+    if (!Array.isArray(entry.times) || entry.times.length === 0) {
+      errors.push('add at least one start time');
+    } else {
+      entry.times
+        .filter(time => !/^([01]\d|2[0-3]):[0-5]\d$/.test(time))
+        .forEach(time => errors.push(`"${time}" is not a HH:MM time`));
+    }
+    if (!Number.isInteger(entry.durationMinutes) || entry.durationMinutes < 1 ||
+        entry.durationMinutes > SessionScheduler.MAX_DURATION_MINUTES) {
+      errors.push(`duration must be 1-${SessionScheduler.MAX_DURATION_MINUTES} minutes`);
+    }
+    if (entry.profile === 'snapshot' && (!entry.settings || typeof entry.settings !== 'object')) {
+      errors.push('snapshot profile has no saved settings');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Next time (ms) a schedule's start time falls on one of its days, after `from`
+   */
+  nextOccurrence(entry, time, from = Date.now()) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const candidate = new Date(from);
+    candidate.setSeconds(0, 0);
+    candidate.setHours(hours, minutes);
+
+    for (let i = 0; i < 8; i++) {
+      if (candidate.getTime() > from && entry.days.includes(candidate.getDay())) {
+        return candidate.getTime();
+      }
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(hours, minutes);
+    }
+    return null;
+  }
+
+  /**
+   * Drop every start alarm and create fresh ones from storage
+   * Stop alarms of running sessions are left alone
+   */
+  async reschedule() {
+    const alarms = await chrome.alarms.getAll();
+    await Promise.all(alarms
+      .filter(alarm => alarm.name.startsWith(SessionScheduler.START_ALARM_PREFIX))
+      .map(alarm => chrome.alarms.clear(alarm.name)));
+
+    const schedules = await this.getSchedules();
+    for (const entry of schedules) {
+      if (!entry.enabled || this.validate(entry).length > 0) continue;
+      for (const time of entry.times) {
+        await this.armStartAlarm(entry, time);
+      }
+    }
+  }
+
+  async armStartAlarm(entry, time) {
+    const when = this.nextOccurrence(entry, time);
+    if (when) {
+      await chrome.alarms.create(`${SessionScheduler.START_ALARM_PREFIX}${entry.id}@${time}`, { when });
+    }
+  }
+
+  /**
+   * Schedules with the next run of each, for the popup
+   */
+  async list() {
+    const [schedules, alarms] = await Promise.all([this.getSchedules(), chrome.alarms.getAll()]);
+
+    return schedules.map(entry => {
+      const runs = alarms
+        .filter(alarm => alarm.name.startsWith(`${SessionScheduler.START_ALARM_PREFIX}${entry.id}@`))
+        .map(alarm => alarm.scheduledTime);
+      return { ...entry, nextRun: runs.length > 0 ? Math.min(...runs) : null };
+    });
+  }
+
+  /**
+   * @returns {boolean} Whether the alarm belonged to the scheduler
+   */
+  async handleAlarm(alarm) {
+    if (alarm.name.startsWith(SessionScheduler.START_ALARM_PREFIX)) {
+      const [id, time] = alarm.name.slice(SessionScheduler.START_ALARM_PREFIX.length).split('@');
+      const entry = (await this.getSchedules()).find(schedule => schedule.id === id);
+      if (!entry || !entry.enabled) return true;
+
+      // Re-arm first so a failed run doesn't break the schedule
+      await this.armStartAlarm(entry, time);
+
+      // Browser was asleep or closed past the whole window - don't start late
+      const lateBy = Date.now() - alarm.scheduledTime;
+      if (lateBy > entry.durationMinutes * 60000) {
+        console.log(`[Scheduler] Missed ${entry.platform} at ${time}, skipping`);
+        return true;
+      }
+
+      await this.run(entry, entry.durationMinutes * 60000 - Math.max(0, lateBy));
+      return true;
+    }
+
+    if (alarm.name.startsWith(SessionScheduler.STOP_ALARM_PREFIX)) {
+      const [tabId, startTime] = alarm.name.slice(SessionScheduler.STOP_ALARM_PREFIX.length).split('@').map(Number);
+      const session = await this.orchestrator.getSession(tabId);
+
+      // Only stop the session this alarm was set for, not one the user started since
+      if (session && session.isActive && session.startTime === startTime) {
+        console.log(`[Scheduler] Time is up on tab ${tabId}`);
+        await this.orchestrator.stopTab(tabId, 'schedule');
+      }
+      return true;
+    }
+
+    return false;
+  }
+
+  async run(entry, durationMs) {
+    console.log(`[Scheduler] Starting scheduled ${entry.platform} session (${Math.round(durationMs / 60000)} min)`);
+
+    const tab = await this.openPlatformTab(entry.platform);
+    const existing = await this.orchestrator.getSession(tab.id);
+    if (existing && existing.isActive) {
+      console.log(`[Scheduler] Tab ${tab.id} already has a session running, leaving it alone`);
+      return;
+    }
+
+    const result = await this.orchestrator.start(tab.id, {
+      settings: entry.profile === 'snapshot' ? entry.settings : null,
+      scheduleId: entry.id
+    });
+
+    if (result.success) {
+      const name = `${SessionScheduler.STOP_ALARM_PREFIX}${tab.id}@${result.session.startTime}`;
+      await chrome.alarms.create(name, { when: Date.now() + durationMs });
+    } else if (result.error === 'platformBusy') {
+      console.log(`[Scheduler] ${entry.platform} is already running on tab ${result.holder ? result.holder.tabId : '?'}, skipping`);
+    }
+  }
+
+  /**
+   * Focus a tab already on the platform, or open one and wait for it to load
+   */
+  async openPlatformTab(platform) {
+    const tabs = await chrome.tabs.query({});
+    const existing = tabs.find(tab => detectPlatform(tab.url) === platform);
+
+    if (existing) {
+      await chrome.tabs.update(existing.id, { active: true });
+      await chrome.windows.update(existing.windowId, { focused: true });
+      return existing;
+    }
+
+    const tab = await chrome.tabs.create({ url: SessionScheduler.PLATFORM_URLS[platform], active: true });
+    await this.waitForTabComplete(tab.id);
+    return tab;
+  }
+
+  waitForTabComplete(tabId, timeout = 30000) {
+    return new Promise(resolve => {
+      const timer = setTimeout(done, timeout);
+
+      function done() {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+
+      function listener(updatedTabId, changeInfo) {
+        if (updatedTabId === tabId && changeInfo.status === 'complete') {
+          done();
+        }
+      }
+
+      chrome.tabs.onUpdated.addListener(listener);
+    });
+  }
+};
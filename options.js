@@ -0,0 +1,823 @@
+document.addEventListener('DOMContentLoaded', function () {
+  const filterPlatformSelect = document.getElementById('filterPlatform');
+  const filterActionSelect = document.getElementById('filterAction');
+  const filterFromInput = document.getElementById('filterFrom');
+  const filterToInput = document.getElementById('filterTo');
+  const filterSearchInput = document.getElementById('filterSearch');
+  const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+  const retentionSelect = document.getElementById('retentionDays');
+  const resultInfo = document.getElementById('resultInfo');
+  const historyRows = document.getElementById('historyRows');
+  const dashboardRangeSelect = document.getElementById('dashboardRange');
+  const dailyRows = document.getElementById('dailyRows');
+  const platformRows = document.getElementById('platformRows');
+  const skipReasonList = document.getElementById('skipReasonList');
+  const stopReasonList = document.getElementById('stopReasonList');
+  const exportJsonBtn = document.getElementById('exportJsonBtn');
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+  const importBtn = document.getElementById('importBtn');
+  const importFileInput = document.getElementById('importFile');
+  const transferStatus = document.getElementById('transferStatus');
+  const backupSettingsBtn = document.getElementById('backupSettingsBtn');
+  const restoreSettingsBtn = document.getElementById('restoreSettingsBtn');
+  const restoreSettingsFileInput = document.getElementById('restoreSettingsFile');
+  const settingsStatus = document.getElementById('settingsStatus');
+  const profileNameInput = document.getElementById('profileName');
+  const saveProfileBtn = document.getElementById('saveProfileBtn');
+  const importProfileBtn = document.getElementById('importProfileBtn');
+  const importProfileFileInput = document.getElementById('importProfileFile');
+  const profileRows = document.getElementById('profileRows');
+
+  const engagementHistory = new window.EngagementHistory();
+  let currentLang = 'en';
+
+  const translations = {
+    en: {
+      history: "Engagement History",
+      platform: "Platform",
+      action: "Action",
+      all: "All",
+      from: "From",
+      to: "To",
+      search: "Search",
+      searchPlaceholder: "Author, text, comment, URL...",
+      clearHistory: "Clear History",
+      clearHistoryConfirm: "Delete the whole engagement history? This can't be undone.",
+      keepHistory: "Keep history",
+      keepForever: "Forever",
+      keepDays: "{days} days",
+      keepHint: "Older records are deleted when a session starts. Imported records are kept for this long from the import.",
+      showing: "Showing {shown} of {matched} matching records",
+      empty: "No records match these filters",
+      columnTime: "Time",
+      columnPlatform: "Platform",
+      columnAction: "Action",
+      columnAuthor: "Author",
+      columnPost: "Post",
+      dashboard: "Dashboard",
+      lastDays: "Last {days} days",
+      sessions: "Sessions",
+      avgSession: "Avg session (min)",
+      likes: "Likes",
+      comments: "Comments",
+      perDay: "Per day",
+      perPlatform: "Per platform",
+      skipReasons: "Skip reasons",
+      stopReasonsTitle: "Why sessions ended",
+      columnDay: "Day",
+      columnPlatforms: "Platforms",
+      columnLikeCap: "Likes vs daily cap",
+      columnCommentCap: "Comments vs daily cap",
+      columnAvgLength: "Avg (min)",
+      noSessions: "No finished sessions in this period",
+      noSkips: "Nothing skipped",
+      exportJson: "Export JSON",
+      exportCsv: "Export CSV",
+      import: "Import...",
+      exported: "Exported {count} records",
+      imported: "Imported {engagements} records, {sessions} sessions, {urls} URLs, {authors} authors",
+      importFailed: "Import failed",
+      settingsTitle: "Settings Backup & Profiles",
+      backupSettings: "Back Up Settings",
+      restoreSettings: "Restore...",
+      restoreConfirm: "Replace your current settings with this backup?",
+      settingsRestored: "Settings restored",
+      profiles: "Profiles",
+      profileNamePlaceholder: "Profile name, e.g. Moderate",
+      saveProfile: "Save Current Settings as Profile",
+      importProfile: "Import Profile...",
+      profileSaved: "Profile \"{name}\" saved",
+      profileImported: "Profile \"{name}\" imported",
+      profileApplied: "Switched to \"{name}\"",
+      profileNameRequired: "Give the profile a name first",
+      deleteProfileConfirm: "Delete profile \"{name}\"?",
+      noProfiles: "No profiles yet - save your current settings to make one",
+      columnProfileName: "Name",
+      columnProfileSaved: "Saved",
+      apply: "Apply",
+      export: "Export",
+      delete: "Delete",
+      actions: {
+        viewed: "Viewed",
+        expanded: "Expanded",
+        liked: "Liked",
+        commented: "Commented",
+        skipped: "Skipped"
+      },
+      reasons: {
+        promoted: "promoted",
+        oldPost: "old post",
+        companyPage: "company page",
+        friendActivity: "friend activity",
+        repost: "repost",
+        reply: "reply",
+        duplicateUrl: "already engaged",
+        duplicateAuthor: "duplicate author",
+        duplicateContent: "duplicate content",
+        likeLimit: "like limit",
+        commentLimit: "comment limit",
+        commentGap: "too soon after last comment",
+        filtered: "filtered"
+      },
+      stopReasons: {
+        user: "stopped by you",
+        schedule: "scheduled time is up",
+        navigation: "left the platform",
+        tabClosed: "tab was closed",
+        maxSessionMinutes: "time limit",
+        maxPostsViewed: "post limit",
+        maxLikes: "like limit",
+        maxComments: "comment limit",
+        safetyLimits: "safety limits reached",
+        viewLimit: "posts viewed safety limit reached"
+      }
+    },
+    vi: {
+      history: "Lịch Sử Tương Tác",
+      platform: "Nền tảng",
+      action: "Hành động",
+      all: "Tất cả",
+      from: "Từ ngày",
+      to: "Đến ngày",
+      search: "Tìm kiếm",
+      searchPlaceholder: "Tác giả, nội dung, comment, URL...",
+      clearHistory: "Xóa Lịch Sử",
+      clearHistoryConfirm: "Xóa toàn bộ lịch sử tương tác? Không khôi phục được đâu.",
+      keepHistory: "Giữ lịch sử",
+      keepForever: "Mãi mãi",
+      keepDays: "{days} ngày",
+      keepHint: "Bản ghi cũ hơn sẽ bị xóa khi bắt đầu phiên. Bản ghi được nhập giữ đủ thời gian này tính từ lúc nhập.",
+      showing: "Hiện {shown} trên {matched} bản ghi khớp",
+      empty: "Không có bản ghi nào khớp bộ lọc",
+      columnTime: "Thời gian",
+      columnPlatform: "Nền tảng",
+      columnAction: "Hành động",
+      columnAuthor: "Tác giả",
+      columnPost: "Bài viết",
+      dashboard: "Thống Kê",
+      lastDays: "{days} ngày qua",
+      sessions: "Phiên",
+      avgSession: "TB mỗi phiên (phút)",
+      likes: "Like",
+      comments: "Comment",
+      perDay: "Theo ngày",
+      perPlatform: "Theo nền tảng",
+      skipReasons: "Lý do bỏ qua",
+      stopReasonsTitle: "Lý do phiên kết thúc",
+      columnDay: "Ngày",
+      columnPlatforms: "Nền tảng",
+      columnLikeCap: "Like / giới hạn ngày",
+      columnCommentCap: "Comment / giới hạn ngày",
+      columnAvgLength: "TB (phút)",
+      noSessions: "Chưa có phiên nào kết thúc trong khoảng này",
+      noSkips: "Không bỏ qua bài nào",
+      exportJson: "Xuất JSON",
+      exportCsv: "Xuất CSV",
+      import: "Nhập...",
+      exported: "Đã xuất {count} bản ghi",
+      imported: "Đã nhập {engagements} bản ghi, {sessions} phiên, {urls} URL, {authors} tác giả",
+      importFailed: "Nhập thất bại",
+      settingsTitle: "Sao Lưu Cài Đặt & Hồ Sơ",
+      backupSettings: "Sao Lưu Cài Đặt",
+      restoreSettings: "Khôi Phục...",
+      restoreConfirm: "Thay cài đặt hiện tại bằng bản sao lưu này?",
+      settingsRestored: "Đã khôi phục cài đặt",
+      profiles: "Hồ sơ",
+      profileNamePlaceholder: "Tên hồ sơ, vd: Vừa phải",
+      saveProfile: "Lưu Cài Đặt Hiện Tại Thành Hồ Sơ",
+      importProfile: "Nhập Hồ Sơ...",
+      profileSaved: "Đã lưu hồ sơ \"{name}\"",
+      profileImported: "Đã nhập hồ sơ \"{name}\"",
+      profileApplied: "Đã chuyển sang \"{name}\"",
+      profileNameRequired: "Đặt tên cho hồ sơ trước đã",
+      deleteProfileConfirm: "Xóa hồ sơ \"{name}\"?",
+      noProfiles: "Chưa có hồ sơ nào - lưu cài đặt hiện tại để tạo",
+      columnProfileName: "Tên",
+      columnProfileSaved: "Lưu lúc",
+      apply: "Áp dụng",
+      export: "Xuất",
+      delete: "Xóa",
+      actions: {
+        viewed: "Đã xem",
+        expanded: "Xem thêm",
+        liked: "Đã like",
+        commented: "Đã comment",
+        skipped: "Bỏ qua"
+      },
+      reasons: {
+        promoted: "quảng cáo",
+        oldPost: "bài cũ",
+        companyPage: "trang công ty",
+        friendActivity: "hoạt động bạn bè",
+        repost: "đăng lại",
+        reply: "trả lời",
+        duplicateUrl: "đã tương tác",
+        duplicateAuthor: "trùng tác giả",
+        duplicateContent: "trùng nội dung",
+        likeLimit: "giới hạn like",
+        commentLimit: "giới hạn comment",
+        commentGap: "quá gần comment trước",
+        filtered: "bị lọc"
+      },
+      stopReasons: {
+        user: "bạn bấm dừng",
+        schedule: "hết giờ hẹn",
+        navigation: "đã rời nền tảng",
+        tabClosed: "tab đã bị đóng",
+        maxSessionMinutes: "hết giờ",
+        maxPostsViewed: "đủ số bài xem",
+        maxLikes: "đủ số like",
+        maxComments: "đủ số comment",
+        safetyLimits: "chạm giới hạn an toàn",
+        viewLimit: "chạm giới hạn số bài xem"
+      }
+    }
+  };
+
+  function updateLanguage() {
+    const t = translations[currentLang];
+
+    document.getElementById('historyLabel').textContent = t.history;
+    document.getElementById('filterPlatformLabel').textContent = t.platform;
+    document.getElementById('filterActionLabel').textContent = t.action;
+    document.getElementById('filterPlatformAll').textContent = t.all;
+    document.getElementById('filterActionAll').textContent = t.all;
+    document.getElementById('filterFromLabel').textContent = t.from;
+    document.getElementById('filterToLabel').textContent = t.to;
+    document.getElementById('filterSearchLabel').textContent = t.search;
+    filterSearchInput.placeholder = t.searchPlaceholder;
+    clearHistoryBtn.textContent = t.clearHistory;
+    document.getElementById('retentionLabel').textContent = t.keepHistory;
+    document.getElementById('retentionForever').textContent = t.keepForever;
+    window.EngagementHistory.RETENTION_CHOICES.filter(days => days > 0).forEach(days => {
+      document.getElementById(`retention${days}`).textContent = t.keepDays.replace('{days}', days);
+    });
+    retentionSelect.title = t.keepHint;
+
+    Object.entries(t.actions).forEach(([action, label]) => {
+      document.getElementById(`filterAction${action.charAt(0).toUpperCase() + action.slice(1)}`).textContent = label;
+    });
+
+    ['Time', 'Platform', 'Action', 'Author', 'Post'].forEach(column => {
+      document.getElementById(`column${column}`).textContent = t[`column${column}`];
+    });
+
+    document.getElementById('dashboardLabel').textContent = t.dashboard;
+    [7, 30, 90].forEach(days => {
+      document.getElementById(`range${days}`).textContent = t.lastDays.replace('{days}', days);
+    });
+    document.getElementById('tileSessionsLabel').textContent = t.sessions;
+    document.getElementById('tileAvgLengthLabel').textContent = t.avgSession;
+    document.getElementById('tileLikesLabel').textContent = t.likes;
+    document.getElementById('tileCommentsLabel').textContent = t.comments;
+    document.getElementById('dailyLabel').textContent = t.perDay;
+    document.getElementById('platformLabel').textContent = t.perPlatform;
+    document.getElementById('skipReasonsLabel').textContent = t.skipReasons;
+    document.getElementById('stopReasonsLabel').textContent = t.stopReasonsTitle;
+    document.getElementById('columnPlatformName').textContent = t.columnPlatform;
+    document.getElementById('columnSessions').textContent = t.sessions;
+    ['Day', 'Platforms', 'LikeCap', 'CommentCap', 'AvgLength'].forEach(column => {
+      document.getElementById(`column${column}`).textContent = t[`column${column}`];
+    });
+
+    exportJsonBtn.textContent = t.exportJson;
+    exportCsvBtn.textContent = t.exportCsv;
+    importBtn.textContent = t.import;
+
+    document.getElementById('settingsLabel').textContent = t.settingsTitle;
+    document.getElementById('profilesLabel').textContent = t.profiles;
+    backupSettingsBtn.textContent = t.backupSettings;
+    restoreSettingsBtn.textContent = t.restoreSettings;
+    profileNameInput.placeholder = t.profileNamePlaceholder;
+    saveProfileBtn.textContent = t.saveProfile;
+    importProfileBtn.textContent = t.importProfile;
+    ['ProfileName', 'ProfileSaved'].forEach(column => {
+      document.getElementById(`column${column}`).textContent = t[`column${column}`];
+    });
+  }
+
+  function platformName(platform) {
+    return platform ? platform.charAt(0).toUpperCase() + platform.slice(1) : '';
+  }
+
+  /**
+   * Date inputs give local YYYY-MM-DD; "to" includes the whole day
+   */
+  function getFilters() {
+    const from = filterFromInput.value ? new Date(`${filterFromInput.value}T00:00:00`).getTime() : null;
+    const to = filterToInput.value ? new Date(`${filterToInput.value}T23:59:59.999`).getTime() : null;
+
+    return {
+      platform: filterPlatformSelect.value,
+      action: filterActionSelect.value,
+      search: filterSearchInput.value,
+      from,
+      to
+    };
+  }
+
+  function renderRecord(record) {
+    const t = translations[currentLang];
+    const row = document.createElement('tr');
+
+    const time = document.createElement('td');
+    time.textContent = new Date(record.timestamp).toLocaleString();
+
+    const platform = document.createElement('td');
+    platform.textContent = platformName(record.platform);
+
+    const action = document.createElement('td');
+    const badge = document.createElement('span');
+    badge.className = `action action-${record.action}`;
+    badge.textContent = t.actions[record.action] || record.action;
+    if (record.reason) {
+      badge.textContent += ` · ${t.reasons[record.reason] || record.reason}`;
+    }
+    action.appendChild(badge);
+
+    const author = document.createElement('td');
+    author.textContent = record.author || '';
+
+    const post = document.createElement('td');
+    post.className = 'excerpt';
+    if (record.postUrl) {
+      const link = document.createElement('a');
+      link.href = record.postUrl;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = record.excerpt || record.postUrl;
+      post.appendChild(link);
+    } else {
+      post.append(record.excerpt || '');
+    }
+    if (record.commentText) {
+      const comment = document.createElement('span');
+      comment.className = 'comment';
+      comment.textContent = `💬 ${record.commentText}`;
+      post.appendChild(comment);
+    }
+
+    row.append(time, platform, action, author, post);
+    return row;
+  }
+
+  async function loadHistory() {
+    const t = translations[currentLang];
+
+    try {
+      const { records, matched } = await engagementHistory.query(getFilters());
+
+      historyRows.innerHTML = '';
+      records.forEach(record => historyRows.appendChild(renderRecord(record)));
+
+      resultInfo.textContent = matched === 0
+        ? t.empty
+        : t.showing.replace('{shown}', records.length).replace('{matched}', matched);
+    } catch (error) {
+      console.log('Could not load engagement history:', error);
+    }
+  }
+
+  /**
+   * Local YYYY-MM-DD of a timestamp - sessions count towards the day they started on
+   */
+  function dayKey(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Roll stored session summaries up into the dashboard numbers
+   * @param {Array} sessions - Summaries from EngagementHistory.getSessions()
+   * @returns {Object} { totals, days, platforms, skipReasons, stopReasons }
+   *   days: { [YYYY-MM-DD]: { likes, comments, platforms: { [platform]: { likes, comments } } } }
+   *   platforms: { [platform]: { sessions, minutes } }
+   *   stopReasons: { [reason code]: sessions that ended that way }
+   */
+  function summarizeSessions(sessions) {
+    const totals = { sessions: 0, minutes: 0, likes: 0, comments: 0 };
+    const days = {};
+    const platforms = {};
+    const skipReasons = {};
+    const stopReasons = {};
+
+    sessions.forEach(session => {
+      const stats = session.stats || {};
+      const likes = stats.totalPostsLiked || 0;
+      const comments = stats.totalComments || 0;
+      const minutes = session.durationMinutes || 0;
+
+      totals.sessions++;
+      totals.minutes += minutes;
+      totals.likes += likes;
+      totals.comments += comments;
+
+      const day = days[dayKey(session.startTime)] = days[dayKey(session.startTime)] || { likes: 0, comments: 0, platforms: {} };
+      const dayPlatform = day.platforms[session.platform] = day.platforms[session.platform] || { likes: 0, comments: 0 };
+      day.likes += likes;
+      day.comments += comments;
+      dayPlatform.likes += likes;
+      dayPlatform.comments += comments;
+
+      const platform = platforms[session.platform] = platforms[session.platform] || { sessions: 0, minutes: 0 };
+      platform.sessions++;
+      platform.minutes += minutes;
+
+      Object.entries(stats.skipReasons || {}).forEach(([reason, count]) => {
+        skipReasons[reason] = (skipReasons[reason] || 0) + count;
+      });
+
+      const stopCode = (session.reason && session.reason.code) || 'user';
+      stopReasons[stopCode] = (stopReasons[stopCode] || 0) + 1;
+    });
+
+    return { totals, days, platforms, skipReasons, stopReasons };
+  }
+
+  function averageMinutes(minutes, sessions) {
+    return sessions > 0 ? Math.round(minutes / sessions * 10) / 10 : 0;
+  }
+
+  /**
+   * "62 / 200" with a bar that turns amber past 80% and red at the cap
+   */
+  function renderMeter(value, max) {
+    const cell = document.createElement('td');
+    if (!max) {
+      // A platform with the limit off - nothing to measure against
+      cell.textContent = value;
+      return cell;
+    }
+    const ratio = value / max;
+
+    cell.textContent = `${value} / ${max} (${Math.round(ratio * 100)}%)`;
+
+    const meter = document.createElement('div');
+    meter.className = 'meter';
+    const fill = document.createElement('div');
+    fill.className = `meter-fill${ratio >= 1 ? ' full' : ratio >= 0.8 ? ' warn' : ''}`;
+    fill.style.width = `${Math.min(ratio, 1) * 100}%`;
+    meter.appendChild(fill);
+    cell.appendChild(meter);
+
+    return cell;
+  }
+
+  function renderEmptyRow(tbody, columns, text) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = columns;
+    cell.className = 'empty-note';
+    cell.textContent = text;
+    row.appendChild(cell);
+    tbody.appendChild(row);
+  }
+
+  /**
+   * A day's cap is the sum of the daily limits of the platforms used that day (0 if any has it off)
+   */
+  function dailyCap(dayPlatforms, limitsByPlatform, key) {
+    const caps = Object.keys(dayPlatforms).map(platform =>
+      ({ ...window.SafetyLimits.DEFAULT_LIMITS, ...(limitsByPlatform[platform] || {}) })[key]
+    );
+    return caps.every(cap => cap > 0) ? caps.reduce((sum, cap) => sum + cap, 0) : 0;
+  }
+
+  function renderDashboard({ totals, days, platforms, skipReasons, stopReasons }, limitsByPlatform = {}) {
+    const t = translations[currentLang];
+
+    document.getElementById('tileSessions').textContent = totals.sessions;
+    document.getElementById('tileAvgLength').textContent = averageMinutes(totals.minutes, totals.sessions);
+    document.getElementById('tileLikes').textContent = totals.likes;
+    document.getElementById('tileComments').textContent = totals.comments;
+
+    dailyRows.innerHTML = '';
+    const dayKeys = Object.keys(days).sort().reverse();
+    if (dayKeys.length === 0) {
+      renderEmptyRow(dailyRows, 4, t.noSessions);
+    }
+    dayKeys.forEach(key => {
+      const day = days[key];
+      const row = document.createElement('tr');
+
+      const date = document.createElement('td');
+      date.textContent = new Date(`${key}T00:00:00`).toLocaleDateString();
+
+      const breakdown = document.createElement('td');
+      Object.entries(day.platforms).forEach(([platform, counts]) => {
+        const chip = document.createElement('span');
+        chip.className = 'chip';
+        chip.textContent = `${platformName(platform)} ❤️ ${counts.likes} 💬 ${counts.comments}`;
+        breakdown.appendChild(chip);
+      });
+
+      row.append(
+        date,
+        breakdown,
+        renderMeter(day.likes, dailyCap(day.platforms, limitsByPlatform, 'likesPerDay')),
+        renderMeter(day.comments, dailyCap(day.platforms, limitsByPlatform, 'commentsPerDay'))
+      );
+      dailyRows.appendChild(row);
+    });
+
+    platformRows.innerHTML = '';
+    if (Object.keys(platforms).length === 0) {
+      renderEmptyRow(platformRows, 3, t.noSessions);
+    }
+    Object.entries(platforms).forEach(([platform, counts]) => {
+      const row = document.createElement('tr');
+      [platformName(platform), counts.sessions, averageMinutes(counts.minutes, counts.sessions)].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      platformRows.appendChild(row);
+    });
+
+    renderReasonCounts(skipReasonList, skipReasons, t.reasons, t.noSkips);
+    renderReasonCounts(stopReasonList, stopReasons, t.stopReasons, t.noSessions);
+  }
+
+  /**
+   * One bar per reason, longest first, scaled to the most common one
+   */
+  function renderReasonCounts(list, counts, labels, emptyNote) {
+    list.innerHTML = '';
+    const reasons = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    if (reasons.length === 0) {
+      list.innerHTML = `<div class="empty-note">${emptyNote}</div>`;
+    }
+    const mostCommon = reasons.length > 0 ? reasons[0][1] : 0;
+    reasons.forEach(([reason, count]) => {
+      const item = document.createElement('div');
+      item.className = 'skip-reason';
+      item.textContent = `${labels[reason] || reason}: ${count}`;
+
+      const meter = document.createElement('div');
+      meter.className = 'meter';
+      const fill = document.createElement('div');
+      fill.className = 'meter-fill';
+      fill.style.width = `${count / mostCommon * 100}%`;
+      meter.appendChild(fill);
+      item.appendChild(meter);
+
+      list.appendChild(item);
+    });
+  }
+
+  async function loadDashboard() {
+    const days = parseInt(dashboardRangeSelect.value, 10);
+    const from = new Date();
+    from.setHours(0, 0, 0, 0);
+    from.setDate(from.getDate() - (days - 1));
+
+    try {
+      const [sessions, { safetyLimits }] = await Promise.all([
+        engagementHistory.getSessions({ from: from.getTime() }),
+        chrome.storage.sync.get(['safetyLimits'])
+      ]);
+      renderDashboard(summarizeSessions(sessions), safetyLimits || {});
+    } catch (error) {
+      console.log('Could not load session summaries:', error);
+    }
+  }
+
+  dashboardRangeSelect.addEventListener('change', loadDashboard);
+
+  // Debounce typing in the search box
+  let searchTimeout = null;
+  filterSearchInput.addEventListener('input', function () {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(loadHistory, 250);
+  });
+
+  [filterPlatformSelect, filterActionSelect, filterFromInput, filterToInput].forEach(input => {
+    input.addEventListener('change', loadHistory);
+  });
+
+  clearHistoryBtn.addEventListener('click', async function () {
+    if (!confirm(translations[currentLang].clearHistoryConfirm)) return;
+
+    await engagementHistory.clear();
+    loadHistory();
+  });
+
+  retentionSelect.addEventListener('change', async function () {
+    await chrome.storage.local.set({ [window.EngagementHistory.RETENTION_KEY]: parseInt(retentionSelect.value) });
+  });
+
+  async function loadRetention() {
+    retentionSelect.value = String(await window.EngagementHistory.getRetentionDays());
+  }
+
+  function downloadFile(fileName, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function exportPrefix() {
+    return `lajysocial-${dayKey(Date.now())}`;
+  }
+
+  async function exportHistory(format) {
+    const t = translations[currentLang];
+
+    try {
+      const data = await window.HistoryTransfer.collect(engagementHistory);
+
+      if (format === 'json') {
+        downloadFile(`${exportPrefix()}-history.json`, window.HistoryTransfer.toJSON(data), 'application/json');
+      } else {
+        Object.entries(window.HistoryTransfer.toCSV(data)).forEach(([fileName, csv]) => {
+          downloadFile(`${exportPrefix()}-${fileName}`, csv, 'text/csv');
+        });
+      }
+
+      transferStatus.textContent = t.exported.replace('{count}', data.engagements.length);
+    } catch (error) {
+      console.log('Could not export history:', error);
+    }
+  }
+
+  exportJsonBtn.addEventListener('click', () => exportHistory('json'));
+  exportCsvBtn.addEventListener('click', () => exportHistory('csv'));
+  importBtn.addEventListener('click', () => importFileInput.click());
+
+  importFileInput.addEventListener('change', async function () {
+    const t = translations[currentLang];
+    const totals = { engagements: 0, sessions: 0, urls: 0, authors: 0 };
+
+    try {
+      for (const file of importFileInput.files) {
+        const data = window.HistoryTransfer.parse(file.name, await file.text());
+        const added = await window.HistoryTransfer.merge(engagementHistory, data);
+        Object.keys(totals).forEach(key => {
+          totals[key] += added[key];
+        });
+      }
+
+      transferStatus.textContent = Object.entries(totals)
+        .reduce((text, [key, count]) => text.replace(`{${key}}`, count), t.imported);
+    } catch (error) {
+      console.log('Could not import history:', error);
+      transferStatus.textContent = `${t.importFailed}: ${error.message}`;
+    }
+
+    importFileInput.value = '';
+    loadDashboard();
+    loadHistory();
+  });
+
+  function fileSlug(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+  }
+
+  async function renderProfiles() {
+    const t = translations[currentLang];
+    const profiles = await window.SettingsBackup.getProfiles();
+
+    profileRows.innerHTML = '';
+    if (profiles.length === 0) {
+      renderEmptyRow(profileRows, 3, t.noProfiles);
+    }
+
+    profiles.forEach(profile => {
+      const row = document.createElement('tr');
+
+      const name = document.createElement('td');
+      name.textContent = profile.name;
+
+      const saved = document.createElement('td');
+      saved.textContent = profile.savedAt ? new Date(profile.savedAt).toLocaleString() : '';
+
+      const buttons = document.createElement('td');
+      const addButton = (label, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'btn';
+        button.style.marginRight = '6px';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        buttons.appendChild(button);
+      };
+
+      addButton(t.apply, async () => {
+        await window.SettingsBackup.applyProfile(profile.id);
+        settingsStatus.textContent = t.profileApplied.replace('{name}', profile.name);
+      });
+      addButton(t.export, () => {
+        const file = window.SettingsBackup.exportProfile(profile);
+        downloadFile(`lajysocial-profile-${fileSlug(profile.name)}.json`, JSON.stringify(file, null, 2), 'application/json');
+      });
+      addButton(t.delete, async () => {
+        if (!confirm(t.deleteProfileConfirm.replace('{name}', profile.name))) return;
+        await window.SettingsBackup.deleteProfile(profile.id);
+        renderProfiles();
+      });
+
+      row.append(name, saved, buttons);
+      profileRows.appendChild(row);
+    });
+  }
+
+  /**
+   * Read a picked JSON file; shows the error in the settings status line
+   */
+  async function readJsonFile(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return null;
+
+    try {
+      return JSON.parse(await file.text());
+    } catch (error) {
+      settingsStatus.textContent = `${translations[currentLang].importFailed}: ${error.message}`;
+      return null;
+    }
+  }
+
+  backupSettingsBtn.addEventListener('click', async function () {
+    try {
+      const backup = await window.SettingsBackup.createBackup();
+      downloadFile(`${exportPrefix()}-settings.json`, JSON.stringify(backup, null, 2), 'application/json');
+    } catch (error) {
+      console.log('Could not back up settings:', error);
+    }
+  });
+
+  restoreSettingsBtn.addEventListener('click', () => restoreSettingsFileInput.click());
+
+  restoreSettingsFileInput.addEventListener('change', async function () {
+    const t = translations[currentLang];
+    const data = await readJsonFile(restoreSettingsFileInput);
+    if (!data || !confirm(t.restoreConfirm)) return;
+
+    const result = await window.SettingsBackup.restore(data);
+    settingsStatus.textContent = result.success
+      ? t.settingsRestored
+      : `${t.importFailed}: ${result.errors.join('; ')}`;
+
+    // Theme and language may have changed too
+    await loadAppearance();
+    updateLanguage();
+    renderProfiles();
+    loadDashboard();
+    loadHistory();
+  });
+
+  saveProfileBtn.addEventListener('click', async function () {
+    const t = translations[currentLang];
+    const name = profileNameInput.value.trim();
+    if (!name) {
+      settingsStatus.textContent = t.profileNameRequired;
+      return;
+    }
+
+    await window.SettingsBackup.saveCurrentAsProfile(name);
+    profileNameInput.value = '';
+    settingsStatus.textContent = t.profileSaved.replace('{name}', name);
+    renderProfiles();
+  });
+
+  importProfileBtn.addEventListener('click', () => importProfileFileInput.click());
+
+  importProfileFileInput.addEventListener('change', async function () {
+    const t = translations[currentLang];
+    const data = await readJsonFile(importProfileFileInput);
+    if (!data) return;
+
+    const result = await window.SettingsBackup.importProfile(data);
+    settingsStatus.textContent = result.success
+      ? t.profileImported.replace('{name}', result.profile.name)
+      : `${t.importFailed}: ${result.errors.join('; ')}`;
+    renderProfiles();
+  });
+
+  async function loadAppearance() {
+    try {
+      const result = await chrome.storage.sync.get(['theme', 'language']);
+      document.body.classList.toggle('dark-mode', result.theme === 'dark');
+      if (result.language) {
+        currentLang = result.language;
+      }
+    } catch (error) {
+      console.log('Using default theme and language');
+    }
+  }
+
+  async function init() {
+    await loadAppearance();
+
+    updateLanguage();
+    renderProfiles();
+    loadRetention();
+    loadDashboard();
+    loadHistory();
+  }
+
+  init();
+});
@@ -1,15 +1,18 @@
 document.addEventListener('DOMContentLoaded', function () {
   const startBtn = document.getElementById('startBtn');
   const stopBtn = document.getElementById('stopBtn');
-  const testSeeMoreBtn = document.getElementById('testSeeMoreBtn');
-  const testLikeBtn = document.getElementById('testLikeBtn');
-  const testCommentBtn = document.getElementById('testCommentBtn');
-  const testLinkedInExtractBtn = document.getElementById('testLinkedInExtractBtn');
+  const runDiagnosticsBtn = document.getElementById('runDiagnosticsBtn');
+  const copyDiagnosticsBtn = document.getElementById('copyDiagnosticsBtn');
+  const diagnosticsSummary = document.getElementById('diagnosticsSummary');
+  const diagnosticsList = document.getElementById('diagnosticsList');
   const supportBtn = document.getElementById('supportBtn');
   const supportQRContainer = document.getElementById('supportQRContainer');
   const statusDiv = document.getElementById('status');
   const statusText = document.getElementById('status-text');
   const platformText = document.getElementById('platform-text');
+  const sessionSummaryText = document.getElementById('session-summary');
+  const platformBusyDiv = document.getElementById('platform-busy');
+  const goToHolderLink = document.getElementById('goToHolderLink');
 
   const scrollSpeedMinSlider = document.getElementById('scrollSpeedMin');
   const scrollSpeedMaxSlider = document.getElementById('scrollSpeedMax');
@@ -36,6 +39,32 @@ document.addEventListener('DOMContentLoaded', function () {
   const langBtn = document.getElementById('langBtn');
   const themeBtn = document.getElementById('themeBtn');
   const modeBtn = document.getElementById('modeBtn');
+  const historyBtn = document.getElementById('historyBtn');
+  const profileSelect = document.getElementById('profileSelect');
+  const profileHint = document.getElementById('profileHint');
+
+  const settingsPresetSelect = document.getElementById('settingsPresetSelect');
+  const settingsPresetStatus = document.getElementById('settingsPresetStatus');
+  const settingsPresetNameInput = document.getElementById('settingsPresetName');
+  const saveSettingsPresetBtn = document.getElementById('saveSettingsPresetBtn');
+  const deleteSettingsPresetBtn = document.getElementById('deleteSettingsPresetBtn');
+
+  const platformScopeCard = document.getElementById('platformScopeCard');
+  const inheritGlobalSettingsCheckbox = document.getElementById('inheritGlobalSettings');
+  const platformScopeHint = document.getElementById('platformScopeHint');
+
+  const safetyLimitsCard = document.getElementById('safetyLimitsCard');
+  const safetyWindowModeSelect = document.getElementById('safetyWindowMode');
+  const saveSafetyLimitsBtn = document.getElementById('saveSafetyLimitsBtn');
+
+  const activeHoursCard = document.getElementById('activeHoursCard');
+  const activeHoursEnabledCheckbox = document.getElementById('activeHoursEnabled');
+  const activeHoursDaysContainer = document.getElementById('activeHoursDays');
+  const activeHoursRangesInput = document.getElementById('activeHoursRanges');
+  const activeHoursOutsideSelect = document.getElementById('activeHoursOutside');
+  const activeHoursNext = document.getElementById('activeHoursNext');
+  const activeHoursErrors = document.getElementById('activeHoursErrors');
+  const saveActiveHoursBtn = document.getElementById('saveActiveHoursBtn');
 
   // LinkedIn-specific options
   const linkedinOptionsCard = document.getElementById('linkedinOptionsCard');
@@ -45,21 +74,94 @@ document.addEventListener('DOMContentLoaded', function () {
   const maxPostAgeInput = document.getElementById('maxPostAge');
   const maxPostAgeValue = document.getElementById('maxPostAgeValue');
 
+  // Twitter-specific options
+  const twitterOptionsCard = document.getElementById('twitterOptionsCard');
+  const skipPromotedTweetsCheckbox = document.getElementById('skipPromotedTweets');
+  const skipRetweetsCheckbox = document.getElementById('skipRetweets');
+  const skipRepliesCheckbox = document.getElementById('skipReplies');
+
+  // Instagram-specific options
+  const instagramOptionsCard = document.getElementById('instagramOptionsCard');
+  const instagramModeSelect = document.getElementById('instagramMode');
+
   const commentTemplatesTextarea = document.getElementById('commentTemplates');
   const saveTemplatesBtn = document.getElementById('saveTemplatesBtn');
+  const templateErrors = document.getElementById('templateErrors');
+  const templateUsage = document.getElementById('templateUsage');
 
   const freeModeSection = document.getElementById('freeModeSection');
   const proModeSection = document.getElementById('proModeSection');
   const personaSelect = document.getElementById('personaSelect');
   const customPresetSection = document.getElementById('customPresetSection');
   const savePresetBtn = document.getElementById('savePresetBtn');
+  const personaPreview = document.getElementById('personaPreview');
+  const customPresetSelect = document.getElementById('customPresetSelect');
+  const deleteCustomPresetBtn = document.getElementById('deleteCustomPresetBtn');
+  const platformPresetRow = document.getElementById('platformPresetRow');
+  const platformPresetDefaultCheckbox = document.getElementById('platformPresetDefault');
+  const presetNameInput = document.getElementById('presetName');
+  const presetReferenceInput = document.getElementById('presetReference');
+  const providerTypeSelect = document.getElementById('providerType');
+  const providerOpenAISection = document.getElementById('providerOpenAISection');
+  const providerBaseUrlInput = document.getElementById('providerBaseUrl');
+  const providerModelInput = document.getElementById('providerModel');
+  const providerApiKeyInput = document.getElementById('providerApiKey');
+  const saveProviderBtn = document.getElementById('saveProviderBtn');
+  const testProviderBtn = document.getElementById('testProviderBtn');
+  const providerStatus = document.getElementById('providerStatus');
   const currentPlatformSpan = document.getElementById('currentPlatform');
 
+  const selectorPackCard = document.getElementById('selectorPackCard');
+  const selectorPackInfo = document.getElementById('selectorPackInfo');
+  const selectorPackOverrideTextarea = document.getElementById('selectorPackOverride');
+  const selectorPackReport = document.getElementById('selectorPackReport');
+  const saveSelectorPackBtn = document.getElementById('saveSelectorPackBtn');
+  const resetSelectorPackBtn = document.getElementById('resetSelectorPackBtn');
+
+  const maxSessionMinutesInput = document.getElementById('maxSessionMinutes');
+  const maxPostsViewedInput = document.getElementById('maxPostsViewed');
+  const maxLikesInput = document.getElementById('maxLikes');
+  const maxCommentsInput = document.getElementById('maxComments');
+  const noRepeatWindowInput = document.getElementById('noRepeatWindow');
+  const stopWhenLimitsExhaustedCheckbox = document.getElementById('stopWhenLimitsExhausted');
+
+  const scheduleList = document.getElementById('scheduleList');
+  const schedulePlatformSelect = document.getElementById('schedulePlatform');
+  const scheduleDaysContainer = document.getElementById('scheduleDays');
+  const scheduleTimesInput = document.getElementById('scheduleTimes');
+  const scheduleDurationInput = document.getElementById('scheduleDuration');
+  const scheduleProfileSelect = document.getElementById('scheduleProfile');
+  const scheduleErrors = document.getElementById('scheduleErrors');
+  const addScheduleBtn = document.getElementById('addScheduleBtn');
+
   let currentTab = null;
   let currentLang = 'en';
   let currentTheme = 'light';
   let currentMode = 'free';
   let currentPlatform = 'facebook';
+  // Platform whose settings the popup edits (null = global, when no supported platform is open)
+  let settingsPlatform = null;
+  let settingsInherit = true;
+  let presets = [];
+  let selectedPresetId = null;
+  // proModeSettings with the 'custom' persona's presets (see PersonaPresets)
+  let personaPresetSettings = PersonaPresets.normalize({});
+  // Stored active hours of settingsPlatform, for the "next window" line
+  let activeHoursConfig = null;
+
+  // Popup control for each key a preset can set (see SettingsPresets.KEYS)
+  const presetControls = {
+    scrollSpeedMin: scrollSpeedMinSlider,
+    scrollSpeedMax: scrollSpeedMaxSlider,
+    enableAutoLike: enableAutoLikeCheckbox,
+    likeProbability: likeProbabilitySlider,
+    likeDelay: likeDelaySlider,
+    enableAutoComment: enableAutoCommentCheckbox,
+    commentProbability: commentProbabilitySlider,
+    commentDelay: commentDelaySlider,
+    enableSeeMore: enableSeeMoreCheckbox,
+    seeMoreDelay: seeMoreDelaySlider
+  };
 
   const translations = {
     en: {
@@ -77,7 +179,7 @@ document.addEventListener('DOMContentLoaded', function () {
       expandContent: "Expand Content",
       autoLike: "Auto Like",
       autoComment: "Auto Comment",
-      testingTools: "Testing Tools",
+      diagnostics: "Diagnostics",
       scrollSpeedRange: "Scroll Speed Range",
       clickDelay: "Click Delay",
       likeDelay: "Like Delay",
@@ -89,12 +191,24 @@ document.addEventListener('DOMContentLoaded', function () {
       fasterSlower: "Faster ← → Slower",
       moreFrequent: "More Frequent ← → Less Frequent",
       neverAlways: "Never ← → Always",
-      testSeeMore: 'Test "See More"',
-      testLike: 'Test "Like Post"',
-      testComment: 'Test "Comment"',
+      runDiagnostics: "Run Diagnostics",
+      copyDiagnostics: "Copy Report",
+      diagnosticsCopied: "Copied!",
+      diagnosticsRunning: "Checking selectors...",
+      diagnosticsPassed: "All required selectors found",
+      diagnosticsFailed: "Some selectors are broken",
+      diagnosticsFirstPost: "First post",
       commentTemplates: "Comment Templates",
       templateInstructions: "Enter your comment templates (one per line)",
-      templateTip: "💡 Use {author_first} for first name, {comma} for optional comma",
+      templateTip: "💡 Variables: {author_first} {author} {author_handle} {platform} {day_part} {hashtag} {topic} {comma}. Pick one: {great|nice|solid}. [Thanks, {author_first}] is dropped when the name is unknown. Filters: {topic:capitalize}, upper, lower, truncate(20)",
+      templateLine: "Line",
+      templateTipWeights: " Add *3 at the end to use a line 3 times as often; write \\*3 for a comment that really ends in *3.",
+      templateWeight: "weight {weight}",
+      templateUsageTitle: "📊 Times used (the last {count} comments aren't repeated):",
+      templateUsageNoWindow: "📊 Times used:",
+      noRepeatWindow: "No-Repeat Window",
+      noRepeatWindowHint: "New comments don't reuse the templates of, or closely copy, this many recent ones (0 = off)",
+      templateUsageEmpty: "📊 No comments posted on this platform yet",
       saveTemplates: "Save Templates",
       templatesSaved: "Templates saved!",
       supportMe: "Support Me",
@@ -105,7 +219,147 @@ document.addEventListener('DOMContentLoaded', function () {
       skipFriendActivities: "Skip Friend Activities",
       timeFilterEnabled: "Time Filter",
       maxPostAge: "Max Post Age",
-      maxPostAgeHint: "Only engage with posts newer than this (in hours)"
+      maxPostAgeHint: "Only engage with posts newer than this (in hours)",
+      twitterOptions: "Twitter Options",
+      skipPromotedTweets: "Skip Promoted Tweets",
+      skipRetweets: "Skip Reposts",
+      skipReplies: "Skip Replies",
+      instagramOptions: "Instagram Options",
+      instagramMode: "Mode",
+      instagramModeFeed: "Home Feed",
+      instagramModeReels: "Reels",
+      instagramModeHint: "Reels mode works on instagram.com/reels/ and watches each reel before engaging",
+      selectorPack: "Selector Pack",
+      selectorPackOverride: "Override (JSON, only the fields you change)",
+      saveSelectorPack: "Save Override",
+      resetSelectorPack: "Reset to Bundled",
+      selectorPackSaved: "Override applied!",
+      selectorPackInvalidJson: "Invalid JSON",
+      selectorPackBundled: "bundled",
+      selectorPackOverridden: "overridden",
+      selectorPackMatches: "Matches on this page",
+      stopConditions: "Stop Conditions",
+      maxSessionMinutes: "Max Minutes",
+      maxPostsViewed: "Max Posts Viewed",
+      maxLikes: "Max Likes",
+      maxComments: "Max Comments",
+      stopWhenLimitsExhausted: "Stop When Safety Limits Are Reached",
+      stopConditionsHint: "0 = no limit. The session stops at whichever comes first",
+      lastSession: "Last session",
+      stopReasons: {
+        user: "stopped by you",
+        schedule: "scheduled time is up",
+        navigation: "left the platform",
+        tabClosed: "tab was closed",
+        maxSessionMinutes: "time limit reached ({limit} min)",
+        maxPostsViewed: "{limit} posts viewed",
+        maxLikes: "{limit} likes given",
+        maxComments: "{limit} comments posted",
+        safetyLimits: "safety limits reached",
+        viewLimit: "posts viewed safety limit reached"
+      },
+      platformBusy: "Already running in another tab: \"{title}\"",
+      goToTab: "Go to tab",
+      safetyLimitsTitle: "Safety Limits for {platform}",
+      perHour: "Per Hour",
+      perDay: "Per Day",
+      minGap: "Gap (s)",
+      quotaLeft: "Left",
+      limitActions: {
+        comment: "Comments",
+        like: "Likes",
+        seeMore: "See More",
+        view: "Posts Viewed"
+      },
+      safetyWindowMode: "Window",
+      safetyWindowFixed: "Fixed (restarts every hour/day)",
+      safetyWindowRolling: "Rolling (last 60 min / 24 h)",
+      safetyLimitsHint: "0 = no limit. Gap = least time between two. \"Left\" is this hour · today",
+      quotaFreesAt: "Next one at {time}",
+      saveSafetyLimits: "Save Limits",
+      safetyLimitsSaved: "Limits saved!",
+      activeHoursTitle: "Active Hours for {platform}",
+      activeHoursEnabled: "Only engage in these hours",
+      activeHoursDays: "Days",
+      activeHoursRanges: "Time Ranges",
+      activeHoursOutside: "Outside These Hours",
+      activeHoursIdle: "Pause until the window opens",
+      activeHoursScroll: "Keep scrolling, no likes or comments",
+      saveActiveHours: "Save Hours",
+      activeHoursSaved: "Hours saved!",
+      activeHoursAlways: "Engages at any time",
+      activeHoursOpenUntil: "In a window now · closes {time}",
+      activeHoursClosedUntil: "Outside active hours · next window {time}",
+      activeHoursNoWindow: "Outside active hours · no window ahead",
+      personaPreview: "Sounds like: {samples}",
+      customPresetSelect: "Preset",
+      newCustomPreset: "+ New preset",
+      deleteCustomPreset: "Delete",
+      platformPresetDefault: "Default for {platform}",
+      personaNoPreset: "Save a preset below to comment in your own style",
+      provider: "🤖 Comment Writer",
+      providerTemplates: "Templates (no AI)",
+      providerOpenAI: "OpenAI-compatible API",
+      providerMock: "Offline mock (for testing)",
+      providerBaseUrl: "Base URL",
+      providerModel: "Model",
+      providerApiKey: "API Key (kept on this device)",
+      saveProvider: "Save",
+      testProvider: "Test",
+      providerSaved: "Saved!",
+      providerTesting: "Asking for a sample comment...",
+      providerTestResult: "Sample comment: {comment}",
+      providerTestFailed: "Failed: {error}",
+      providerUsesTemplates: "Pro mode comments come from your templates",
+      providerBadUrl: "Base URL must start with http:// or https://",
+      providerNoPermission: "Not allowed to reach {origin}",
+      schedule: "Schedule",
+      schedulePlatform: "Platform",
+      scheduleDays: "Days",
+      scheduleTimes: "Start Times",
+      scheduleDuration: "Duration (minutes)",
+      scheduleProfile: "Settings",
+      scheduleProfileLive: "Current settings at run time",
+      scheduleProfileSnapshot: "Settings as they are now",
+      addSchedule: "Add Schedule",
+      scheduleNextRun: "Next",
+      scheduleNotPlanned: "Not planned",
+      scheduleEmpty: "No scheduled sessions yet",
+      scheduleDelete: "Delete",
+      dayNames: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+      settingsProfile: "Settings Profile",
+      switchProfile: "Switch to profile...",
+      noProfiles: "No profiles yet",
+      profileHint: "Save, share and back up profiles on the 🕘 page",
+      profileApplied: "Switched to \"{name}\"",
+      settingsPreset: "Preset",
+      presetNames: { beginner: "Beginner", moderate: "Moderate", aggressive: "Aggressive" },
+      presetCustomValues: "Custom values",
+      presetMatches: "Settings match this preset",
+      presetChanged: "Changed from {name}",
+      presetNone: "Settings don't match any preset",
+      presetNamePlaceholder: "Preset name",
+      saveSettingsPreset: "Save as Preset",
+      deleteSettingsPreset: "Delete Preset",
+      presetSaved: "Preset saved for {platform}",
+      presetKeys: {
+        scrollSpeedMin: "Min scroll",
+        scrollSpeedMax: "Max scroll",
+        enableAutoLike: "Auto Like",
+        likeProbability: "Like probability",
+        likeDelay: "Like delay",
+        enableAutoComment: "Auto Comment",
+        commentProbability: "Comment probability",
+        commentDelay: "Comment delay",
+        enableSeeMore: "See More",
+        seeMoreDelay: "See More delay"
+      },
+      on: "ON",
+      off: "OFF",
+      platformScope: "Settings for {platform}",
+      inheritGlobal: "Use Global Settings",
+      scopeInheritHint: "Changes below apply to every platform that uses the global settings",
+      scopeOwnHint: "Changes below apply to {platform} only"
     },
     vi: {
       title: "Lướt Tự Động",
@@ -122,7 +376,7 @@ document.addEventListener('DOMContentLoaded', function () {
       expandContent: "Tự ấn xem thêm",
       autoLike: "Tự thả tim",
       autoComment: "Bình Luận Tự Động",
-      testingTools: "Công Cụ Kiểm Tra",
+      diagnostics: "Chẩn Đoán",
       scrollSpeedRange: "Phạm Vi Tốc Độ Cuộn",
       clickDelay: "Độ Trễ Click",
       likeDelay: "Độ Trễ Thích",
@@ -134,12 +388,24 @@ document.addEventListener('DOMContentLoaded', function () {
       fasterSlower: "Nhanh hơn ← → Chậm hơn",
       moreFrequent: "Thường xuyên hơn ← → Ít hơn",
       neverAlways: "Không bao giờ ← → Luôn luôn",
-      testSeeMore: 'test Xem thêm',
-      testLike: 'test Tự thả like',
-      testComment: 'test Tự bình luận',
+      runDiagnostics: "Chạy Chẩn Đoán",
+      copyDiagnostics: "Sao Chép",
+      diagnosticsCopied: "Đã sao chép!",
+      diagnosticsRunning: "Đang kiểm tra selector...",
+      diagnosticsPassed: "Đã tìm thấy mọi selector bắt buộc",
+      diagnosticsFailed: "Một số selector bị hỏng",
+      diagnosticsFirstPost: "Bài viết đầu tiên",
       commentTemplates: "Mẫu Bình Luận",
       templateInstructions: "✍️ Mẫu bình luận của bạn (mỗi dòng 1 mẫu)",
-      templateTip: "💡 Dùng {author_first} cho tên, {comma} cho dấu phẩy tùy chọn",
+      templateTip: "💡 Biến: {author_first} {author} {author_handle} {platform} {day_part} {hashtag} {topic} {comma}. Chọn ngẫu nhiên: {hay|tuyệt|chuẩn}. [Cảm ơn {author_first}] sẽ bị bỏ khi không rõ tên. Bộ lọc: {topic:capitalize}, upper, lower, truncate(20)",
+      templateLine: "Dòng",
+      templateTipWeights: " Thêm *3 ở cuối để một dòng được dùng nhiều gấp 3; viết \\*3 nếu bình luận thật sự kết thúc bằng *3.",
+      templateWeight: "trọng số {weight}",
+      templateUsageTitle: "📊 Số lần đã dùng ({count} bình luận gần nhất không lặp lại):",
+      templateUsageNoWindow: "📊 Số lần đã dùng:",
+      noRepeatWindow: "Chống Lặp Lại",
+      noRepeatWindowHint: "Bình luận mới không dùng lại mẫu và không na ná bấy nhiêu bình luận gần nhất (0 = tắt)",
+      templateUsageEmpty: "📊 Chưa đăng bình luận nào trên nền tảng này",
       saveTemplates: "Lưu Mẫu",
       templatesSaved: "Đã lưu!",
       supportMe: "Ủng Hộ Tui",
@@ -150,7 +416,147 @@ document.addEventListener('DOMContentLoaded', function () {
       skipFriendActivities: "Bỏ Qua Hoạt Động Bạn Bè",
       timeFilterEnabled: "Lọc Theo Thời Gian",
       maxPostAge: "Tuổi Bài Viết Tối Đa",
-      maxPostAgeHint: "Chỉ tương tác với bài viết mới hơn mức này (tính bằng giờ)"
+      maxPostAgeHint: "Chỉ tương tác với bài viết mới hơn mức này (tính bằng giờ)",
+      twitterOptions: "Tùy Chọn Twitter",
+      skipPromotedTweets: "Bỏ Qua Tweet Quảng Cáo",
+      skipRetweets: "Bỏ Qua Bài Đăng Lại",
+      skipReplies: "Bỏ Qua Trả Lời",
+      instagramOptions: "Tùy Chọn Instagram",
+      instagramMode: "Chế độ",
+      instagramModeFeed: "Bảng Tin",
+      instagramModeReels: "Reels",
+      instagramModeHint: "Chế độ Reels hoạt động trên instagram.com/reels/ và xem từng reel trước khi tương tác",
+      selectorPack: "Bộ Selector",
+      selectorPackOverride: "Ghi đè (JSON, chỉ các trường cần đổi)",
+      saveSelectorPack: "Lưu Ghi Đè",
+      resetSelectorPack: "Về Mặc Định",
+      selectorPackSaved: "Đã áp dụng!",
+      selectorPackInvalidJson: "JSON không hợp lệ",
+      selectorPackBundled: "mặc định",
+      selectorPackOverridden: "đã ghi đè",
+      selectorPackMatches: "Số phần tử khớp trên trang",
+      stopConditions: "Điều Kiện Dừng",
+      maxSessionMinutes: "Số Phút Tối Đa",
+      maxPostsViewed: "Số Bài Xem Tối Đa",
+      maxLikes: "Số Like Tối Đa",
+      maxComments: "Số Comment Tối Đa",
+      stopWhenLimitsExhausted: "Dừng Khi Hết Giới Hạn An Toàn",
+      stopConditionsHint: "0 = không giới hạn. Phiên dừng khi chạm mốc nào trước",
+      lastSession: "Phiên trước",
+      stopReasons: {
+        user: "bạn bấm dừng",
+        schedule: "hết giờ hẹn",
+        navigation: "đã rời nền tảng",
+        tabClosed: "tab đã bị đóng",
+        maxSessionMinutes: "hết giờ ({limit} phút)",
+        maxPostsViewed: "đã xem {limit} bài",
+        maxLikes: "đã like {limit} bài",
+        maxComments: "đã comment {limit} lần",
+        safetyLimits: "chạm giới hạn an toàn",
+        viewLimit: "chạm giới hạn số bài xem"
+      },
+      platformBusy: "Đang chạy ở tab khác: \"{title}\"",
+      goToTab: "Chuyển tới tab",
+      safetyLimitsTitle: "Giới Hạn An Toàn cho {platform}",
+      perHour: "Mỗi Giờ",
+      perDay: "Mỗi Ngày",
+      minGap: "Cách (giây)",
+      quotaLeft: "Còn",
+      limitActions: {
+        comment: "Comment",
+        like: "Like",
+        seeMore: "Xem Thêm",
+        view: "Bài Đã Xem"
+      },
+      safetyWindowMode: "Cách Tính",
+      safetyWindowFixed: "Cố định (đặt lại mỗi giờ/ngày)",
+      safetyWindowRolling: "Trượt (60 phút / 24 giờ gần nhất)",
+      safetyLimitsHint: "0 = không giới hạn. Cách = thời gian tối thiểu giữa hai lần. \"Còn\" là giờ này · hôm nay",
+      quotaFreesAt: "Lượt tiếp theo lúc {time}",
+      saveSafetyLimits: "Lưu Giới Hạn",
+      safetyLimitsSaved: "Đã lưu!",
+      activeHoursTitle: "Giờ Hoạt Động cho {platform}",
+      activeHoursEnabled: "Chỉ tương tác trong các giờ này",
+      activeHoursDays: "Ngày",
+      activeHoursRanges: "Khung Giờ",
+      activeHoursOutside: "Ngoài Khung Giờ",
+      activeHoursIdle: "Tạm dừng đến khi vào khung giờ",
+      activeHoursScroll: "Vẫn cuộn, không thích hay bình luận",
+      saveActiveHours: "Lưu Giờ",
+      activeHoursSaved: "Đã lưu!",
+      activeHoursAlways: "Tương tác bất cứ lúc nào",
+      activeHoursOpenUntil: "Đang trong khung giờ · kết thúc {time}",
+      activeHoursClosedUntil: "Ngoài giờ hoạt động · khung tiếp theo {time}",
+      activeHoursNoWindow: "Ngoài giờ hoạt động · không có khung giờ nào sắp tới",
+      personaPreview: "Ví dụ: {samples}",
+      customPresetSelect: "Preset",
+      newCustomPreset: "+ Preset mới",
+      deleteCustomPreset: "Xóa",
+      platformPresetDefault: "Mặc định cho {platform}",
+      personaNoPreset: "Lưu một preset bên dưới để bình luận theo giọng của bạn",
+      provider: "🤖 Người Viết Bình Luận",
+      providerTemplates: "Mẫu có sẵn (không dùng AI)",
+      providerOpenAI: "API tương thích OpenAI",
+      providerMock: "Giả lập offline (để thử)",
+      providerBaseUrl: "Địa chỉ API",
+      providerModel: "Mô hình",
+      providerApiKey: "API Key (chỉ lưu trên máy này)",
+      saveProvider: "Lưu",
+      testProvider: "Thử",
+      providerSaved: "Đã lưu!",
+      providerTesting: "Đang xin một bình luận mẫu...",
+      providerTestResult: "Bình luận mẫu: {comment}",
+      providerTestFailed: "Lỗi: {error}",
+      providerUsesTemplates: "Bình luận ở chế độ Pro lấy từ các mẫu của bạn",
+      providerBadUrl: "Địa chỉ API phải bắt đầu bằng http:// hoặc https://",
+      providerNoPermission: "Không được phép truy cập {origin}",
+      schedule: "Lịch Chạy",
+      schedulePlatform: "Nền tảng",
+      scheduleDays: "Ngày",
+      scheduleTimes: "Giờ Bắt Đầu",
+      scheduleDuration: "Thời lượng (phút)",
+      scheduleProfile: "Cài đặt",
+      scheduleProfileLive: "Cài đặt hiện tại lúc chạy",
+      scheduleProfileSnapshot: "Cài đặt như bây giờ",
+      addSchedule: "Thêm Lịch",
+      scheduleNextRun: "Lần tới",
+      scheduleNotPlanned: "Chưa lên lịch",
+      scheduleEmpty: "Chưa có lịch chạy nào",
+      scheduleDelete: "Xóa",
+      dayNames: ["CN", "T2", "T3", "T4", "T5", "T6", "T7"],
+      settingsProfile: "Hồ Sơ Cài Đặt",
+      switchProfile: "Chuyển sang hồ sơ...",
+      noProfiles: "Chưa có hồ sơ nào",
+      profileHint: "Lưu, chia sẻ và sao lưu hồ sơ ở trang 🕘",
+      profileApplied: "Đã chuyển sang \"{name}\"",
+      settingsPreset: "Mẫu Cài Đặt",
+      presetNames: { beginner: "Người mới", moderate: "Vừa phải", aggressive: "Mạnh tay" },
+      presetCustomValues: "Tùy chỉnh",
+      presetMatches: "Cài đặt khớp với mẫu này",
+      presetChanged: "Đã đổi so với {name}",
+      presetNone: "Cài đặt không khớp mẫu nào",
+      presetNamePlaceholder: "Tên mẫu",
+      saveSettingsPreset: "Lưu Thành Mẫu",
+      deleteSettingsPreset: "Xóa Mẫu",
+      presetSaved: "Đã lưu mẫu cho {platform}",
+      presetKeys: {
+        scrollSpeedMin: "Cuộn tối thiểu",
+        scrollSpeedMax: "Cuộn tối đa",
+        enableAutoLike: "Tự thả tim",
+        likeProbability: "Xác suất like",
+        likeDelay: "Delay like",
+        enableAutoComment: "Tự mõm",
+        commentProbability: "Xác suất comment",
+        commentDelay: "Delay comment",
+        enableSeeMore: "Xem thêm",
+        seeMoreDelay: "Delay xem thêm"
+      },
+      on: "BẬT",
+      off: "TẮT",
+      platformScope: "Cài đặt cho {platform}",
+      inheritGlobal: "Dùng Cài Đặt Chung",
+      scopeInheritHint: "Thay đổi bên dưới áp dụng cho mọi nền tảng dùng cài đặt chung",
+      scopeOwnHint: "Thay đổi bên dưới chỉ áp dụng cho {platform}"
     }
   };
 
@@ -159,13 +565,52 @@ document.addEventListener('DOMContentLoaded', function () {
     return tab;
   }
 
+  function renderSessionSummary(summary) {
+    if (!summary) {
+      sessionSummaryText.style.display = 'none';
+      return;
+    }
+
+    const t = translations[currentLang];
+    const reasonTemplate = t.stopReasons[summary.reason.code] || t.stopReasons.user;
+    const reason = reasonTemplate.replace('{limit}', summary.reason.limit);
+    const { totalPostsViewed, totalPostsLiked, totalComments } = summary.stats;
+
+    sessionSummaryText.textContent = `${t.lastSession}: ${reason} · ${summary.durationMinutes} min · 👁️ ${totalPostsViewed} ❤️ ${totalPostsLiked} 💬 ${totalComments}`;
+    sessionSummaryText.style.display = 'block';
+  }
+
+  let platformHolder = null;
+
+  /**
+   * Warn that another tab already runs this platform (only one session per platform at a time)
+   * @param {Object|null} holder - { tabId, windowId, title } from the background
+   */
+  function renderPlatformHolder(holder) {
+    platformHolder = holder || null;
+    platformBusyDiv.style.display = platformHolder ? 'block' : 'none';
+    if (!platformHolder) return;
+
+    const t = translations[currentLang];
+    document.getElementById('platformBusyText').textContent = t.platformBusy.replace('{title}', platformHolder.title || platformHolder.url);
+    goToHolderLink.textContent = t.goToTab;
+    startBtn.disabled = true;
+  }
+
   async function updateStatus() {
     const t = translations[currentLang];
 
     try {
       currentTab = await getCurrentTab();
 
-      const response = await chrome.tabs.sendMessage(currentTab.id, { action: 'getStatus' });
+      // Session state is owned by the background orchestrator
+      const response = await chrome.runtime.sendMessage({ action: 'getSession', tabId: currentTab.id });
+      // An active session whose page is still reloading stays stoppable
+      if (!response || (!response.contentLoaded && !response.isActive)) {
+        throw new Error('Content script not loaded');
+      }
+
+      renderSessionSummary(response.isActive ? null : response.lastSummary);
 
       if (response.isActive) {
         statusDiv.className = 'status active';
@@ -179,6 +624,10 @@ document.addEventListener('DOMContentLoaded', function () {
         stopBtn.disabled = true;
       }
 
+      settingsPlatform = response.platform || null;
+      renderQuota(response.quota);
+      renderPlatformHolder(response.holder);
+
       if (response.platform) {
         currentPlatform = response.platform;
         platformText.textContent = `${t.platform}: ${response.platform.charAt(0).toUpperCase() + response.platform.slice(1)}`;
@@ -187,18 +636,26 @@ document.addEventListener('DOMContentLoaded', function () {
         // Load platform-specific comments
         loadPlatformComments(currentPlatform);
 
+        loadSelectorPackEditor(currentPlatform);
+
         // Show/hide LinkedIn-specific options
         if (currentPlatform === 'linkedin') {
           linkedinOptionsCard.style.display = 'block';
         } else {
           linkedinOptionsCard.style.display = 'none';
         }
+
+        twitterOptionsCard.style.display = currentPlatform === 'twitter' ? 'block' : 'none';
+        instagramOptionsCard.style.display = currentPlatform === 'instagram' ? 'block' : 'none';
       } else {
         platformText.textContent = t.platformNotSupported;
         startBtn.disabled = true;
         linkedinOptionsCard.style.display = 'none';
+        twitterOptionsCard.style.display = 'none';
+        instagramOptionsCard.style.display = 'none';
       }
     } catch (error) {
+      renderPlatformHolder(null);
       statusDiv.className = 'status inactive';
       statusText.textContent = t.contentScriptNotLoaded;
       platformText.textContent = t.pleaseRefresh;
@@ -209,7 +666,11 @@ document.addEventListener('DOMContentLoaded', function () {
 
   function toggleMode() {
     currentMode = currentMode === 'free' ? 'pro' : 'free';
+    renderMode();
+    chrome.storage.sync.set({ mode: currentMode });
+  }
 
+  function renderMode() {
     if (currentMode === 'pro') {
       modeBtn.textContent = 'PRO';
       modeBtn.style.background = 'var(--accent-primary)';
@@ -223,8 +684,6 @@ document.addEventListener('DOMContentLoaded', function () {
       freeModeSection.style.display = 'block';
       proModeSection.style.display = 'none';
     }
-
-    chrome.storage.sync.set({ mode: currentMode });
   }
 
   function toggleTheme() {
@@ -254,7 +713,7 @@ document.addEventListener('DOMContentLoaded', function () {
     document.getElementById('expandContentLabel').textContent = t.expandContent;
     document.getElementById('autoLikeLabel').textContent = t.autoLike;
     document.getElementById('autoCommentLabel').textContent = t.autoComment;
-    document.getElementById('testingToolsLabel').textContent = t.testingTools;
+    document.getElementById('diagnosticsLabel').textContent = t.diagnostics;
     document.getElementById('supportLabel').textContent = t.supportMe;
 
     // Update support button text based on current state
@@ -279,14 +738,14 @@ document.addEventListener('DOMContentLoaded', function () {
     document.getElementById('moreFrequentLabel2').textContent = t.moreFrequent;
     document.getElementById('neverAlwaysLabel2').textContent = t.neverAlways;
 
-    // Update test buttons
-    testSeeMoreBtn.textContent = t.testSeeMore;
-    testLikeBtn.textContent = t.testLike;
-    testCommentBtn.textContent = t.testComment;
+    // Update diagnostics buttons
+    runDiagnosticsBtn.textContent = t.runDiagnostics;
+    copyDiagnosticsBtn.textContent = t.copyDiagnostics;
 
     // Update template labels
     document.getElementById('templateInstructionsLabel').textContent = t.templateInstructions;
-    document.getElementById('templateTipLabel').textContent = t.templateTip;
+    document.getElementById('templateTipLabel').textContent = t.templateTip + t.templateTipWeights;
+    renderTemplateUsage();
     document.getElementById('saveTemplatesLabel').textContent = t.saveTemplates;
 
     // Update LinkedIn options labels
@@ -297,6 +756,112 @@ document.addEventListener('DOMContentLoaded', function () {
     document.getElementById('maxPostAgeLabel').textContent = t.maxPostAge;
     document.getElementById('maxPostAgeHint').textContent = t.maxPostAgeHint;
 
+    // Update Twitter options labels
+    document.getElementById('twitterOptionsLabel').textContent = t.twitterOptions;
+    document.getElementById('skipPromotedTweetsLabel').textContent = t.skipPromotedTweets;
+    document.getElementById('skipRetweetsLabel').textContent = t.skipRetweets;
+    document.getElementById('skipRepliesLabel').textContent = t.skipReplies;
+
+    // Update Instagram options labels
+    document.getElementById('instagramOptionsLabel').textContent = t.instagramOptions;
+    document.getElementById('instagramModeLabel').textContent = t.instagramMode;
+    document.getElementById('instagramModeFeedOption').textContent = t.instagramModeFeed;
+    document.getElementById('instagramModeReelsOption').textContent = t.instagramModeReels;
+    document.getElementById('instagramModeHint').textContent = t.instagramModeHint;
+
+    // Update selector pack labels
+    document.getElementById('selectorPackLabel').textContent = t.selectorPack;
+    document.getElementById('selectorPackOverrideLabel').textContent = t.selectorPackOverride;
+    document.getElementById('saveSelectorPackLabel').textContent = t.saveSelectorPack;
+    document.getElementById('resetSelectorPackLabel').textContent = t.resetSelectorPack;
+
+    // Update stop condition labels
+    document.getElementById('stopConditionsLabel').textContent = t.stopConditions;
+    document.getElementById('maxSessionMinutesLabel').textContent = t.maxSessionMinutes;
+    document.getElementById('maxPostsViewedLabel').textContent = t.maxPostsViewed;
+    document.getElementById('maxLikesLabel').textContent = t.maxLikes;
+    document.getElementById('maxCommentsLabel').textContent = t.maxComments;
+    document.getElementById('noRepeatWindowLabel').textContent = t.noRepeatWindow;
+    document.getElementById('noRepeatWindowHint').textContent = t.noRepeatWindowHint;
+    document.getElementById('stopWhenLimitsExhaustedLabel').textContent = t.stopWhenLimitsExhausted;
+    document.getElementById('stopConditionsHint').textContent = t.stopConditionsHint;
+
+    // Update schedule labels
+    document.getElementById('scheduleLabel').textContent = t.schedule;
+    document.getElementById('schedulePlatformLabel').textContent = t.schedulePlatform;
+    document.getElementById('scheduleDaysLabel').textContent = t.scheduleDays;
+    document.getElementById('scheduleTimesLabel').textContent = t.scheduleTimes;
+    document.getElementById('scheduleDurationLabel').textContent = t.scheduleDuration;
+    document.getElementById('scheduleProfileLabel').textContent = t.scheduleProfile;
+    document.getElementById('scheduleProfileLiveOption').textContent = t.scheduleProfileLive;
+    document.getElementById('scheduleProfileSnapshotOption').textContent = t.scheduleProfileSnapshot;
+    document.getElementById('addScheduleLabel').textContent = t.addSchedule;
+    t.dayNames.forEach((name, day) => {
+      document.getElementById(`scheduleDay${day}Label`).textContent = name;
+    });
+    renderSchedules();
+
+    // Update profile labels
+    document.getElementById('profileLabel').textContent = t.settingsProfile;
+    profileHint.textContent = t.profileHint;
+    loadProfiles();
+
+    document.getElementById('inheritGlobalLabel').textContent = t.inheritGlobal;
+    renderPlatformScope();
+
+    // Update safety limit labels
+    document.getElementById('perHourLabel').textContent = t.perHour;
+    document.getElementById('perDayLabel').textContent = t.perDay;
+    document.getElementById('minGapLabel').textContent = t.minGap;
+    document.getElementById('quotaLeftLabel').textContent = t.quotaLeft;
+    Object.entries(t.limitActions).forEach(([action, label]) => {
+      document.getElementById(`${action}LimitLabel`).textContent = label;
+    });
+    document.getElementById('safetyWindowModeLabel').textContent = t.safetyWindowMode;
+    document.getElementById('safetyWindowFixedOption').textContent = t.safetyWindowFixed;
+    document.getElementById('safetyWindowRollingOption').textContent = t.safetyWindowRolling;
+    document.getElementById('safetyLimitsHint').textContent = t.safetyLimitsHint;
+    document.getElementById('saveSafetyLimitsLabel').textContent = t.saveSafetyLimits;
+    renderSafetyLimitsTitle();
+
+    document.getElementById('customPresetSelectLabel').textContent = t.customPresetSelect;
+    document.getElementById('newCustomPresetOption').textContent = t.newCustomPreset;
+    deleteCustomPresetBtn.title = t.deleteCustomPreset;
+    renderCustomPresets();
+
+    // Update comment provider labels
+    document.getElementById('providerLabel').textContent = t.provider;
+    document.getElementById('providerTemplatesOption').textContent = t.providerTemplates;
+    document.getElementById('providerOpenAIOption').textContent = t.providerOpenAI;
+    document.getElementById('providerMockOption').textContent = t.providerMock;
+    document.getElementById('providerBaseUrlLabel').textContent = t.providerBaseUrl;
+    document.getElementById('providerModelLabel').textContent = t.providerModel;
+    document.getElementById('providerApiKeyLabel').textContent = t.providerApiKey;
+    document.getElementById('saveProviderLabel').textContent = t.saveProvider;
+    document.getElementById('testProviderLabel').textContent = t.testProvider;
+    renderProviderFields();
+
+    // Update active hours labels
+    document.getElementById('activeHoursEnabledLabel').textContent = t.activeHoursEnabled;
+    document.getElementById('activeHoursDaysLabel').textContent = t.activeHoursDays;
+    document.getElementById('activeHoursRangesLabel').textContent = t.activeHoursRanges;
+    document.getElementById('activeHoursOutsideLabel').textContent = t.activeHoursOutside;
+    document.getElementById('activeHoursIdleOption').textContent = t.activeHoursIdle;
+    document.getElementById('activeHoursScrollOption').textContent = t.activeHoursScroll;
+    document.getElementById('saveActiveHoursLabel').textContent = t.saveActiveHours;
+    t.dayNames.forEach((name, day) => {
+      document.getElementById(`activeDay${day}Label`).textContent = name;
+    });
+    renderActiveHoursTitle();
+    renderActiveHoursNext();
+
+    // Update preset labels
+    document.getElementById('settingsPresetLabel').textContent = t.settingsPreset;
+    settingsPresetNameInput.placeholder = t.presetNamePlaceholder;
+    saveSettingsPresetBtn.textContent = t.saveSettingsPreset;
+    deleteSettingsPresetBtn.textContent = t.deleteSettingsPreset;
+    renderPresets();
+
     // Update status text if needed
     updateStatus();
   }
@@ -310,7 +875,7 @@ document.addEventListener('DOMContentLoaded', function () {
 
   async function loadSettings() {
     try {
-      const result = await chrome.storage.sync.get(['surfSettings', 'theme', 'language', 'mode', 'platformComments', 'proModeSettings']);
+      const result = await chrome.storage.sync.get(['theme', 'language', 'mode', 'platformComments', 'proModeSettings']);
 
       if (result.theme) {
         currentTheme = result.theme;
@@ -331,17 +896,14 @@ document.addEventListener('DOMContentLoaded', function () {
 
       if (result.mode) {
         currentMode = result.mode;
-        if (currentMode === 'pro') {
-          modeBtn.textContent = 'PRO';
-          modeBtn.style.background = 'var(--accent-primary)';
-          modeBtn.style.color = '#fff';
-          freeModeSection.style.display = 'none';
-          proModeSection.style.display = 'block';
-        }
+        renderMode();
       }
 
-      if (result.surfSettings) {
-        const settings = result.surfSettings;
+      const { settings, inherits } = await PlatformSettings.load(settingsPlatform);
+      settingsInherit = inherits;
+      renderPlatformScope();
+
+      if (Object.keys(settings).length > 0) {
         scrollSpeedMinSlider.value = settings.scrollSpeedMin || 2000;
         scrollSpeedMaxSlider.value = settings.scrollSpeedMax || 4000;
 
@@ -352,6 +914,7 @@ document.addEventListener('DOMContentLoaded', function () {
         enableAutoCommentCheckbox.checked = settings.enableAutoComment || false;
         commentDelaySlider.value = settings.commentDelay || 8000;
         commentProbabilitySlider.value = settings.commentProbability || 30;
+        noRepeatWindowInput.value = CommentRotation.clampWindow(settings.noRepeatWindow);
 
         enableSeeMoreCheckbox.checked = settings.enableSeeMore || false;
         seeMoreDelaySlider.value = settings.seeMoreDelay || 2000;
@@ -362,7 +925,23 @@ document.addEventListener('DOMContentLoaded', function () {
         timeFilterEnabledCheckbox.checked = settings.timeFilterEnabled !== undefined ? settings.timeFilterEnabled : true;
         maxPostAgeInput.value = settings.maxPostAge || 72;
 
+        // Stop conditions
+        maxSessionMinutesInput.value = settings.maxSessionMinutes || 0;
+        maxPostsViewedInput.value = settings.maxPostsViewed || 0;
+        maxLikesInput.value = settings.maxLikes || 0;
+        maxCommentsInput.value = settings.maxComments || 0;
+        stopWhenLimitsExhaustedCheckbox.checked = settings.stopWhenLimitsExhausted || false;
+
+        // Twitter-specific settings
+        skipPromotedTweetsCheckbox.checked = settings.skipPromotedTweets !== undefined ? settings.skipPromotedTweets : true;
+        skipRetweetsCheckbox.checked = settings.skipRetweets || false;
+        skipRepliesCheckbox.checked = settings.skipReplies !== undefined ? settings.skipReplies : true;
+
+        // Instagram-specific settings
+        instagramModeSelect.value = settings.instagramMode || 'feed';
+
         updateSliderValues();
+        renderTemplateUsage();
       }
 
       if (result.proModeSettings) {
@@ -376,7 +955,380 @@ document.addEventListener('DOMContentLoaded', function () {
     }
   }
 
+  function renderPlatformScope() {
+    const t = translations[currentLang];
+
+    platformScopeCard.style.display = settingsPlatform ? 'block' : 'none';
+    if (!settingsPlatform) return;
+
+    const platformName = settingsPlatform.charAt(0).toUpperCase() + settingsPlatform.slice(1);
+    document.getElementById('platformScopeLabel').textContent = t.platformScope.replace('{platform}', platformName);
+    inheritGlobalSettingsCheckbox.checked = settingsInherit;
+    platformScopeHint.textContent = settingsInherit
+      ? t.scopeInheritHint
+      : t.scopeOwnHint.replace('{platform}', platformName);
+  }
+
+  function renderSafetyLimitsTitle() {
+    const t = translations[currentLang];
+
+    safetyLimitsCard.style.display = settingsPlatform ? 'block' : 'none';
+    if (!settingsPlatform) return;
+
+    const platformName = settingsPlatform.charAt(0).toUpperCase() + settingsPlatform.slice(1);
+    document.getElementById('safetyLimitsLabel').textContent = t.safetyLimitsTitle.replace('{platform}', platformName);
+  }
+
+  async function loadSafetyLimits() {
+    renderSafetyLimitsTitle();
+    if (!settingsPlatform) return;
+
+    try {
+      const { windowMode, ...limits } = await SafetyLimits.loadLimits(settingsPlatform);
+      safetyWindowModeSelect.value = windowMode;
+      Object.entries(limits).forEach(([key, value]) => {
+        const input = document.getElementById(key);
+        if (input) input.value = value;
+      });
+    } catch (error) {
+      console.log('Could not load safety limits');
+    }
+  }
+
+  async function saveSafetyLimits() {
+    if (!settingsPlatform) return;
+
+    const limits = { windowMode: safetyWindowModeSelect.value };
+    Object.keys(SafetyLimits.DEFAULT_LIMITS).forEach(key => {
+      limits[key] = Math.max(0, parseInt(document.getElementById(key).value) || 0);
+    });
+
+    try {
+      await SafetyLimits.saveLimits(settingsPlatform, limits);
+
+      const saveLabel = document.getElementById('saveSafetyLimitsLabel');
+      saveLabel.textContent = translations[currentLang].safetyLimitsSaved;
+      setTimeout(() => {
+        saveLabel.textContent = translations[currentLang].saveSafetyLimits;
+      }, 2000);
+
+      // The tab applies them right away
+      const response = await chrome.tabs.sendMessage(currentTab.id, { action: 'reloadSafetyLimits' });
+      renderQuota(response && response.quota);
+    } catch (error) {
+      console.log('Could not save safety limits');
+    }
+  }
+
+  /**
+   * "Left" column: remaining this hour · today (∞ when the limit is off)
+   * @param {Object|null} quota - SafetyLimits.getQuota() from the tab's getStatus
+   */
+  function renderQuota(quota) {
+    const t = translations[currentLang];
+
+    Object.keys(SafetyLimits.ACTIONS).forEach(action => {
+      const cell = document.getElementById(`${action}QuotaLeft`);
+      const spans = quota && quota.actions[action];
+      if (!spans) {
+        cell.textContent = '–';
+        cell.title = '';
+        cell.classList.remove('quota-out');
+        return;
+      }
+
+      const { hour, day, nextAt } = spans;
+      const left = span => (span.remaining === null ? '∞' : span.remaining);
+      cell.textContent = `${left(hour)} · ${left(day)}`;
+
+      // Out of tokens, or waiting out the minimum gap
+      cell.classList.toggle('quota-out', hour.remaining === 0 || day.remaining === 0);
+      cell.title = nextAt > Date.now()
+        ? t.quotaFreesAt.replace('{time}', new Date(nextAt).toLocaleTimeString())
+        : '';
+    });
+  }
+
+  /**
+   * Keep the remaining quota live while the popup is open
+   */
+  async function refreshQuota() {
+    if (!currentTab || !settingsPlatform) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getSession', tabId: currentTab.id });
+      renderQuota(response && response.quota);
+    } catch (error) {
+      // Tab went away - the next updateStatus explains it
+    }
+  }
+
+  function renderActiveHoursTitle() {
+    const t = translations[currentLang];
+
+    activeHoursCard.style.display = settingsPlatform ? 'block' : 'none';
+    if (!settingsPlatform) return;
+
+    const platformName = settingsPlatform.charAt(0).toUpperCase() + settingsPlatform.slice(1);
+    document.getElementById('activeHoursLabel').textContent = t.activeHoursTitle.replace('{platform}', platformName);
+  }
+
+  /**
+   * "Next window" line, from the stored hours (not the form, until it's saved)
+   */
+  function renderActiveHoursNext() {
+    const t = translations[currentLang];
+
+    if (!activeHoursConfig || !activeHoursConfig.enabled) {
+      activeHoursNext.textContent = t.activeHoursAlways;
+      return;
+    }
+
+    const { open, changesAt } = ActiveHours.nextChange(activeHoursConfig);
+    const date = changesAt ? new Date(changesAt) : null;
+    const time = date
+      ? `${t.dayNames[date.getDay()]} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+      : null;
+
+    if (open) {
+      activeHoursNext.textContent = time ? t.activeHoursOpenUntil.replace('{time}', time) : t.activeHoursAlways;
+    } else {
+      activeHoursNext.textContent = time ? t.activeHoursClosedUntil.replace('{time}', time) : t.activeHoursNoWindow;
+    }
+  }
+
+  async function loadActiveHours() {
+    renderActiveHoursTitle();
+    if (!settingsPlatform) return;
+
+    try {
+      activeHoursConfig = await ActiveHours.load(settingsPlatform);
+      activeHoursEnabledCheckbox.checked = activeHoursConfig.enabled;
+      activeHoursDaysContainer.querySelectorAll('input').forEach(input => {
+        input.checked = activeHoursConfig.days.includes(parseInt(input.value));
+      });
+      activeHoursRangesInput.value = activeHoursConfig.ranges.join(', ');
+      activeHoursOutsideSelect.value = activeHoursConfig.outside;
+      activeHoursErrors.textContent = '';
+      renderActiveHoursNext();
+    } catch (error) {
+      console.log('Could not load active hours');
+    }
+  }
+
+  /**
+   * The running tab picks the new hours up from storage by itself
+   */
+  async function saveActiveHours() {
+    if (!settingsPlatform) return;
+
+    const config = {
+      enabled: activeHoursEnabledCheckbox.checked,
+      days: Array.from(activeHoursDaysContainer.querySelectorAll('input:checked')).map(input => parseInt(input.value)),
+      ranges: activeHoursRangesInput.value.split(',')
+        .map(range => range.replace(/\s/g, '').replace(/(^|-)(\d):/g, (match, start, hour) => `${start}${hour.padStart(2, '0')}:`))
+        .filter(Boolean),
+      outside: activeHoursOutsideSelect.value
+    };
+
+    try {
+      const response = await ActiveHours.save(settingsPlatform, config);
+      activeHoursErrors.textContent = response.success ? '' : response.errors.join('\n');
+      if (!response.success) return;
+
+      activeHoursConfig = config;
+      renderActiveHoursNext();
+
+      const saveLabel = document.getElementById('saveActiveHoursLabel');
+      saveLabel.textContent = translations[currentLang].activeHoursSaved;
+      setTimeout(() => {
+        saveLabel.textContent = translations[currentLang].saveActiveHours;
+      }, 2000);
+    } catch (error) {
+      console.log('Could not save active hours');
+    }
+  }
+
+  /**
+   * A few sample comments in the selected persona's voice, written the way
+   * the surfer writes them without a provider
+   */
+  function renderPersonaPreview() {
+    const t = translations[currentLang];
+    const preset = PersonaPresets.resolve(personaPresetSettings, settingsPlatform);
+    const bundle = PersonaEngine.resolve(personaSelect.value, preset);
+
+    if (!bundle) {
+      personaPreview.textContent = t.personaNoPreset;
+      return;
+    }
+
+    const generator = new TemplateGenerator();
+    generator.setPersona(bundle);
+    const samples = [0, 1, 2].map(() => `"${generator.generateComment({ authorName: 'Alex Nguyen' })}"`);
+    personaPreview.textContent = t.personaPreview.replace('{samples}', samples.join(' · '));
+  }
+
+  /**
+   * Preset picker: the preset this platform writes like is selected, its
+   * name and examples are in the form for editing
+   */
+  function renderCustomPresets() {
+    const t = translations[currentLang];
+    const current = PersonaPresets.resolve(personaPresetSettings, settingsPlatform);
+
+    customPresetSelect.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+    personaPresetSettings.customPresets.forEach(preset => {
+      const option = document.createElement('option');
+      option.value = preset.id;
+      option.textContent = preset.name;
+      customPresetSelect.appendChild(option);
+    });
+    customPresetSelect.value = current ? current.id : '';
+    renderCustomPresetForm();
+
+    if (settingsPlatform) {
+      const platformName = settingsPlatform.charAt(0).toUpperCase() + settingsPlatform.slice(1);
+      document.getElementById('platformPresetLabel').textContent = t.platformPresetDefault.replace('{platform}', platformName);
+    }
+    renderPersonaPreview();
+  }
+
+  function renderCustomPresetForm() {
+    const id = customPresetSelect.value;
+    const preset = personaPresetSettings.customPresets.find(entry => entry.id === id);
+
+    presetNameInput.value = preset ? preset.name : '';
+    presetReferenceInput.value = preset ? preset.reference : '';
+    deleteCustomPresetBtn.style.display = preset ? 'block' : 'none';
+    platformPresetRow.style.display = preset && settingsPlatform ? 'flex' : 'none';
+    platformPresetDefaultCheckbox.checked = !!settingsPlatform && personaPresetSettings.platformPresets[settingsPlatform] === id;
+  }
+
+  async function loadPersonaPresets() {
+    try {
+      personaPresetSettings = await PersonaPresets.load();
+      renderCustomPresets();
+    } catch (error) {
+      console.log('Could not load custom presets');
+    }
+  }
+
+  function renderProviderFields() {
+    providerOpenAISection.style.display = providerTypeSelect.value === 'openai' ? 'block' : 'none';
+    providerStatus.textContent = providerTypeSelect.value === 'templates'
+      ? translations[currentLang].providerUsesTemplates
+      : '';
+  }
+
+  async function loadProvider() {
+    try {
+      const [{ proModeSettings }, { providerApiKey }] = await Promise.all([
+        chrome.storage.sync.get(['proModeSettings']),
+        chrome.storage.local.get(['providerApiKey'])
+      ]);
+      const provider = (proModeSettings && proModeSettings.provider) || {};
+
+      providerTypeSelect.value = provider.type || 'templates';
+      providerBaseUrlInput.value = provider.baseUrl || '';
+      providerModelInput.value = provider.model || '';
+      providerApiKeyInput.value = providerApiKey || '';
+      renderProviderFields();
+    } catch (error) {
+      console.log('Could not load comment provider');
+    }
+  }
+
+  /**
+   * Must be called straight from a click: asking for the host permission needs the user gesture
+   * @returns {Promise<boolean>} Whether it was saved
+   */
+  async function saveProvider() {
+    const t = translations[currentLang];
+    const provider = {
+      type: providerTypeSelect.value,
+      baseUrl: providerBaseUrlInput.value.trim(),
+      model: providerModelInput.value.trim()
+    };
+
+    if (provider.type === 'openai' && provider.baseUrl) {
+      let origin;
+      try {
+        const url = new URL(provider.baseUrl);
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error(url.protocol);
+        origin = url.origin;
+      } catch (error) {
+        providerStatus.textContent = t.providerBadUrl;
+        return false;
+      }
+
+      // The background fetches the endpoint; it needs the site's host permission
+      const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+      if (!granted) {
+        providerStatus.textContent = t.providerNoPermission.replace('{origin}', origin);
+        return false;
+      }
+    }
+
+    try {
+      const result = await chrome.storage.sync.get(['proModeSettings']);
+      const proSettings = result.proModeSettings || {};
+      proSettings.provider = provider;
+
+      await chrome.storage.sync.set({ proModeSettings: proSettings });
+      await chrome.storage.local.set({ providerApiKey: providerApiKeyInput.value.trim() });
+
+      renderProviderFields();
+      const saveLabel = document.getElementById('saveProviderLabel');
+      saveLabel.textContent = t.providerSaved;
+      setTimeout(() => {
+        saveLabel.textContent = translations[currentLang].saveProvider;
+      }, 2000);
+      return true;
+    } catch (error) {
+      console.log('Could not save comment provider');
+      return false;
+    }
+  }
+
+  /**
+   * Save, then have the background write a comment for a sample post
+   */
+  async function testProvider() {
+    if (!(await saveProvider())) return;
+
+    const t = translations[currentLang];
+    providerStatus.textContent = t.providerTesting;
+
+    const persona = personaSelect.value;
+    const preset = persona === 'custom' ? PersonaPresets.resolve(personaPresetSettings, settingsPlatform) : null;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'generateComment',
+        post: {
+          text: 'Just shipped my first side project after six months of evenings and weekends. Feedback welcome!',
+          platform: settingsPlatform || currentPlatform
+        },
+        persona,
+        presetId: preset ? preset.id : null,
+        preset
+      });
+
+      if (response && response.success) {
+        providerStatus.textContent = t.providerTestResult.replace('{comment}', response.comment);
+      } else if (response && response.error === 'noProvider') {
+        providerStatus.textContent = t.providerUsesTemplates;
+      } else {
+        providerStatus.textContent = t.providerTestFailed.replace('{error}', response ? response.error : '?');
+      }
+    } catch (error) {
+      providerStatus.textContent = t.providerTestFailed.replace('{error}', error.message);
+    }
+  }
+
   async function loadPlatformComments(platform) {
+    templateErrors.textContent = '';
     try {
       const result = await chrome.storage.sync.get(['platformComments']);
 
@@ -389,6 +1341,37 @@ document.addEventListener('DOMContentLoaded', function () {
     } catch (error) {
       console.log('Could not load platform comments');
     }
+    await renderTemplateUsage();
+  }
+
+  /**
+   * How many comments each template in the textarea has posted (CommentRotation usage)
+   */
+  async function renderTemplateUsage() {
+    const t = translations[currentLang];
+    try {
+      const { usage } = await CommentRotation.load(currentPlatform);
+      const entries = commentTemplatesTextarea.value
+        .split('\n')
+        .map(line => TemplateGenerator.parseWeight(line))
+        .filter(entry => entry.template);
+
+      if (!Object.values(usage).some(count => count > 0)) {
+        templateUsage.textContent = t.templateUsageEmpty;
+        return;
+      }
+      // Weights are shown so a "*N" read as one is easy to spot
+      const lines = entries.map(({ template, weight }) => {
+        const shown = template.length > 40 ? `${template.substring(0, 40)}…` : template;
+        const weightNote = weight !== 1 ? ` (${t.templateWeight.replace('{weight}', weight)})` : '';
+        return `${usage[template] || 0}× ${shown}${weightNote}`;
+      });
+      const windowSize = CommentRotation.clampWindow(noRepeatWindowInput.value);
+      const title = windowSize > 0 ? t.templateUsageTitle.replace('{count}', windowSize) : t.templateUsageNoWindow;
+      templateUsage.textContent = [title, ...lines].join('\n');
+    } catch (error) {
+      templateUsage.textContent = '';
+    }
   }
 
   function updateSliderValues() {
@@ -413,8 +1396,8 @@ document.addEventListener('DOMContentLoaded', function () {
     maxPostAgeValue.textContent = hours + ' hour' + (hours !== 1 ? 's' : '');
   }
 
-  async function saveSettings() {
-    const settings = {
+  function collectSettings() {
+    return {
       scrollSpeedMin: parseInt(scrollSpeedMinSlider.value),
       scrollSpeedMax: parseInt(scrollSpeedMaxSlider.value),
       enableAutoLike: enableAutoLikeCheckbox.checked,
@@ -423,21 +1406,40 @@ document.addEventListener('DOMContentLoaded', function () {
       enableAutoComment: enableAutoCommentCheckbox.checked,
       commentDelay: parseInt(commentDelaySlider.value),
       commentProbability: parseInt(commentProbabilitySlider.value),
+      noRepeatWindow: CommentRotation.clampWindow(noRepeatWindowInput.value),
       enableSeeMore: enableSeeMoreCheckbox.checked,
       seeMoreDelay: parseInt(seeMoreDelaySlider.value),
+      // Stop conditions (0 = no limit)
+      maxSessionMinutes: parseInt(maxSessionMinutesInput.value) || 0,
+      maxPostsViewed: parseInt(maxPostsViewedInput.value) || 0,
+      maxLikes: parseInt(maxLikesInput.value) || 0,
+      maxComments: parseInt(maxCommentsInput.value) || 0,
+      stopWhenLimitsExhausted: stopWhenLimitsExhaustedCheckbox.checked,
       // LinkedIn-specific settings
       skipCompanyPages: skipCompanyPagesCheckbox.checked,
       skipFriendActivities: skipFriendActivitiesCheckbox.checked,
       timeFilterEnabled: timeFilterEnabledCheckbox.checked,
-      maxPostAge: parseInt(maxPostAgeInput.value)
+      maxPostAge: parseInt(maxPostAgeInput.value),
+      // Twitter-specific settings
+      skipPromotedTweets: skipPromotedTweetsCheckbox.checked,
+      skipRetweets: skipRetweetsCheckbox.checked,
+      skipReplies: skipRepliesCheckbox.checked,
+      // Instagram-specific settings
+      instagramMode: instagramModeSelect.value
     };
+  }
+
+  async function saveSettings() {
+    const settings = collectSettings();
+    renderPresetStatus();
 
     try {
-      await chrome.storage.sync.set({ surfSettings: settings });
+      await PlatformSettings.save(settingsPlatform, settings);
 
       if (currentTab) {
-        chrome.tabs.sendMessage(currentTab.id, {
+        chrome.runtime.sendMessage({
           action: 'updateSettings',
+          tabId: currentTab.id,
           settings: settings
         });
       }
@@ -447,10 +1449,18 @@ document.addEventListener('DOMContentLoaded', function () {
   }
 
   async function saveTemplates() {
-    const templates = commentTemplatesTextarea.value
-      .split('\n')
-      .map(t => t.trim())
-      .filter(t => t.length > 0);
+    const lines = commentTemplatesTextarea.value.split('\n').map(t => t.trim());
+    const templates = lines.filter(t => t.length > 0);
+
+    // Broken templates would post as raw braces - nothing is saved until they're fixed
+    const t = translations[currentLang];
+    const errors = lines.flatMap((template, index) => (
+      TemplateGenerator.validateTemplate(template).map(error => `${t.templateLine} ${index + 1}: ${error}`)
+    ));
+    templateErrors.textContent = errors.join('\n');
+    if (errors.length > 0) {
+      return;
+    }
 
     try {
       // Get existing platform comments
@@ -461,6 +1471,7 @@ document.addEventListener('DOMContentLoaded', function () {
       platformComments[currentPlatform] = templates;
 
       await chrome.storage.sync.set({ platformComments: platformComments });
+      renderTemplateUsage();
 
       // Show success feedback
       const originalText = saveTemplatesBtn.textContent;
@@ -484,44 +1495,455 @@ document.addEventListener('DOMContentLoaded', function () {
     }
   }
 
+  function presetName(preset) {
+    const t = translations[currentLang];
+    return preset.builtIn ? t.presetNames[preset.id] : preset.name;
+  }
+
+  function formatPresetValue(key, value) {
+    const t = translations[currentLang];
+    if (typeof value === 'boolean') return value ? t.on : t.off;
+    if (key.endsWith('Probability')) return `${value}%`;
+    return `${value / 1000}s`;
+  }
+
+  async function loadPresets() {
+    try {
+      presets = await SettingsPresets.list(currentPlatform);
+      selectedPresetId = await SettingsPresets.getSelected(currentPlatform);
+      renderPresets();
+    } catch (error) {
+      console.log('Could not load presets');
+    }
+  }
+
+  function renderPresets() {
+    settingsPresetSelect.innerHTML = '';
+
+    const customOption = document.createElement('option');
+    customOption.value = '';
+    customOption.disabled = true;
+    customOption.textContent = translations[currentLang].presetCustomValues;
+    settingsPresetSelect.appendChild(customOption);
+
+    presets.forEach(preset => {
+      const option = document.createElement('option');
+      option.value = preset.id;
+      option.textContent = preset.builtIn ? presetName(preset) : `★ ${preset.name}`;
+      settingsPresetSelect.appendChild(option);
+    });
+
+    renderPresetStatus();
+  }
+
+  /**
+   * Show the preset the sliders match, or what changed since the last one picked
+   */
+  function renderPresetStatus() {
+    const t = translations[currentLang];
+    const settings = collectSettings();
+    const match = SettingsPresets.findMatch(presets, settings);
+    const selected = presets.find(preset => preset.id === selectedPresetId);
+
+    settingsPresetSelect.value = match ? match.id : '';
+    deleteSettingsPresetBtn.style.display = match && !match.builtIn ? 'block' : 'none';
+
+    if (match) {
+      settingsPresetStatus.textContent = t.presetMatches;
+      // Remember it, so later slider changes are shown as changes from it
+      if (match.id !== selectedPresetId) {
+        selectedPresetId = match.id;
+        SettingsPresets.setSelected(currentPlatform, match.id).catch(() => {});
+      }
+    } else if (selected) {
+      const changes = SettingsPresets.diff(selected, settings).map(({ key, preset, current }) =>
+        `${t.presetKeys[key]}: ${formatPresetValue(key, preset)} → ${formatPresetValue(key, current)}`
+      );
+      settingsPresetStatus.textContent = `${t.presetChanged.replace('{name}', presetName(selected))}: ${changes.join(', ')}`;
+    } else {
+      settingsPresetStatus.textContent = t.presetNone;
+    }
+  }
+
+  async function applyPreset(id) {
+    const preset = presets.find(entry => entry.id === id);
+    if (!preset) return;
+
+    Object.entries(preset.values).forEach(([key, value]) => {
+      const control = presetControls[key];
+      if (control.type === 'checkbox') {
+        control.checked = value;
+      } else {
+        control.value = value;
+      }
+    });
+
+    selectedPresetId = preset.id;
+    await SettingsPresets.setSelected(currentPlatform, preset.id);
+
+    updateSliderValues();
+    await saveSettings();
+  }
+
+  async function loadProfiles() {
+    const t = translations[currentLang];
+
+    try {
+      const profiles = await SettingsBackup.getProfiles();
+
+      profileSelect.innerHTML = '';
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = profiles.length > 0 ? t.switchProfile : t.noProfiles;
+      profileSelect.appendChild(placeholder);
+
+      profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        profileSelect.appendChild(option);
+      });
+      profileSelect.disabled = profiles.length === 0;
+    } catch (error) {
+      console.log('Could not load settings profiles');
+    }
+  }
+
+  /**
+   * One click: store the profile's settings, refresh the popup and hand them to the running tab
+   */
+  async function switchProfile(id) {
+    try {
+      const profile = await SettingsBackup.applyProfile(id);
+      if (!profile) return;
+
+      await loadSettings();
+      await loadPlatformComments(currentPlatform);
+      await loadSafetyLimits();
+      await loadActiveHours();
+      await loadPersonaPresets();
+      renderPresetStatus();
+
+      if (currentTab) {
+        const { platformComments } = profile.settings;
+        chrome.runtime.sendMessage({ action: 'updateSettings', tabId: currentTab.id, settings: collectSettings() });
+        chrome.tabs.sendMessage(currentTab.id, { action: 'reloadSafetyLimits' })
+          .then(response => renderQuota(response && response.quota))
+          .catch(() => {});
+        if (platformComments && platformComments[currentPlatform]) {
+          chrome.tabs.sendMessage(currentTab.id, {
+            action: 'updateTemplates',
+            platform: currentPlatform,
+            templates: platformComments[currentPlatform]
+          }).catch(() => {});
+        }
+      }
+
+      profileHint.textContent = translations[currentLang].profileApplied.replace('{name}', profile.name);
+    } catch (error) {
+      console.log('Could not switch settings profile');
+    }
+
+    profileSelect.value = '';
+  }
+
+  function renderSelectorPackReport(report) {
+    const t = translations[currentLang];
+
+    if (!report) {
+      selectorPackInfo.textContent = '';
+      selectorPackReport.textContent = '';
+      return;
+    }
+
+    const source = report.source === 'override' ? t.selectorPackOverridden : t.selectorPackBundled;
+    selectorPackInfo.textContent = `v${report.version || '?'} · ${source}`;
+
+    const lines = [];
+    report.errors.forEach(error => lines.push(`✗ ${error}`));
+    report.warnings.forEach(warning => lines.push(`⚠ ${warning}`));
+
+    const matches = Object.entries(report.matches || {})
+      .map(([key, count]) => `${key}: ${count === null ? '✗' : count}`)
+      .join(', ');
+    if (matches) {
+      lines.push(`${t.selectorPackMatches}: ${matches}`);
+    }
+
+    selectorPackReport.textContent = lines.join('\n');
+    selectorPackReport.style.color = report.errors.length > 0 ? '#f44336' : 'var(--text-secondary)';
+  }
+
+  async function loadSelectorPackEditor(platform) {
+    try {
+      selectorPackCard.style.display = 'block';
+
+      const override = await SelectorPackLoader.getOverride(platform);
+      selectorPackOverrideTextarea.value = override ? JSON.stringify(override, null, 2) : '';
+
+      // Show the bundled pack as a starting point when there's no override
+      const bundled = await fetch(`surfers/selector-packs/${platform}.json`).then(r => r.json());
+      selectorPackOverrideTextarea.placeholder = JSON.stringify({ selectors: bundled.selectors }, null, 2);
+
+      if (currentTab) {
+        const response = await chrome.tabs.sendMessage(currentTab.id, { action: 'getSelectorPack' });
+        renderSelectorPackReport(response && response.report);
+      }
+    } catch (error) {
+      console.log('Could not load selector pack');
+    }
+  }
+
+  async function saveSelectorPackOverride() {
+    const t = translations[currentLang];
+    const raw = selectorPackOverrideTextarea.value.trim();
+
+    let override = null;
+    if (raw) {
+      try {
+        override = JSON.parse(raw);
+      } catch (error) {
+        selectorPackReport.textContent = `✗ ${t.selectorPackInvalidJson}: ${error.message}`;
+        selectorPackReport.style.color = '#f44336';
+        return;
+      }
+
+      // Reject broken overrides here instead of letting the content script ignore them
+      const errors = SelectorPackLoader.validateSchema(override, { partial: true });
+      if (errors.length > 0) {
+        selectorPackReport.textContent = errors.map(error => `✗ ${error}`).join('\n');
+        selectorPackReport.style.color = '#f44336';
+        return;
+      }
+    }
+
+    try {
+      await SelectorPackLoader.saveOverride(currentPlatform, override);
+      await applySelectorPack();
+
+      const saveLabel = document.getElementById('saveSelectorPackLabel');
+      saveLabel.textContent = t.selectorPackSaved;
+      setTimeout(() => {
+        saveLabel.textContent = translations[currentLang].saveSelectorPack;
+      }, 2000);
+    } catch (error) {
+      console.log('Could not save selector pack override');
+    }
+  }
+
+  async function resetSelectorPackOverride() {
+    try {
+      await SelectorPackLoader.saveOverride(currentPlatform, null);
+      selectorPackOverrideTextarea.value = '';
+      await applySelectorPack();
+    } catch (error) {
+      console.log('Could not reset selector pack override');
+    }
+  }
+
+  async function applySelectorPack() {
+    if (!currentTab) return;
+
+    // Content script reloads and re-validates the pack against the live page
+    const response = await chrome.tabs.sendMessage(currentTab.id, { action: 'reloadSelectorPack' });
+    renderSelectorPackReport(response && response.report);
+  }
+
   startBtn.addEventListener('click', async function () {
     if (currentTab) {
-      chrome.tabs.sendMessage(currentTab.id, { action: 'start' });
+      const response = await chrome.runtime.sendMessage({ action: 'startSession', tabId: currentTab.id });
+      if (response && response.error === 'platformBusy') {
+        renderPlatformHolder(response.holder);
+        return;
+      }
       setTimeout(updateStatus, 500);
     }
   });
 
+  goToHolderLink.addEventListener('click', async function (event) {
+    event.preventDefault();
+    if (!platformHolder) return;
+
+    await chrome.tabs.update(platformHolder.tabId, { active: true });
+    await chrome.windows.update(platformHolder.windowId, { focused: true });
+  });
+
   stopBtn.addEventListener('click', async function () {
     if (currentTab) {
-      chrome.tabs.sendMessage(currentTab.id, { action: 'stop' });
+      await chrome.runtime.sendMessage({ action: 'stopSession', tabId: currentTab.id });
       setTimeout(updateStatus, 500);
     }
   });
 
-  testSeeMoreBtn.addEventListener('click', async function () {
-    if (currentTab) {
-      chrome.tabs.sendMessage(currentTab.id, { action: 'testSeeMore' });
+  // ========== SCHEDULE ==========
+
+  let schedules = [];
+
+  function describeSchedule(entry) {
+    const t = translations[currentLang];
+    // Monday-first, like the day picker
+    const days = [1, 2, 3, 4, 5, 6, 0].filter(day => entry.days.includes(day)).map(day => t.dayNames[day]);
+    const platform = entry.platform.charAt(0).toUpperCase() + entry.platform.slice(1);
+    return `${platform} · ${days.join(', ')} · ${entry.times.join(', ')} · ${entry.durationMinutes} min`;
+  }
+
+  function renderSchedules() {
+    const t = translations[currentLang];
+    scheduleList.innerHTML = '';
+
+    if (schedules.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = t.scheduleEmpty;
+      scheduleList.appendChild(item);
+      return;
     }
-  });
 
-  testLikeBtn.addEventListener('click', async function () {
-    if (currentTab) {
-      chrome.tabs.sendMessage(currentTab.id, { action: 'testLike' });
+    schedules.forEach((entry, index) => {
+      const item = document.createElement('li');
+
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = entry.enabled;
+      toggle.addEventListener('change', () => {
+        schedules[index] = { ...entry, enabled: toggle.checked };
+        saveSchedules();
+      });
+
+      const info = document.createElement('span');
+      info.className = 'schedule-info';
+      info.textContent = describeSchedule(entry);
+
+      const next = document.createElement('div');
+      next.className = 'schedule-next';
+      next.textContent = `${t.scheduleNextRun}: ${entry.enabled && entry.nextRun ? new Date(entry.nextRun).toLocaleString() : t.scheduleNotPlanned}`;
+      info.appendChild(next);
+
+      const remove = document.createElement('button');
+      remove.className = 'icon-btn';
+      remove.textContent = '✕';
+      remove.title = t.scheduleDelete;
+      remove.addEventListener('click', () => {
+        schedules.splice(index, 1);
+        saveSchedules();
+      });
+
+      item.append(toggle, info, remove);
+      scheduleList.appendChild(item);
+    });
+  }
+
+  async function loadSchedules() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getSchedules' });
+      schedules = response.schedules || [];
+      renderSchedules();
+    } catch (error) {
+      console.log('Could not load schedules');
     }
-  });
+  }
 
-  testCommentBtn.addEventListener('click', async function () {
-    if (currentTab) {
-      chrome.tabs.sendMessage(currentTab.id, { action: 'testComment' });
+  /**
+   * The background validates and arms the alarms; nothing is saved on error
+   * @returns {Promise<boolean>} Whether the schedules were saved
+   */
+  async function saveSchedules() {
+    // nextRun is computed by the background, don't store it
+    const entries = schedules.map(({ nextRun, ...entry }) => entry);
+    const response = await chrome.runtime.sendMessage({ action: 'saveSchedules', schedules: entries });
+
+    scheduleErrors.textContent = response.success ? '' : response.errors.join('\n');
+    await loadSchedules();
+    return response.success;
+  }
+
+  addScheduleBtn.addEventListener('click', async function () {
+    const entry = {
+      id: Date.now().toString(36),
+      enabled: true,
+      platform: schedulePlatformSelect.value,
+      days: Array.from(scheduleDaysContainer.querySelectorAll('input:checked')).map(input => parseInt(input.value)),
+      times: scheduleTimesInput.value.split(',').map(time => time.trim().replace(/^(\d):/, '0$1:')).filter(Boolean),
+      durationMinutes: parseInt(scheduleDurationInput.value),
+      profile: scheduleProfileSelect.value
+    };
+
+    if (entry.profile === 'snapshot') {
+      const { settings } = await PlatformSettings.load(entry.platform);
+      entry.settings = settings;
     }
+
+    schedules.push(entry);
+    // On error the list reloads without the new entry and the form keeps its values to fix
+    await saveSchedules();
   });
 
-  testLinkedInExtractBtn.addEventListener('click', async function () {
-    if (currentTab) {
-      chrome.tabs.sendMessage(currentTab.id, { action: 'testLinkedInExtract' });
+  let lastDiagnosticsReport = null;
+
+  function renderDiagnosticsReport(report) {
+    const t = translations[currentLang];
+    const icons = { pass: '✓', warn: '⚠', fail: '✗' };
+
+    diagnosticsList.innerHTML = '';
+
+    const { pass, warn, fail } = report.summary;
+    diagnosticsSummary.textContent = `${report.passed ? t.diagnosticsPassed : t.diagnosticsFailed} (✓ ${pass} · ⚠ ${warn} · ✗ ${fail})`;
+    diagnosticsSummary.style.color = report.passed ? '#4CAF50' : '#f44336';
+
+    report.checks.forEach(check => {
+      const item = document.createElement('li');
+      const icon = document.createElement('span');
+      icon.className = `status-${check.status}`;
+      icon.textContent = icons[check.status];
+      const text = document.createElement('span');
+      text.textContent = `${check.key}: ${check.message}`;
+      text.title = check.selector;
+      item.append(icon, text);
+      diagnosticsList.appendChild(item);
+    });
+
+    if (report.post) {
+      const item = document.createElement('li');
+      item.textContent = `${t.diagnosticsFirstPost}: ${JSON.stringify(report.post)}`;
+      diagnosticsList.appendChild(item);
+    }
+  }
+
+  runDiagnosticsBtn.addEventListener('click', async function () {
+    if (!currentTab) return;
+
+    const t = translations[currentLang];
+    diagnosticsSummary.textContent = t.diagnosticsRunning;
+    diagnosticsSummary.style.color = '';
+    diagnosticsList.innerHTML = '';
+
+    try {
+      const report = await chrome.tabs.sendMessage(currentTab.id, { action: 'runDiagnostics' });
+      if (report && report.success === false) {
+        // The checks themselves threw - nothing to list
+        diagnosticsSummary.textContent = `${t.diagnosticsFailed}: ${report.error}`;
+        diagnosticsSummary.style.color = '#f44336';
+        return;
+      }
+      lastDiagnosticsReport = report;
+      copyDiagnosticsBtn.disabled = false;
+      renderDiagnosticsReport(report);
+    } catch (error) {
+      diagnosticsSummary.textContent = t.pleaseRefresh;
+      diagnosticsSummary.style.color = '#f44336';
     }
   });
 
+  copyDiagnosticsBtn.addEventListener('click', async function () {
+    if (!lastDiagnosticsReport) return;
+
+    const t = translations[currentLang];
+    await navigator.clipboard.writeText(JSON.stringify(lastDiagnosticsReport, null, 2));
+    copyDiagnosticsBtn.textContent = t.diagnosticsCopied;
+    setTimeout(() => {
+      copyDiagnosticsBtn.textContent = translations[currentLang].copyDiagnostics;
+    }, 2000);
+  });
+
   supportBtn.addEventListener('click', function () {
     const t = translations[currentLang];
     // Toggle QR code visibility
@@ -582,10 +2004,83 @@ document.addEventListener('DOMContentLoaded', function () {
   });
 
   saveTemplatesBtn.addEventListener('click', saveTemplates);
+  saveSelectorPackBtn.addEventListener('click', saveSelectorPackOverride);
+  resetSelectorPackBtn.addEventListener('click', resetSelectorPackOverride);
 
   modeBtn.addEventListener('click', toggleMode);
   langBtn.addEventListener('click', toggleLanguage);
   themeBtn.addEventListener('click', toggleTheme);
+  historyBtn.addEventListener('click', function () {
+    chrome.runtime.openOptionsPage();
+  });
+
+  saveSafetyLimitsBtn.addEventListener('click', saveSafetyLimits);
+  saveActiveHoursBtn.addEventListener('click', saveActiveHours);
+  providerTypeSelect.addEventListener('change', renderProviderFields);
+  saveProviderBtn.addEventListener('click', saveProvider);
+  testProviderBtn.addEventListener('click', testProvider);
+
+  inheritGlobalSettingsCheckbox.addEventListener('change', async function () {
+    if (!settingsPlatform) return;
+
+    try {
+      await PlatformSettings.setInherit(settingsPlatform, inheritGlobalSettingsCheckbox.checked);
+      await loadSettings();
+      renderPresetStatus();
+
+      // Going back to the global settings can change what the running tab should use
+      if (currentTab) {
+        chrome.runtime.sendMessage({ action: 'updateSettings', tabId: currentTab.id, settings: collectSettings() });
+      }
+    } catch (error) {
+      console.log('Could not change platform settings scope');
+    }
+  });
+
+  settingsPresetSelect.addEventListener('change', function () {
+    if (settingsPresetSelect.value) {
+      applyPreset(settingsPresetSelect.value);
+    }
+  });
+
+  saveSettingsPresetBtn.addEventListener('click', async function () {
+    const t = translations[currentLang];
+    const name = settingsPresetNameInput.value.trim();
+    if (!name) {
+      settingsPresetNameInput.focus();
+      return;
+    }
+
+    try {
+      const preset = await SettingsPresets.saveCustom(currentPlatform, name, collectSettings());
+      await SettingsPresets.setSelected(currentPlatform, preset.id);
+      settingsPresetNameInput.value = '';
+      await loadPresets();
+
+      const platformName = currentPlatform.charAt(0).toUpperCase() + currentPlatform.slice(1);
+      settingsPresetStatus.textContent = t.presetSaved.replace('{platform}', platformName);
+    } catch (error) {
+      console.log('Could not save preset');
+    }
+  });
+
+  deleteSettingsPresetBtn.addEventListener('click', async function () {
+    const preset = presets.find(entry => entry.id === settingsPresetSelect.value);
+    if (!preset || preset.builtIn) return;
+
+    try {
+      await SettingsPresets.deleteCustom(currentPlatform, preset.id);
+      await loadPresets();
+    } catch (error) {
+      console.log('Could not delete preset');
+    }
+  });
+
+  profileSelect.addEventListener('change', function () {
+    if (profileSelect.value) {
+      switchProfile(profileSelect.value);
+    }
+  });
 
   personaSelect.addEventListener('change', function() {
     if (personaSelect.value === 'custom') {
@@ -593,6 +2088,7 @@ document.addEventListener('DOMContentLoaded', function () {
     } else {
       customPresetSection.style.display = 'none';
     }
+    renderPersonaPreview();
 
     // Save persona selection
     chrome.storage.sync.get(['proModeSettings'], function(result) {
@@ -602,9 +2098,51 @@ document.addEventListener('DOMContentLoaded', function () {
     });
   });
 
+  customPresetSelect.addEventListener('change', async function () {
+    renderCustomPresetForm();
+    const id = customPresetSelect.value;
+    if (!id) return;
+
+    try {
+      // Picking a preset here is what this platform writes like from now on
+      personaPresetSettings = settingsPlatform && personaPresetSettings.platformPresets[settingsPlatform]
+        ? await PersonaPresets.setPlatformDefault(settingsPlatform, id)
+        : await PersonaPresets.setActive(id);
+      renderCustomPresetForm();
+      renderPersonaPreview();
+    } catch (error) {
+      console.log('Could not select preset');
+    }
+  });
+
+  deleteCustomPresetBtn.addEventListener('click', async function () {
+    if (!customPresetSelect.value) return;
+
+    try {
+      personaPresetSettings = await PersonaPresets.remove(customPresetSelect.value);
+      renderCustomPresets();
+    } catch (error) {
+      console.log('Could not delete preset');
+    }
+  });
+
+  platformPresetDefaultCheckbox.addEventListener('change', async function () {
+    if (!settingsPlatform || !customPresetSelect.value) return;
+
+    try {
+      personaPresetSettings = await PersonaPresets.setPlatformDefault(
+        settingsPlatform,
+        platformPresetDefaultCheckbox.checked ? customPresetSelect.value : null
+      );
+      renderCustomPresets();
+    } catch (error) {
+      console.log('Could not set the platform preset');
+    }
+  });
+
   savePresetBtn.addEventListener('click', async function() {
-    const presetName = document.getElementById('presetName').value.trim();
-    const presetReference = document.getElementById('presetReference').value.trim();
+    const presetName = presetNameInput.value.trim();
+    const presetReference = presetReferenceInput.value.trim();
 
     if (!presetName || !presetReference) {
       alert('Please provide both preset name and reference comments');
@@ -612,16 +2150,17 @@ document.addEventListener('DOMContentLoaded', function () {
     }
 
     try {
-      const result = await chrome.storage.sync.get(['proModeSettings']);
-      const proSettings = result.proModeSettings || {};
-
-      proSettings.customPresets = proSettings.customPresets || [];
-      proSettings.customPresets.push({
+      // Editing the selected preset, or adding one when "+ New preset" is selected
+      const preset = await PersonaPresets.save({
+        id: customPresetSelect.value || null,
         name: presetName,
         reference: presetReference
       });
-
-      await chrome.storage.sync.set({ proModeSettings: proSettings });
+      personaPresetSettings = await PersonaPresets.load();
+      if (settingsPlatform && personaPresetSettings.platformPresets[settingsPlatform]) {
+        personaPresetSettings = await PersonaPresets.setPlatformDefault(settingsPlatform, preset.id);
+      }
+      renderCustomPresets();
 
       // Show success feedback
       const originalText = savePresetBtn.textContent;
@@ -654,6 +2193,39 @@ document.addEventListener('DOMContentLoaded', function () {
     saveSettings();
   });
 
-  loadSettings();
-  updateStatus();
+  noRepeatWindowInput.addEventListener('input', function() {
+    saveSettings();
+    renderTemplateUsage();
+  });
+
+  // Stop condition event listeners
+  [maxSessionMinutesInput, maxPostsViewedInput, maxLikesInput, maxCommentsInput].forEach(input => {
+    input.addEventListener('input', function() {
+      saveSettings();
+    });
+  });
+
+  stopWhenLimitsExhaustedCheckbox.addEventListener('change', function() {
+    saveSettings();
+  });
+
+  // Twitter-specific option event listeners
+  [skipPromotedTweetsCheckbox, skipRetweetsCheckbox, skipRepliesCheckbox].forEach(checkbox => {
+    checkbox.addEventListener('change', function() {
+      saveSettings();
+    });
+  });
+
+  // Instagram-specific option event listeners
+  instagramModeSelect.addEventListener('change', function() {
+    saveSettings();
+  });
+
+  // Settings belong to the platform getStatus reports, so find that out first
+  updateStatus().then(loadSettings).then(loadPresets).then(loadSafetyLimits).then(loadActiveHours).then(loadPersonaPresets);
+  setInterval(refreshQuota, 5000);
+  setInterval(renderActiveHoursNext, 30000);
+  loadProfiles();
+  loadSchedules();
+  loadProvider();
 });
\ No newline at end of file
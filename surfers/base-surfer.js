@@ -1,28 +1,52 @@
 /**
  * BaseAutoSurfer - Shared automation base class
  *
- * Used by: Twitter, Instagram, Reddit surfers
+ * Used by: Facebook, LinkedIn, Twitter, Instagram, Reddit surfers
  * Architecture: Uses shared utility modules via composition
  *
  * Utilities (from surfers/utilities/):
  * - CursorAnimator (cursor-animator.js): Visual cursor & clicks
  * - TextTyper (text-typer.js): Human-like typing
  * - DuplicateDetector (engagement-helpers.js): Prevent re-engagement
- * - SafetyLimits (engagement-helpers.js): Rate limiting
+ * - SafetyLimits (safety-limits.js): Rate limiting
  * - DOMHelpers (dom-helpers.js): DOM utilities
+ * - SelectorPackLoader (selector-packs.js): Versioned selector packs
+ * - SelectorDiagnostics (selector-diagnostics.js): Selector health report
  *
- * PLATFORM-SPECIFIC CLASSES SHOULD OVERRIDE:
- * 1. getPlatformSelectors() - Return platform-specific DOM selectors
- * 2. findSeeMoreButtonsInPost(post) - Platform-specific "see more" detection logic
- * 3. findSeeMoreButtons() - Global "see more" detection for test function
+ * Selectors (including the text-matched "see more" spec) and submit button rules come from the platform's
+ * selector pack (surfers/selector-packs/{platform}.json), which users can override
+ * from the popup.
+ *
+ * Pack selectors may be CSS strings or text-match specs, so always look them up
+ * with DOMHelpers.query()/queryAll() rather than querySelector().
+ *
+ * PLATFORM-SPECIFIC CLASSES MAY OVERRIDE:
+ * 1. getPlatformSelectors() - Post-process selectors from the pack
+ * 2. findSeeMoreButtonsInPost(post) - "See more" detection beyond the pack's seeMore spec
+ * 3. describePost(post) - Extracted post data shown in the diagnostics report
+ *
+ * ENGAGEMENT PIPELINE (each step is an overridable hook):
+ * 1. findPosts() - Candidate post elements on the page
+ * 2. shouldSkipPost(post) - Filter out promoted/unwanted posts
+ * 3. viewPost(post) - Dwell on the post before engaging (e.g. watch a video)
+ * 4. expandPost(post) - Click "see more"
+ * 5. likePost(post) - findLikeButton() → isLikeButtonPressed() → clickLikeButton()
+ * 6. commentPost(post) - findCommentButton() → openCommentBox() → findCommentTextArea()
+ *    → focusCommentTextArea() → generateCommentText() → submitComment()
+ * 7. afterPost(post) - Pause before moving on to the next post
  */
 
 window.BaseAutoSurfer = class BaseAutoSurfer {
-  constructor() {
+  /**
+   * @param {string} platform - Platform name, passed by subclasses before init() runs
+   */
+  constructor(platform = 'unknown') {
     this.isActive = false;
     this.engagementTimeout = null;
-    this.platform = 'unknown'; // Platform subclasses should set this
-    this.selectors = {}; // Platform subclasses should populate this via getPlatformSelectors()
+    this.platform = platform;
+    this.selectors = {}; // Populated from the selector pack via getPlatformSelectors()
+    this.selectorPack = null;
+    this.selectorPackReport = null;
 
     this.settings = {
       scrollSpeedMin: 2000,
@@ -33,9 +57,17 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
       enableAutoComment: false,
       commentDelay: 8000,
       commentProbability: 30,
+      noRepeatWindow: window.CommentRotation.DEFAULT_WINDOW,
       enableSeeMore: false,
       seeMoreDelay: 2000,
-      postEngagementDelay: 3000
+      postEngagementDelay: 3000,
+      // Stop conditions (0 = no limit)
+      maxSessionMinutes: 0,
+      maxPostsViewed: 0,
+      maxLikes: 0,
+      maxComments: 0,
+      stopWhenLimitsExhausted: false,
+      ...this.getPlatformDefaultSettings()
     };
 
 
@@ -43,14 +75,17 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
       totalPostsViewed: 0,
       totalSeeMoreClicked: 0,
       totalPostsLiked: 0,
-      totalComments: 0
+      totalComments: 0,
+      skipReasons: {}
     };
 
     // Initialize shared utilities
     this.cursor = new window.CursorAnimator();
     this.typer = new window.TextTyper();
     this.duplicateDetector = new window.DuplicateDetector();
-    this.safetyLimits = new window.SafetyLimits();
+    this.safetyLimits = new window.SafetyLimits(this.platform);
+    this.activeHours = new window.ActiveHours(this.platform);
+    this.commentRotation = new window.CommentRotation(this.platform);
     this.templateGenerator = new window.TemplateGenerator();
 
     this.init();
@@ -59,7 +94,7 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
 
   /**
    * HOOK: Platform-specific selector configuration
-   * Override this in platform subclasses to return selectors object with:
+   * Defaults to the "selectors" of the loaded selector pack, which contains:
    * - posts: Main post/article container selector
    * - likeButton or upvoteButton: Like/reaction button selector
    * - commentButton or replyButton: Comment/reply button selector
@@ -69,173 +104,55 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
    * @returns {Object} Selectors object
    */
   getPlatformSelectors() {
-    throw new Error('getPlatformSelectors() must be implemented by platform subclass');
+    if (!this.selectorPack) {
+      throw new Error(`No selector pack loaded for ${this.platform}`);
+    }
+    return { ...this.selectorPack.selectors };
   }
 
   /**
-   * HOOK: Platform-specific "see more" button detection within a post
-   * Override this in platform subclasses if default logic doesn't work
+   * HOOK: Extra platform-specific settings merged into the defaults
+   * Values loaded from storage still take precedence
    *
-   * @param {HTMLElement} post - The post element to search within
-   * @returns {Array<HTMLElement>} Array of "see more" buttons found
+   * @returns {Object} Default values for platform-only settings
    */
-  findSeeMoreButtonsInPost(post) {
-    const buttons = [];
-
-    // Default keywords - platform subclasses can override with their own
-    const expandKeywords = this.getExpandKeywords();
-
-    const clickableElements = post.querySelectorAll(`
-      button,
-      span[role="button"],
-      div[role="button"],
-      a[role="button"],
-      [tabindex="0"],
-      span[data-testid],
-      div[data-testid]
-    `);
-
-    clickableElements.forEach(element => {
-      const text = element.textContent.trim();
-      const textLower = text.toLowerCase();
-      const ariaLabel = (element.getAttribute('aria-label') || '');
-      const ariaLabelLower = ariaLabel.toLowerCase();
-
-      const matchesKeyword = expandKeywords.some(keyword => {
-        if (this.platform === 'facebook') {
-          return text === keyword || ariaLabel === keyword;
-        }
-        return textLower.includes(keyword.toLowerCase()) ||
-          ariaLabelLower.includes(keyword.toLowerCase());
-      });
-
-      if (matchesKeyword) {
-        buttons.push(element);
-      }
-    });
-
-    return buttons;
+  getPlatformDefaultSettings() {
+    return {};
   }
 
   /**
-   * HOOK: Platform-specific "see more" button detection (global search)
-   * Override this in platform subclasses if default logic doesn't work
-   * Used primarily by testSeeMoreButtons() function
+   * HOOK: Platform-specific "see more" button detection within a post
+   * Default matches the pack's "seeMore" selector spec (CSS + text predicates,
+   * see DOMHelpers.queryAll). Override only when matching needs more than the spec.
    *
-   * @returns {Array<HTMLElement>} Array of all "see more" buttons found on page
+   * @param {HTMLElement} post - The post element to search within
+   * @returns {Array<HTMLElement>} Array of "see more" buttons found
    */
-  findSeeMoreButtons() {
-    const buttons = [];
-
-    // Convert NodeList to Array to allow push operations
-    let posts = Array.from(document.querySelectorAll(this.selectors.posts));
-
-    if (posts.length === 0 && this.platform === 'facebook') {
-      // Facebook fallback - try alternative selectors
-      const altSelectors = [
-        'div[data-pagelet="FeedUnit"]',
-        '[role="main"] > div > div',
-        'div[data-testid="story-subtilte"]',
-        'div[aria-posinset]',
-        '.story_body_container'
-      ];
-
-      for (let selector of altSelectors) {
-        const altPosts = document.querySelectorAll(selector);
-        if (altPosts.length > 0) {
-          posts.push(...altPosts);
-          break;
-        }
-      }
-    }
-
-    const expandKeywords = this.getExpandKeywords();
-
-    // Special Facebook handling - search globally
-    if (this.platform === 'facebook') {
-      const allClickableElements = document.querySelectorAll(`
-        div[role="button"],
-        span[role="button"],
-        button,
-        a[role="button"],
-        [tabindex="0"]:not(input):not(textarea),
-        div[aria-label],
-        span[aria-label]
-      `);
-
-      allClickableElements.forEach(element => {
-        const text = element.textContent.trim();
-        const ariaLabel = element.getAttribute('aria-label') || '';
-
-        const matchesPattern = expandKeywords.some(pattern => {
-          return text === pattern ||
-            text.includes(pattern) ||
-            ariaLabel === pattern ||
-            ariaLabel.includes(pattern);
-        });
-
-        if (matchesPattern) {
-          buttons.push(element);
-        }
-      });
-
-      return buttons;
-    }
-
-    // Default logic for other platforms
-    posts.forEach((post, postIndex) => {
-      const clickableElements = post.querySelectorAll(`
-        button,
-        span[role="button"],
-        div[role="button"],
-        a[role="button"],
-        [tabindex="0"],
-        span[data-testid],
-        div[data-testid]
-      `);
-
-      clickableElements.forEach(element => {
-        const text = element.textContent.trim();
-        const textLower = text.toLowerCase();
-        const ariaLabel = (element.getAttribute('aria-label') || '');
-        const ariaLabelLower = ariaLabel.toLowerCase();
-
-        const matchesKeyword = expandKeywords.some(keyword => {
-          if (this.platform === 'facebook') {
-            return text === keyword || ariaLabel === keyword;
-          }
-          return textLower.includes(keyword.toLowerCase()) ||
-            ariaLabelLower.includes(keyword.toLowerCase());
-        });
-
-        // Special patterns for non-Facebook platforms
-        const isEllipsis = text === '...' || text === '…' || /^\.\.\.$/.test(text);
-        const hasExpandPattern = text.includes('...') || ariaLabelLower.includes('expand');
-
-        if (matchesKeyword || isEllipsis || hasExpandPattern) {
-          buttons.push(element);
-        }
-      });
-    });
-    return buttons;
+  findSeeMoreButtonsInPost(post) {
+    return DOMHelpers.queryAll(this.selectors.seeMore, post);
   }
 
   /**
-   * Helper: Get platform-specific expand keywords
-   * Can be overridden by platform subclasses
+   * Helper: Submit button rules from the selector pack's "submitButton"
+   * - selectors: Candidate selectors in priority order
+   * - maxDepth: How many parents of the text area to search
+   * - searchDocument: Fall back to a document-wide search
    *
-   * @returns {Array<string>} Array of keywords to look for
+   * @returns {Object} Submit button rules
    */
-  getExpandKeywords() {
-    if (this.platform === 'facebook') {
-      return ['See more', 'See More', 'Continue reading', 'Read more', 'Show more'];
-    } else if (this.platform === 'twitter') {
-      return ['Show more', 'Show this thread', 'Show replies'];
-    } else if (this.platform === 'linkedin') {
-      return ['see more', 'See more', 'Show more'];
-    } else {
-      return ['show more', 'see more', 'See more', 'Show more', 'read more', 'Read more'];
-    }
+  getSubmitButtonRules() {
+    return {
+      selectors: [
+        '[type="submit"]',
+        'button[type="submit"]',
+        'button[aria-label*="Post"]',
+        'button[aria-label*="Submit"]',
+        'button[aria-label*="Reply"]'
+      ],
+      maxDepth: 5,
+      searchDocument: false,
+      ...((this.selectorPack && this.selectorPack.submitButton) || {})
+    };
   }
 
   /**
@@ -247,14 +164,7 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
    * @returns {HTMLElement|null} Submit button or null
    */
   findSubmitButton(textArea, post) {
-    // Default generic selectors for platforms without specific overrides
-    const selectors = [
-      '[type="submit"]',
-      'button[type="submit"]',
-      'button[aria-label*="Post"]',
-      'button[aria-label*="Submit"]',
-      'button[aria-label*="Reply"]'
-    ];
+    const { selectors, maxDepth, searchDocument } = this.getSubmitButtonRules();
 
     // First try to find within the post context
     if (post) {
@@ -269,7 +179,7 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
 
     // Fallback: try to find near the text area by traversing up
     let container = textArea;
-    for (let i = 0; i < 5; i++) {
+    for (let i = 0; i < maxDepth; i++) {
       container = container.parentElement;
       if (!container) break;
 
@@ -282,23 +192,78 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
       }
     }
 
-    console.log('[Submit] No submit button found with default selectors');
+    // Last resort for platforms whose composer renders outside the post (e.g. modals)
+    if (searchDocument) {
+      for (const selector of selectors) {
+        const btn = document.querySelector(selector);
+        if (btn && !btn.disabled) {
+          console.log(`[Submit] Found button in document with selector: ${selector}`);
+          return btn;
+        }
+      }
+    }
+
+    console.log('[Submit] No submit button found with selector pack rules');
     return null;
   }
 
   // ========== INITIALIZATION ==========
 
   init() {
-    this.loadSettings();
-    this.initializePlatform();
+    this.settingsReady = this.loadSettings();
+    this.selectorPackReady = this.loadSelectorPack();
     this.listenForMessages();
     this.templateGenerator.setPlatform(this.platform);
     this.templateGenerator.loadFromStorage();
+    this.resumeSession();
+  }
+
+  /**
+   * Ask the background orchestrator whether this tab has a running session
+   * (page reload or reinjection) and pick it up where it left off
+   */
+  async resumeSession() {
+    try {
+      await this.settingsReady;
+      const response = await chrome.runtime.sendMessage({ action: 'sessionReady', platform: this.platform });
+      if (response && response.session) {
+        console.log('[Session] Resuming session from background');
+        this.start(response.session);
+      }
+    } catch (error) {
+      console.log('[Session] Background not reachable, not resuming:', error.message);
+    }
+  }
+
+  /**
+   * Send the latest stats to the background orchestrator
+   */
+  reportSession() {
+    chrome.runtime.sendMessage({ action: 'sessionUpdate', stats: this.sessionStats }).catch(() => {
+      console.log('[Session] Could not report stats to background');
+    });
+  }
+
+  /**
+   * Load (or reload) the selector pack and re-initialize selectors from it
+   * @returns {Promise<Object>} Validation report for the loaded pack
+   */
+  async loadSelectorPack() {
+    const { pack, report } = await window.SelectorPackLoader.load(this.platform);
+    this.selectorPack = pack;
+    this.selectorPackReport = report;
+
+    if (!report.valid) {
+      console.warn(`[${this.platform}] Selector pack has problems:`, report.errors);
+    }
+
+    this.initializePlatform();
+    return report;
   }
 
   /**
    * Initialize platform-specific configuration
-   * Called during init() - sets up selectors from getPlatformSelectors()
+   * Called after the selector pack loads - sets up selectors from getPlatformSelectors()
    */
   initializePlatform() {
     try {
@@ -311,10 +276,11 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
 
   async loadSettings() {
     try {
-      const result = await chrome.storage.sync.get(['surfSettings', 'mode', 'proModeSettings']);
-      if (result.surfSettings) {
-        this.settings = { ...this.settings, ...result.surfSettings };
-      }
+      const result = await chrome.storage.sync.get(['surfSettings', 'platformSettings', 'mode', 'proModeSettings']);
+      this.settings = {
+        ...this.settings,
+        ...window.PlatformSettings.resolve(result.surfSettings, result.platformSettings, this.platform)
+      };
       if (result.mode) {
         this.mode = result.mode;
       }
@@ -368,74 +334,58 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
     }
   }
 
-  async saveSettings() {
-    try {
-      await chrome.storage.sync.set({ surfSettings: this.settings });
-    } catch (error) {
-      console.log('Could not save settings');
-    }
-  }
-
   // ========== MESSAGE PASSING ==========
 
   listenForMessages() {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       switch (message.action) {
         case 'start':
-          this.start();
+          // Sent by the background orchestrator with the session to run
+          this.start(message.session);
           sendResponse({ success: true });
           return true;
         case 'stop':
-          this.stop();
-          sendResponse({ success: true });
+          // Background already knows - don't echo sessionEnded back
+          this.stop({ reason: { code: message.reason || 'user' }, notifyBackground: false });
+          sendResponse({ success: true, stats: this.sessionStats, summary: this.lastSessionSummary });
           return true;
         case 'updateSettings':
+          // Already stored by the popup (per platform, see PlatformSettings)
           this.settings = { ...this.settings, ...message.settings };
-          this.saveSettings();
           sendResponse({ success: true });
           return true;
         case 'getStatus':
           sendResponse({
             isActive: this.isActive,
             platform: this.platform,
-            stats: this.sessionStats
+            stats: this.sessionStats,
+            quota: this.safetyLimits.getQuota()
           });
           return true;
-        case 'testSeeMore':
-          this.testSeeMoreButtons();
-          sendResponse({ success: true });
-          return true;
-        case 'testLike':
-          this.testLikePost();
-          sendResponse({ success: true });
+        case 'runDiagnostics':
+          this.runDiagnostics(message.highlight !== false)
+            .then(report => sendResponse(report))
+            .catch(error => sendResponse({ success: false, error: error.message }));
           return true;
-        case 'testComment':
-          this.testCommentPost();
-          sendResponse({ success: true });
+        case 'getSelectorPack':
+          this.selectorPackReady.then(() => {
+            sendResponse({
+              platform: this.platform,
+              pack: this.selectorPack,
+              report: this.selectorPackReport
+            });
+          });
           return true;
-        case 'testPostDetection':
-          if (typeof this.testPostDetection === 'function') {
-            this.testPostDetection();
-          } else {
-            console.log('testPostDetection not implemented for this platform');
-          }
-          sendResponse({ success: true });
+        case 'reloadSelectorPack':
+          // Popup saved or cleared an override - apply it without a page reload
+          this.selectorPackReady = this.loadSelectorPack();
+          this.selectorPackReady.then(report => sendResponse({ success: true, report }));
           return true;
-        case 'testReactButton':
-          if (typeof this.testReactButton === 'function') {
-            this.testReactButton();
-          } else {
-            console.log('testReactButton not implemented for this platform');
-          }
-          sendResponse({ success: true });
-          return true;
-        case 'testCommentFlow':
-          if (typeof this.testCommentFlow === 'function') {
-            this.testCommentFlow();
-          } else {
-            console.log('testCommentFlow not implemented for this platform');
-          }
-          sendResponse({ success: true });
+        case 'reloadSafetyLimits':
+          // Popup saved new limits for this platform
+          this.safetyLimits.loadFromStorage().then(() => {
+            sendResponse({ success: true, quota: this.safetyLimits.getQuota() });
+          });
           return true;
         case 'updateTemplates':
           // Only update if the templates are for this platform
@@ -452,30 +402,52 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
 
   // ========== START/STOP CONTROL ==========
 
-  start() {
+  /**
+   * @param {Object|null} session - Session from the background orchestrator; its settings
+   *   snapshot is applied and, when resumed after a reload, its stats carry over
+   */
+  start(session = null) {
     if (this.isActive) return;
 
     this.isActive = true;
+    const resuming = !!(session && session.resumed);
 
-    this.sessionStats = {
+    if (session && session.settings) {
+      this.settings = { ...this.settings, ...session.settings };
+    }
+
+    this.sessionStartTime = session ? session.startTime : Date.now();
+    this.sessionStats = resuming ? { skipReasons: {}, ...session.stats } : {
       totalPostsViewed: 0,
       totalSeeMoreClicked: 0,
       totalPostsLiked: 0,
-      totalComments: 0
+      totalComments: 0,
+      skipReasons: {}
     };
 
-    console.log('=== SESSION STARTED ===');
-    console.log('Session statistics reset');
+    console.log(resuming ? '=== SESSION RESUMED ===' : '=== SESSION STARTED ===');
+    console.log(resuming ? 'Session statistics restored' : 'Session statistics reset');
     console.log('Settings:', this.settings);
     console.log('Auto Like:', this.settings.enableAutoLike);
     console.log('Auto Comment:', this.settings.enableAutoComment);
     console.log('See More:', this.settings.enableSeeMore);
 
     this.startSequentialEngagement();
-    DOMHelpers.showNotification('Auto surfing started! Using sequential engagement.', 'success');
+    DOMHelpers.showNotification(
+      resuming ? 'Auto surfing resumed after reload.' : 'Auto surfing started! Using sequential engagement.',
+      'success'
+    );
   }
 
-  stop() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.reason - Why the session ended: { code, limit? } where code is
+   *   'user', 'schedule' or a stop condition from checkStopConditions()
+   * @param {boolean} options.notifyBackground - Tell the orchestrator the session ended
+   *   (false when the orchestrator itself asked for the stop)
+   */
+  stop({ reason = { code: 'user' }, notifyBackground = true } = {}) {
+    if (!this.isActive) return;
     this.isActive = false;
 
     if (this.engagementTimeout) {
@@ -483,7 +455,18 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
       this.engagementTimeout = null;
     }
 
+    const endTime = Date.now();
+    this.lastSessionSummary = {
+      reason,
+      stats: { ...this.sessionStats },
+      startTime: this.sessionStartTime,
+      endTime,
+      durationMinutes: Math.round((endTime - this.sessionStartTime) / 60000)
+    };
+
     console.log('=== SESSION ENDED ===');
+    console.log(`Reason: ${BaseAutoSurfer.describeStopReason(reason)}`);
+    console.log(`Duration: ${this.lastSessionSummary.durationMinutes} min`);
     console.log('📊 Session Statistics:');
     console.log(`  Total Posts Viewed: ${this.sessionStats.totalPostsViewed}`);
     console.log(`  Total "See More" Clicked: ${this.sessionStats.totalSeeMoreClicked}`);
@@ -491,23 +474,101 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
     console.log(`  Total Comments Added: ${this.sessionStats.totalComments}`);
     console.log('======================');
 
+    if (notifyBackground) {
+      chrome.runtime.sendMessage({
+        action: 'sessionEnded',
+        stats: this.sessionStats,
+        summary: this.lastSessionSummary
+      }).catch(() => {});
+    }
+
     DOMHelpers.showNotification(
-      `Session ended! Posts: ${this.sessionStats.totalPostsViewed}, Liked: ${this.sessionStats.totalPostsLiked}, Comments: ${this.sessionStats.totalComments}`,
+      `Session ended (${BaseAutoSurfer.describeStopReason(reason)})! Posts: ${this.sessionStats.totalPostsViewed}, Liked: ${this.sessionStats.totalPostsLiked}, Comments: ${this.sessionStats.totalComments}`,
       'info'
     );
   }
 
+  static describeStopReason(reason) {
+    switch (reason.code) {
+      case 'maxSessionMinutes': return `time limit of ${reason.limit} min reached`;
+      case 'maxPostsViewed': return `${reason.limit} posts viewed`;
+      case 'maxLikes': return `${reason.limit} likes given`;
+      case 'maxComments': return `${reason.limit} comments posted`;
+      case 'safetyLimits': return 'safety limits exhausted';
+      case 'viewLimit': return 'posts viewed safety limit reached';
+      case 'schedule': return 'scheduled time is up';
+      case 'tabClosed': return 'tab was closed';
+      case 'navigation': return 'left the platform';
+      default: return 'stopped by user';
+    }
+  }
+
+  /**
+   * HOOK: Decide whether the session should end before engaging with the next post
+   * Limits of 0 are off. "Safety limits exhausted" only counts the actions that are
+   * enabled, so a like-only session stops when likes run out. The posts-viewed
+   * safety limit always ends the session - every other action needs a viewed post.
+   *
+   * @returns {Object|null} Stop reason { code, limit? } or null to keep going
+   */
+  checkStopConditions() {
+    const { settings, sessionStats } = this;
+    const minutes = (Date.now() - this.sessionStartTime) / 60000;
+
+    if (settings.maxSessionMinutes > 0 && minutes >= settings.maxSessionMinutes) {
+      return { code: 'maxSessionMinutes', limit: settings.maxSessionMinutes };
+    }
+    if (settings.maxPostsViewed > 0 && sessionStats.totalPostsViewed >= settings.maxPostsViewed) {
+      return { code: 'maxPostsViewed', limit: settings.maxPostsViewed };
+    }
+    if (settings.maxLikes > 0 && sessionStats.totalPostsLiked >= settings.maxLikes) {
+      return { code: 'maxLikes', limit: settings.maxLikes };
+    }
+    if (settings.maxComments > 0 && sessionStats.totalComments >= settings.maxComments) {
+      return { code: 'maxComments', limit: settings.maxComments };
+    }
+
+    if (!this.safetyLimits.hasQuota('view')) {
+      return { code: 'viewLimit' };
+    }
+
+    if (settings.stopWhenLimitsExhausted && (settings.enableAutoLike || settings.enableAutoComment)) {
+      const likesLeft = settings.enableAutoLike && this.safetyLimits.hasQuota('like');
+      const commentsLeft = settings.enableAutoComment && this.safetyLimits.hasQuota('comment');
+      if (!likesLeft && !commentsLeft) {
+        return { code: 'safetyLimits' };
+      }
+    }
+
+    return null;
+  }
+
   // ========== SEQUENTIAL ENGAGEMENT CYCLE ==========
 
   async startSequentialEngagement() {
+    await this.selectorPackReady;
+
     const engagementCycle = async () => {
       if (!this.isActive) return;
 
+      // Step 0: End the session cleanly once a stop condition is hit
+      const stopReason = this.checkStopConditions();
+      if (stopReason) {
+        console.log(`[Engagement] Stop condition hit: ${BaseAutoSurfer.describeStopReason(stopReason)}`);
+        this.stop({ reason: stopReason });
+        return;
+      }
+
+      // Outside active hours in 'idle' mode: wait for the window instead of scrolling
+      if (!this.activeHours.isOpen() && this.activeHours.config.outside === 'idle') {
+        await this.waitForActiveHours();
+        this.scheduleNextCycle();
+        return;
+      }
+      this.idleUntil = null;
+
       // Step 1: Check for visible unengaged posts
-      let posts = document.querySelectorAll(this.selectors.posts);
-      let visiblePosts = Array.from(posts).filter(post =>
-        DOMHelpers.isElementInViewport(post) && !post.getAttribute('data-surfer-engaged')
-      );
+      let visiblePosts = this.findVisibleUnengagedPosts();
 
       // Step 2: If no visible posts, use smart scrolling to find one
       if (visiblePosts.length === 0) {
@@ -523,10 +584,7 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
         }
 
         // Re-check for visible posts after smart scrolling
-        posts = document.querySelectorAll(this.selectors.posts);
-        visiblePosts = Array.from(posts).filter(post =>
-          DOMHelpers.isElementInViewport(post) && !post.getAttribute('data-surfer-engaged')
-        );
+        visiblePosts = this.findVisibleUnengagedPosts();
 
         if (visiblePosts.length === 0) {
           // Still no posts (shouldn't happen, but safety check)
@@ -539,9 +597,11 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
       const targetPost = visiblePosts[0];
 
       // Step 3: Check if platform wants to skip this post (promoted ads, etc.)
-      if (typeof this.shouldSkipPost === 'function' && this.shouldSkipPost(targetPost)) {
+      const skipReason = this.shouldSkipPost(targetPost);
+      if (skipReason) {
         targetPost.setAttribute('data-surfer-engaged', 'true'); // Mark as seen
         console.log('[Engagement] Post skipped by platform filter');
+        this.recordSkip(targetPost, typeof skipReason === 'string' ? skipReason : 'filtered');
         this.scheduleNextCycle(); // Skip to next post
         return;
       }
@@ -552,19 +612,31 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
         await DOMHelpers.scrollPostIntoEngageableView(targetPost, this.selectors);
       }
 
+      // Posts-viewed minimum gap: wait it out rather than skip the post
+      const viewGap = this.safetyLimits.gapRemaining('view');
+      if (viewGap > 0) {
+        await DOMHelpers.sleep(viewGap);
+        if (!this.isActive) return;
+      }
+
       targetPost.setAttribute('data-surfer-engaged', 'true');
       this.sessionStats.totalPostsViewed++;
+      await this.safetyLimits.recordView();
 
       console.log(`[Post #${this.sessionStats.totalPostsViewed}] Starting engagement`);
+      this.logEngagement('viewed', targetPost);
+
+      await this.viewPost(targetPost);
 
       // Step 5: Click "see more" if enabled
       if (this.settings.enableSeeMore) {
-        await this.clickSeeMoreOnPost(targetPost);
+        await this.expandPost(targetPost);
         await DOMHelpers.sleep(this.settings.seeMoreDelay);
       }
 
       // Step 6: Auto like if enabled and passes probability check
-      if (this.settings.enableAutoLike) {
+      // Likes and comments only inside active hours ('scroll' mode keeps viewing outside them)
+      if (this.settings.enableAutoLike && this.isWithinActiveHours('like')) {
         const likeRoll = Math.random() * 100;
         const shouldLike = likeRoll < this.settings.likeProbability;
 
@@ -575,7 +647,7 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
       }
 
       // Step 7: Auto comment if enabled and passes probability check
-      if (this.settings.enableAutoComment) {
+      if (this.settings.enableAutoComment && this.isWithinActiveHours('comment')) {
         const commentRoll = Math.random() * 100;
         const shouldComment = commentRoll < this.settings.commentProbability;
 
@@ -585,21 +657,98 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
         }
       }
 
-      await DOMHelpers.sleep(this.settings.postEngagementDelay);
+      // Step 8: Platform cool-down before the next post
+      await this.afterPost(targetPost);
       this.scheduleNextCycle();
     };
 
     engagementCycle();
   }
 
+  /**
+   * @param {string} action - 'like' or 'comment', for the log
+   * @returns {boolean} Whether the action may run now
+   */
+  isWithinActiveHours(action) {
+    if (this.activeHours.isOpen()) return true;
+    console.log(`[Engagement] Outside active hours, no ${action}`);
+    return false;
+  }
+
+  /**
+   * Sleep towards the next active window, a minute at a time so a stop or
+   * a changed window is picked up; the cycle checks again afterwards
+   */
+  async waitForActiveHours() {
+    const { changesAt } = this.activeHours.nextChange();
+
+    if (this.idleUntil !== changesAt) {
+      this.idleUntil = changesAt;
+      console.log(changesAt
+        ? `[Engagement] Outside active hours, idle until ${new Date(changesAt).toLocaleString()}`
+        : '[Engagement] Outside active hours, no window ahead - idle');
+    }
+
+    const wait = changesAt ? Math.min(changesAt - Date.now(), 60000) : 60000;
+    await DOMHelpers.sleep(Math.max(wait, 1000));
+  }
+
   scheduleNextCycle() {
     if (!this.isActive) return;
 
+    this.reportSession();
+
     this.engagementTimeout = setTimeout(() => {
       this.startSequentialEngagement();
     }, 100);
   }
 
+  /**
+   * HOOK: Find all candidate post elements on the page
+   * Override when posts can't be matched by a single selector
+   *
+   * @returns {Array<HTMLElement>} Post elements in document order
+   */
+  findPosts() {
+    return DOMHelpers.queryAll(this.selectors.posts);
+  }
+
+  /**
+   * Posts from findPosts() that are on screen and not yet engaged
+   * @returns {Array<HTMLElement>}
+   */
+  findVisibleUnengagedPosts() {
+    return this.findPosts().filter(post =>
+      DOMHelpers.isElementInViewport(post) && !post.getAttribute('data-surfer-engaged')
+    );
+  }
+
+  /**
+   * HOOK: Decide whether a post should be skipped (promoted, too old, etc.)
+   * Skipped posts are marked as seen and never engaged
+   *
+   * @param {HTMLElement} post - Candidate post
+   * @returns {boolean|string} Falsy to engage; a reason code (e.g. 'promoted', 'oldPost')
+   *   or true to skip. The reason is saved to the engagement history.
+   */
+  shouldSkipPost(post) {
+    return false;
+  }
+
+  /**
+   * HOOK: Runs after every engaged post, before the next cycle is scheduled
+   * @param {HTMLElement} post - The post that was just engaged
+   */
+  async afterPost(post) {
+    await DOMHelpers.sleep(this.settings.postEngagementDelay);
+  }
+
+  /**
+   * HOOK: Scroll the feed by the given amount
+   * Override for alternative scrolling (e.g. keyboard scrolling)
+   *
+   * @param {number|null} scrollAmount - Pixels to scroll (defaults to 80% of viewport)
+   */
   async performScroll(scrollAmount = null) {
     const scrollHeight = scrollAmount || Math.floor(window.innerHeight * 0.8);
     window.scrollBy({
@@ -636,10 +785,7 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
       await DOMHelpers.sleep(randomDelay);
 
       // Check for visible unengaged posts
-      const posts = document.querySelectorAll(this.selectors.posts);
-      const visibleUnengagedPosts = Array.from(posts).filter(post =>
-        DOMHelpers.isElementInViewport(post) && !post.getAttribute('data-surfer-engaged')
-      );
+      const visibleUnengagedPosts = this.findVisibleUnengagedPosts();
 
       if (visibleUnengagedPosts.length > 0) {
         console.log(`[Smart Scroll] Found ${visibleUnengagedPosts.length} new post(s) after ${attempt + 1} scroll(s)`);
@@ -659,6 +805,22 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
 
   // ========== POST ENGAGEMENT ==========
 
+  /**
+   * HOOK: Dwell on a post before engaging with it
+   * Default does nothing - the scroll delay already paces the feed
+   *
+   * @param {HTMLElement} post - The post about to be engaged
+   */
+  async viewPost(post) {}
+
+  /**
+   * HOOK: Expand truncated post content
+   * @param {HTMLElement} post - The post to expand
+   */
+  async expandPost(post) {
+    await this.clickSeeMoreOnPost(post);
+  }
+
   async clickSeeMoreOnPost(post) {
     try {
       const seeMoreButtons = this.findSeeMoreButtonsInPost(post);
@@ -667,10 +829,17 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
       );
 
       if (visibleButtons.length > 0) {
+        if (!this.safetyLimits.canSeeMore()) {
+          console.log('[Safety] See more limit reached - leaving the post collapsed');
+          return;
+        }
+
         const button = visibleButtons[0];
         button.setAttribute('data-surfer-clicked', 'true');
         this.sessionStats.totalSeeMoreClicked++;
         await this.cursor.humanLikeClick(button, (msg) => DOMHelpers.showNotification(msg, 'success'), `Clicked "${button.textContent.trim()}" 👁️`);
+        await this.safetyLimits.recordSeeMore();
+        this.logEngagement('expanded', post);
       }
     } catch (error) {
       console.log('Error clicking See More:', error);
@@ -679,82 +848,124 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
 
   async likePost(post) {
     try {
-      const postNumber = this.sessionStats.totalPostsViewed;
-      let didLike = false;
+      const likeButton = this.findLikeButton(post);
+      if (!likeButton) {
+        console.log('[Like] No suitable like button found');
+        return;
+      }
 
-      // Find all like buttons and filter out counters (e.g., "Like: 26 people")
-      const allLikeButtons = post.querySelectorAll(this.selectors.likeButton || this.selectors.upvoteButton);
+      const isNotLiked = !this.isLikeButtonPressed(likeButton);
+      const notClickedByUs = !likeButton.getAttribute('data-surfer-liked');
 
-      // Filter: prefer buttons with shortest aria-label (avoids "Like: X people" counters)
-      let likeButton = null;
-      let shortestLength = Infinity;
+      if (isNotLiked && notClickedByUs) {
+        // Check safety limits
+        if (!this.safetyLimits.canLike()) {
+          console.log('[Safety] Like limit or gap reached - skipping');
+          this.recordSkip(post, 'likeLimit');
+          return;
+        }
 
-      allLikeButtons.forEach(btn => {
-        const ariaLabel = btn.getAttribute('aria-label') || '';
+        likeButton.setAttribute('data-surfer-liked', 'true');
+        await DOMHelpers.sleep(Math.random() * 1000 + 500);
 
-        // Prefer exact match "Like" or shortest label without colons
-        if (!ariaLabel.includes(':') && ariaLabel.length < shortestLength) {
-          likeButton = btn;
-          shortestLength = ariaLabel.length;
+        const liked = await this.clickLikeButton(likeButton);
+        if (liked === false) {
+          console.log('[Like] Click did not register - not counting it');
+          return;
         }
-      });
-
-      if (likeButton) {
-        const ariaPressed = likeButton.getAttribute('aria-pressed');
-        const alreadyClicked = likeButton.getAttribute('data-surfer-liked');
+        this.sessionStats.totalPostsLiked++;
+        this.logEngagement('liked', post);
 
-        const isNotLiked = ariaPressed !== 'true';
-        const notClickedByUs = !alreadyClicked;
+        // Record safety stats
+        await this.safetyLimits.recordLike();
+      } else {
+        console.log('[Like] Post already liked or clicked by us');
+      }
+    } catch (error) {
+      console.log('[Like] Error:', error);
+    }
+  }
 
-        if (isNotLiked && notClickedByUs) {
-          // Check safety limits
-          if (!this.safetyLimits.canLike()) {
-            console.log('[Safety] Like limit reached - skipping');
-            return;
-          }
+  /**
+   * HOOK: Find the like/upvote button of a post
+   * Default prefers the button with the shortest aria-label, which avoids
+   * reaction counters such as "Like: 26 people"
+   *
+   * @param {HTMLElement} post - The post to search within
+   * @returns {HTMLElement|null} Like button or null
+   */
+  findLikeButton(post) {
+    const allLikeButtons = DOMHelpers.queryAll(this.selectors.likeButton || this.selectors.upvoteButton, post);
 
-          likeButton.setAttribute('data-surfer-liked', 'true');
-          await DOMHelpers.sleep(Math.random() * 1000 + 500);
+    let likeButton = null;
+    let shortestLength = Infinity;
 
-          await this.cursor.humanLikeClick(likeButton, (msg) => DOMHelpers.showNotification(msg, 'success'), 'Liked a post! ❤️');
-          didLike = true;
-          this.sessionStats.totalPostsLiked++;
+    allLikeButtons.forEach(btn => {
+      const ariaLabel = btn.getAttribute('aria-label') || '';
 
-          // Record safety stats
-          await this.safetyLimits.recordLike();
-        }
+      // Prefer exact match "Like" or shortest label without colons
+      if (!ariaLabel.includes(':') && ariaLabel.length < shortestLength) {
+        likeButton = btn;
+        shortestLength = ariaLabel.length;
       }
-    } catch (error) {
-      console.log('[Like] Error:', error);
-    }
+    });
+
+    return likeButton;
+  }
+
+  /**
+   * HOOK: Whether the like button already shows the post as liked
+   * @param {HTMLElement} likeButton - Button returned by findLikeButton()
+   * @returns {boolean}
+   */
+  isLikeButtonPressed(likeButton) {
+    return likeButton.getAttribute('aria-pressed') === 'true';
+  }
+
+  /**
+   * HOOK: Perform the actual click on the like button
+   * @param {HTMLElement} likeButton - Button returned by findLikeButton()
+   * @returns {Promise<boolean|void>} Return false when the click verifiably didn't register
+   */
+  async clickLikeButton(likeButton) {
+    await this.cursor.humanLikeClick(likeButton, (msg) => DOMHelpers.showNotification(msg, 'success'), 'Liked a post! ❤️');
   }
 
   async commentPost(post) {
     try {
       // Safety checks
-      if (!this.safetyLimits.canComment()) {
+      if (!this.safetyLimits.hasQuota('comment')) {
         console.log('[Safety] Comment limit reached - skipping');
+        this.recordSkip(post, 'commentLimit');
+        return;
+      }
+      if (!this.safetyLimits.canComment()) {
+        console.log('[Safety] Too soon after the last comment - skipping');
+        this.recordSkip(post, 'commentGap');
         return;
       }
 
       // Duplicate checks
       try {
         const postUrl = this.getPostUrl(post);
-        const authorName = this.getAuthorName(post);
+        const authorName = this.getAuthorId(post);
         const content = this.getPostContent(post);
 
         if (this.duplicateDetector.hasEngagedUrl(postUrl)) {
           console.log('[Skip] Already engaged with this URL');
+          this.recordSkip(post, 'duplicateUrl');
           return;
         }
 
         if (this.duplicateDetector.hasEngagedAuthor(authorName, 24)) {
           console.log(`[Skip] Already engaged with ${authorName} in last 24h`);
+          this.recordSkip(post, 'duplicateAuthor');
           return;
         }
 
         if (await this.duplicateDetector.hasEngagedContent(content)) {
           console.log('[Skip] Duplicate content detected');
+          this.recordSkip(post, 'duplicateContent');
           return;
         }
       } catch (e) {
@@ -765,12 +976,14 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
       const commented = await this.addPositiveComment(post);
       if (commented) {
         this.sessionStats.totalComments++;
+        this.logEngagement('commented', post, { commentText: this.lastCommentText });
         await this.safetyLimits.recordComment();
+        await this.commentRotation.record(this.lastCommentTemplate, this.lastCommentText);
 
         // Record for duplicate detection
         try {
           const postUrl = this.getPostUrl(post);
-          const authorName = this.getAuthorName(post);
+          const authorName = this.getAuthorId(post);
           const content = this.getPostContent(post);
           await this.duplicateDetector.recordEngagement(postUrl, authorName, content);
         } catch (e) {
@@ -782,387 +995,322 @@ window.BaseAutoSurfer = class BaseAutoSurfer {
     }
   }
 
+  /**
+   * Count a skipped post by reason (for the dashboard) and log it
+   * @param {HTMLElement} post - The skipped post
+   * @param {string} reason - Skip reason code, e.g. 'promoted' or 'duplicateAuthor'
+   */
+  recordSkip(post, reason) {
+    const skipReasons = this.sessionStats.skipReasons;
+    skipReasons[reason] = (skipReasons[reason] || 0) + 1;
+    this.logEngagement('skipped', post, { reason });
+  }
+
+  /**
+   * Save an action to the engagement history (IndexedDB, via the background worker)
+   * @param {string} action - 'viewed', 'expanded', 'liked', 'commented' or 'skipped'
+   * @param {HTMLElement} post - The post acted on
+   * @param {Object} details - { reason } for skips, { commentText } for comments
+   */
+  logEngagement(action, post, { reason = null, commentText = null } = {}) {
+    let postUrl = null;
+    let author = null;
+    let content = '';
+
+    try {
+      postUrl = this.getPostUrl(post);
+      author = this.getAuthorName(post);
+      content = this.getPostContent(post) || '';
+    } catch (error) {
+      console.log('[History] Could not extract post data:', error.message);
+    }
+
+    const record = {
+      platform: this.platform,
+      action,
+      reason,
+      postUrl,
+      author,
+      excerpt: content.replace(/\s+/g, ' ').trim().substring(0, 200),
+      commentText,
+      sessionStart: this.sessionStartTime || null,
+      timestamp: Date.now()
+    };
+
+    chrome.runtime.sendMessage({ action: 'logEngagement', record }).catch(() => {
+      console.log('[History] Could not save engagement record');
+    });
+  }
+
   // Default extraction methods (to be overridden)
   getPostUrl(post) { return null; }
   getAuthorName(post) { return null; }
   getPostContent(post) { return null; }
 
+  /**
+   * HOOK: The author's handle as the platform writes it ({author_handle})
+   * @param {HTMLElement} post - The post element
+   * @returns {string|null} e.g. '@jane', 'u/jane'
+   */
+  getAuthorHandle(post) { return null; }
+
+  /**
+   * HOOK: Stable author key for duplicate detection
+   * Override when display names aren't unique (e.g. use a @handle)
+   *
+   * @param {HTMLElement} post - The post element
+   * @returns {string|null}
+   */
+  getAuthorId(post) {
+    return this.getAuthorName(post);
+  }
+
   async addPositiveComment(post) {
     try {
-      const commentButton = post.querySelector(this.selectors.commentButton || this.selectors.replyButton);
+      const commentButton = this.findCommentButton(post);
       if (!commentButton || commentButton.getAttribute('data-surfer-commented')) return false;
 
       commentButton.setAttribute('data-surfer-commented', 'true');
-      await this.cursor.humanLikeClick(commentButton, (msg) => DOMHelpers.showNotification(msg, 'success'), 'Opening comment box...');
-
-      await DOMHelpers.sleep(2000);
-
-      // LinkedIn-specific handling
-      if (this.platform === 'linkedin') {
-        const commentInputs = [
-          '.comments-comment-box__form',
-          '.comments-comment-texteditor',
-          '.ql-editor[data-placeholder]',
-          '[data-placeholder="Add a comment…"]',
-          '.editor-container'
-        ];
-
-        let commentInput = null;
-        for (const selector of commentInputs) {
-          const el = document.querySelector(selector);
-          if (el) {
-            commentInput = el;
-            break;
-          }
-        }
+      await this.openCommentBox(commentButton, post);
 
-        if (commentInput) {
-          await this.cursor.humanLikeClick(commentInput, (msg) => DOMHelpers.showNotification(msg, 'success'), 'Activating comment field...');
-          await DOMHelpers.sleep(1000);
-        }
-      }
-
-      // Find editable text area
-      let textArea = null;
-      const selectors = [
-        '.ql-editor[contenteditable="true"]',
-        '.comments-comment-box-comment__text-editor',
-        '[role="textbox"]',
-        '[contenteditable="true"]',
-        'textarea',
-        '.ql-editor'
-      ];
-
-      for (const selector of selectors) {
-        const elements = document.querySelectorAll(selector);
-        for (const el of elements) {
-          const isVisible = (DOMHelpers.isElementInViewport(el) || el.offsetParent !== null);
-          const isEditable = el.contentEditable === 'true' || el.getAttribute('contenteditable') === 'true' || el.tagName === 'TEXTAREA';
-
-          if (isVisible && isEditable) {
-            textArea = el;
-            break;
-          }
-        }
-        if (textArea) break;
+      const textArea = this.findCommentTextArea(post, commentButton);
+      if (!textArea) {
+        console.log('[Comment] No suitable text area found');
+        return false;
       }
 
-      if (textArea) {
-        console.log('[Comment] Text area found, clicking to focus...');
-
-        // Move cursor up from text area center and click (fixes border click issue)
-        const rect = textArea.getBoundingClientRect();
-        const centerX = rect.left + rect.width / 2;
-        const centerY = rect.top + rect.height / 2;
-        const adjustedY = centerY - 10; // Move up 10 pixels
-
-        // Create temporary element to click at adjusted position
-        const clickTarget = document.elementFromPoint(centerX, adjustedY) || textArea;
-        await this.cursor.humanLikeClick(clickTarget, (msg) => DOMHelpers.showNotification(msg, 'success'), 'Focusing comment input...');
-        await DOMHelpers.sleep(500);
-
-        let randomResponse;
-
-        // Check if Pro mode is enabled
-        if (this.mode === 'pro') {
-          const postContent = this.extractPostContent(post);
-          console.log('[PRO MODE] Extracted Post Content:', postContent);
-          console.log('[PRO MODE] Selected Persona:', this.proModeSettings?.persona || 'friendly');
-
-          // For now, just log and use regular template
-          // In future: Call AI API here with postContent and persona
-          console.log('[PRO MODE] TODO: Call AI API to generate comment based on:', {
-            postContent: postContent,
-            persona: this.proModeSettings?.persona,
-            customPreset: this.proModeSettings?.customPresets
-          });
-
-          // Use regular template for now
-          randomResponse = this.templateGenerator.generateComment({
-            authorName: '' // Base surfer doesn't extract author names
-          });
-        } else {
-          // Free mode: use regular template generation
-          randomResponse = this.templateGenerator.generateComment({
-            authorName: '' // Base surfer doesn't extract author names
-          });
-        }
-
-        await this.typer.typeText(textArea, randomResponse);
-        await DOMHelpers.sleep(1000 + Math.random() * 1000);
+      console.log('[Comment] Text area found, clicking to focus...');
+      await this.focusCommentTextArea(textArea);
 
-        const submitButton = this.findSubmitButton(textArea, post);
+      const comment = await this.generateCommentText(post);
+      this.lastCommentText = comment;
+      await this.typer.typeText(textArea, comment);
 
-        if (submitButton) {
-          await this.cursor.humanLikeClick(submitButton, (msg) => DOMHelpers.showNotification(msg, 'success'), 'Added positive comment! 💬');
-          return true;
-        }
-      }
-      return false;
+      return await this.submitComment(textArea, post);
     } catch (error) {
       console.log('[Comment] Could not add comment:', error);
       return false;
     }
   }
 
-  // ========== TEST FUNCTIONS ==========
-
-  async testSeeMoreButtons() {
-    console.log('=== TESTING SEE MORE BUTTONS ===');
-    console.log('Platform:', this.platform);
-    console.log('Post selector:', this.selectors.posts);
-
-    const buttons = this.findSeeMoreButtons();
-    console.log(`Found ${buttons.length} see more buttons`);
-
-    if (buttons.length > 0) {
-      const visibleButtons = buttons.filter(button => DOMHelpers.isElementInViewport(button));
-      console.log(`${visibleButtons.length} are visible`);
-
-      if (visibleButtons.length > 0) {
-        const testButton = visibleButtons[0];
-        console.log('Testing first visible button:', testButton);
-        console.log('Button text:', testButton.textContent.trim());
-        console.log('Button aria-label:', testButton.getAttribute('aria-label'));
-
-        testButton.style.border = '3px solid red';
-        testButton.style.backgroundColor = 'yellow';
-
-        setTimeout(() => {
-          testButton.style.border = '';
-          testButton.style.backgroundColor = '';
-        }, 3000);
-
-        DOMHelpers.showNotification(`Found button: "${testButton.textContent.trim()}"`, 'info');
-      }
-    } else {
-      DOMHelpers.showNotification('No see more buttons found!', 'error');
-    }
+  /**
+   * HOOK: Find the button that opens a post's comment box
+   * @param {HTMLElement} post - The post to search within
+   * @returns {HTMLElement|null}
+   */
+  findCommentButton(post) {
+    return DOMHelpers.query(this.selectors.commentButton || this.selectors.replyButton, post);
   }
 
-  async testLikePost() {
-    console.log('=== TESTING LIKE POST ===');
-    console.log('Platform:', this.platform);
-    console.log('Post selector:', this.selectors.posts);
-    console.log('Like button selector:', this.selectors.likeButton || this.selectors.upvoteButton);
-
-    const posts = document.querySelectorAll(this.selectors.posts);
-    const visiblePosts = Array.from(posts).filter(post => DOMHelpers.isElementInViewport(post));
-
-    console.log(`Found ${posts.length} total posts, ${visiblePosts.length} visible posts`);
-
-    if (visiblePosts.length > 0) {
-      const testPost = visiblePosts[0];
-      console.log('Testing first visible post:', testPost);
-
-      const likeButton = testPost.querySelector(this.selectors.likeButton || this.selectors.upvoteButton);
-      console.log('Like button found:', !!likeButton);
-
-      if (likeButton) {
-        console.log('Like button element:', likeButton);
-        console.log('Like button aria-label:', likeButton.getAttribute('aria-label'));
-        console.log('Like button aria-pressed:', likeButton.getAttribute('aria-pressed'));
-
-        likeButton.style.border = '3px solid red';
-        likeButton.style.backgroundColor = 'yellow';
+  /**
+   * HOOK: Click the comment button and wait for the comment box to render
+   * @param {HTMLElement} commentButton - Button returned by findCommentButton()
+   * @param {HTMLElement} post - The post being commented on
+   */
+  async openCommentBox(commentButton, post) {
+    await this.cursor.humanLikeClick(commentButton, (msg) => DOMHelpers.showNotification(msg, 'success'), 'Opening comment box...');
+    await DOMHelpers.sleep(2000);
+  }
 
-        setTimeout(() => {
-          likeButton.style.border = '';
-          likeButton.style.backgroundColor = '';
-        }, 3000);
+  /**
+   * HOOK: Find the editable comment input after the comment box opened
+   * @param {HTMLElement} post - The post being commented on
+   * @param {HTMLElement} commentButton - Button that opened the comment box
+   * @returns {HTMLElement|null} Visible, editable text area or null
+   */
+  findCommentTextArea(post, commentButton) {
+    const selectors = [
+      '.ql-editor[contenteditable="true"]',
+      '[role="textbox"]',
+      '[contenteditable="true"]',
+      'textarea',
+      '.ql-editor'
+    ];
 
-        console.log('Attempting to click like button...');
-        await this.cursor.humanLikeClick(likeButton, (msg) => DOMHelpers.showNotification(msg, 'success'), 'Test liked a post! ❤️');
+    for (const selector of selectors) {
+      const elements = document.querySelectorAll(selector);
+      for (const el of elements) {
+        const isVisible = (DOMHelpers.isElementInViewport(el) || el.offsetParent !== null);
+        const isEditable = el.contentEditable === 'true' || el.getAttribute('contenteditable') === 'true' || el.tagName === 'TEXTAREA';
 
-        DOMHelpers.showNotification('Like button clicked!', 'success');
-      } else {
-        DOMHelpers.showNotification('No like button found in first visible post!', 'error');
+        if (isVisible && isEditable) {
+          return el;
+        }
       }
-    } else {
-      DOMHelpers.showNotification('No visible posts found!', 'error');
     }
-  }
-
-  async testCommentPost() {
-    console.log('=== TESTING COMMENT POST ===');
-    console.log('Platform:', this.platform);
-    console.log('Post selector:', this.selectors.posts);
-    console.log('Comment button selector:', this.selectors.commentButton || this.selectors.replyButton);
-
-    const posts = document.querySelectorAll(this.selectors.posts);
-    const visiblePosts = Array.from(posts).filter(post => DOMHelpers.isElementInViewport(post));
-
-    console.log(`Found ${posts.length} total posts, ${visiblePosts.length} visible posts`);
-
-    if (visiblePosts.length > 0) {
-      const testPost = visiblePosts[0];
-      console.log('Testing first visible post:', testPost);
 
-      const commentButton = testPost.querySelector(this.selectors.commentButton || this.selectors.replyButton);
-      console.log('Comment button found:', !!commentButton);
-
-      if (commentButton) {
-        console.log('Comment button element:', commentButton);
-        console.log('Comment button aria-label:', commentButton.getAttribute('aria-label'));
-
-        commentButton.style.border = '3px solid red';
-        commentButton.style.backgroundColor = 'yellow';
-
-        setTimeout(() => {
-          commentButton.style.border = '';
-          commentButton.style.backgroundColor = '';
-        }, 3000);
-
-        console.log('Attempting to open comment box and type...');
-        await this.testAddPositiveComment(testPost);
+    return null;
+  }
 
-        DOMHelpers.showNotification('Comment typed (not submitted)!', 'success');
-      } else {
-        DOMHelpers.showNotification('No comment button found in first visible post!', 'error');
-      }
-    } else {
-      DOMHelpers.showNotification('No visible posts found!', 'error');
-    }
+  /**
+   * HOOK: Click into the text area so the site activates its editor
+   * Clicks slightly above center, which avoids landing on the input border
+   *
+   * @param {HTMLElement} textArea - Text area returned by findCommentTextArea()
+   * @param {number} offsetY - Pixels above the center to click
+   */
+  async focusCommentTextArea(textArea, offsetY = 10) {
+    const rect = textArea.getBoundingClientRect();
+    const centerX = rect.left + rect.width / 2;
+    const centerY = rect.top + rect.height / 2;
+
+    const clickTarget = document.elementFromPoint(centerX, centerY - offsetY) || textArea;
+    await this.cursor.humanLikeClick(clickTarget, (msg) => DOMHelpers.showNotification(msg, 'success'), 'Focusing comment input...');
+    await DOMHelpers.sleep(500);
   }
 
-  async testAddPositiveComment(post) {
+  /**
+   * HOOK: Produce the comment text for a post
+   * Pro mode asks the configured provider first; templates are the fallback
+   * @param {HTMLElement} post - The post being commented on
+   * @returns {Promise<string>} Comment text
+   */
+  async generateCommentText(post) {
+    // Mode and persona may have changed in the popup since the page loaded
     try {
-      const commentButton = post.querySelector(this.selectors.commentButton || this.selectors.replyButton);
-      if (!commentButton) {
-        console.log('No comment button found');
-        return false;
-      }
-
-      console.log('Step 1: Clicking comment button...');
-      await this.cursor.humanLikeClick(commentButton, (msg) => DOMHelpers.showNotification(msg, 'success'), 'Opening comment box...');
-
-      console.log('Step 2: Waiting for comment box to appear...');
-      await DOMHelpers.sleep(2000);
-
-      if (this.platform === 'linkedin') {
-        console.log('Step 3: LinkedIn detected - looking for comment input area...');
-
-        const commentInputs = [
-          '.comments-comment-box__form',
-          '.comments-comment-texteditor',
-          '.ql-editor[data-placeholder]',
-          '[data-placeholder="Add a comment…"]',
-          '.editor-container'
-        ];
-
-        let commentInput = null;
-        for (const selector of commentInputs) {
-          const el = document.querySelector(selector);
-          if (el) {
-            console.log(`Found comment input with selector: ${selector}`, el);
-            commentInput = el;
-            break;
-          }
-        }
-
-        if (commentInput) {
-          console.log('Step 4: Clicking into LinkedIn comment input area...');
-          await this.cursor.humanLikeClick(commentInput, (msg) => DOMHelpers.showNotification(msg, 'success'), 'Activating comment field...');
-          await DOMHelpers.sleep(1000);
-        }
-      }
-
-      console.log('Step 5: Searching for editable text area...');
-      let textArea = null;
-      const selectors = [
-        '.ql-editor[contenteditable="true"]',
-        '.comments-comment-box-comment__text-editor',
-        '[role="textbox"]',
-        '[contenteditable="true"]',
-        'textarea',
-        '.ql-editor'
-      ];
+      const result = await chrome.storage.sync.get(['mode', 'proModeSettings']);
+      this.mode = result.mode || this.mode;
+      this.proModeSettings = result.proModeSettings || this.proModeSettings;
+    } catch (error) {
+      // Keep what was loaded at start
+    }
 
-      for (const selector of selectors) {
-        const elements = document.querySelectorAll(selector);
-        console.log(`Selector "${selector}" found ${elements.length} elements`);
+    this.lastCommentTemplate = null;
+    if (this.mode === 'pro') {
+      const comment = await this.generateProComment(post);
+      if (comment) return comment;
+    }
 
-        for (const el of elements) {
-          const isVisible = (DOMHelpers.isElementInViewport(el) || el.offsetParent !== null);
-          const isEditable = el.contentEditable === 'true' || el.getAttribute('contenteditable') === 'true' || el.tagName === 'TEXTAREA';
+    // No provider (or it failed): Pro mode still sounds like its persona
+    const proSettings = this.proModeSettings || {};
+    this.templateGenerator.setPersona(this.mode === 'pro'
+      ? window.PersonaEngine.resolve(proSettings.persona || 'friendly', this.getCustomPreset())
+      : null);
+
+    // Stay clear of the platform's last few comments (CommentRotation)
+    this.templateGenerator.setRecent(window.CommentRotation.window(this.commentRotation.recent, this.settings.noRepeatWindow));
+    const comment = this.templateGenerator.generateComment({
+      authorName: this.getAuthorName(post) || '',
+      authorHandle: this.getAuthorHandle(post) || '',
+      platform: this.platform,
+      postText: this.extractPostContent(post).text || ''
+    });
+    this.lastCommentTemplate = this.templateGenerator.lastTemplate;
+    return comment;
+  }
 
-          console.log(`  Element: visible=${isVisible}, editable=${isEditable}`, el);
+  /**
+   * Custom preset the 'custom' persona writes like on this platform (see PersonaPresets)
+   * @returns {Object|null} { id, name, reference }, or null when another persona is selected
+   */
+  getCustomPreset() {
+    const proSettings = this.proModeSettings || {};
+    return proSettings.persona === 'custom' ? window.PersonaPresets.resolve(proSettings, this.platform) : null;
+  }
 
-          if (isVisible && isEditable) {
-            textArea = el;
-            console.log('✓ Found visible & editable text area:', el);
-            break;
-          }
-        }
+  /**
+   * Pro mode: the background's comment provider writes a comment from the post content
+   * @param {HTMLElement} post - The post being commented on
+   * @returns {Promise<string|null>} null = use the templates
+   */
+  async generateProComment(post) {
+    const persona = (this.proModeSettings && this.proModeSettings.persona) || 'friendly';
+    const preset = this.getCustomPreset();
+    const postContent = this.extractPostContent(post);
 
-        if (textArea) break;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'generateComment',
+        post: postContent,
+        persona,
+        presetId: preset ? preset.id : null,
+        preset
+      });
+      if (response && response.success) {
+        console.log(`[PRO MODE - ${this.platform}] ${response.provider} comment (${preset ? preset.name : persona}):`, response.comment);
+        return response.comment;
       }
 
-      if (!textArea) {
-        console.log('✗ Could not find editable text area');
-        DOMHelpers.showNotification('Could not find text area!', 'error');
-        return false;
+      const error = response ? response.error : 'no response';
+      if (error !== 'noProvider') {
+        console.log(`[PRO MODE - ${this.platform}] Provider failed, using templates:`, error);
       }
+    } catch (error) {
+      console.log(`[PRO MODE - ${this.platform}] Provider failed, using templates:`, error);
+    }
+    return null;
+  }
 
-      console.log('Step 6: Text area found!');
-      console.log('  Tag:', textArea.tagName);
-      console.log('  Classes:', textArea.className);
-      console.log('  ContentEditable:', textArea.contentEditable);
-      console.log('  Placeholder:', textArea.getAttribute('data-placeholder'));
+  /**
+   * HOOK: Submit the typed comment
+   * @param {HTMLElement} textArea - Text area containing the typed comment
+   * @param {HTMLElement} post - The post being commented on
+   * @returns {Promise<boolean>} True if the comment was submitted
+   */
+  async submitComment(textArea, post) {
+    await DOMHelpers.sleep(1000 + Math.random() * 1000);
 
-      console.log('Step 7: Clicking text area to ensure focus...');
-      textArea.click();
-      textArea.focus();
-      await DOMHelpers.sleep(500);
+    const submitButton = this.findSubmitButton(textArea, post);
+    if (!submitButton) {
+      console.log('[Comment] No submit button found');
+      return false;
+    }
 
-      let randomResponse;
+    await this.cursor.humanLikeClick(submitButton, (msg) => DOMHelpers.showNotification(msg, 'success'), 'Added positive comment! 💬');
+    return true;
+  }
 
-      // Check if Pro mode is enabled
-      if (this.mode === 'pro') {
-        const postContent = this.extractPostContent(post);
-        console.log('[PRO MODE TEST] Extracted Post Content:', postContent);
-        console.log('[PRO MODE TEST] Selected Persona:', this.proModeSettings?.persona || 'friendly');
+  // ========== DIAGNOSTICS ==========
 
-        // For now, just log and use regular template
-        console.log('[PRO MODE TEST] TODO: Call AI API to generate comment');
+  /**
+   * HOOK: Extracted data shown for the first post in the diagnostics report
+   * Override this in platform subclasses to surface platform-specific extraction
+   *
+   * @param {HTMLElement} post - The post element
+   * @returns {Object} Plain, serializable values
+   */
+  describePost(post) {
+    return {
+      author: this.getAuthorName(post) || null,
+      content: this.extractPostContent(post).text.substring(0, 100)
+    };
+  }
 
-        randomResponse = this.templateGenerator.generateComment({
-          authorName: '' // Base surfer doesn't extract author names
-        });
-      } else {
-        randomResponse = this.templateGenerator.generateComment({
-          authorName: '' // Base surfer doesn't extract author names
-        });
-      }
+  /**
+   * Check every selector from getPlatformSelectors() against the live page
+   * @param {boolean} highlight - Outline matched elements on the page
+   * @returns {Promise<Object>} Structured pass/fail report (see SelectorDiagnostics.run)
+   */
+  async runDiagnostics(highlight = true) {
+    await this.selectorPackReady;
 
-      console.log('Step 8: Typing comment:', randomResponse);
+    if (!this.selectorPack) {
+      return {
+        platform: this.platform,
+        passed: false,
+        summary: { pass: 0, warn: 0, fail: 1 },
+        checks: [{ key: 'selectorPack', selector: '', count: null, status: 'fail', message: 'No selector pack loaded' }],
+        post: null
+      };
+    }
 
-      await this.typer.typeText(textArea, randomResponse);
-      await DOMHelpers.sleep(1000 + Math.random() * 1000);
+    console.log('=== SELECTOR DIAGNOSTICS ===');
+    const report = window.SelectorDiagnostics.run(this, { highlight });
 
-      console.log('Step 9: Looking for submit button...');
-      const submitButton = this.findSubmitButton(textArea, post);
+    report.checks.forEach(check => {
+      const icon = check.status === 'pass' ? '✓' : check.status === 'warn' ? '⚠' : '✗';
+      console.log(`${icon} ${check.key}: ${check.message}`, check.selector);
+    });
+    if (report.post) {
+      console.log('First post:', report.post);
+    }
 
-      if (submitButton) {
-        console.log('Step 10: Submit button found:', submitButton);
-        console.log('  Button text:', submitButton.textContent.trim());
-        console.log('  Button aria-label:', submitButton.getAttribute('aria-label'));
-        console.log('  Button disabled:', submitButton.disabled);
-        console.log('Step 11: Clicking submit button...');
-        await this.cursor.humanLikeClick(submitButton, (msg) => DOMHelpers.showNotification(msg, 'success'), 'Added positive comment! 💬');
-        console.log('✓ Comment submitted successfully');
-        DOMHelpers.showNotification(`Submitted: "${randomResponse}"`, 'success');
-        return true;
-      } else {
-        console.log('✗ Submit button not found or disabled');
-        DOMHelpers.showNotification(`Typed: "${randomResponse}" (submit button not found)`, 'error');
-        return false;
-      }
+    const { pass, warn, fail } = report.summary;
+    DOMHelpers.showNotification(
+      `Diagnostics: ${pass} passed, ${warn} warnings, ${fail} failed`,
+      report.passed ? 'success' : 'error'
+    );
 
-    } catch (error) {
-      console.log('[Test Comment] Error:', error);
-      return false;
-    }
+    return report;
   }
-
 };
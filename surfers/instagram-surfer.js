@@ -1,25 +1,313 @@
 /**
  * InstagramAutoSurfer - Instagram-specific automation
- * Extends BaseAutoSurfer with Instagram's DOM structure and selectors
+ * Extends BaseAutoSurfer; selectors live in surfers/selector-packs/instagram.json
+ *
+ * Two modes (settings.instagramMode):
+ * - feed: Home feed <article> posts; comments go through the inline box or the post modal
+ * - reels: Walks the Reels viewer (instagram.com/reels/) one reel at a time,
+ *   watching each reel before engaging
+ *
+ * Instagram differences from the base pipeline:
+ * - Like state is read from the heart icon ("Like" outline vs "Unlike" filled)
+ *   and verified after clicking
+ * - Comments are submitted with the "Post" button of the comment form
+ * - The post modal opened for commenting is closed afterwards
  */
 
 window.InstagramAutoSurfer = class InstagramAutoSurfer extends window.BaseAutoSurfer {
   constructor() {
-    super();
-    this.platform = 'instagram';
+    super('instagram');
+    this.openedCommentDialog = false;
   }
 
-  getPlatformSelectors() {
+  getPlatformDefaultSettings() {
     return {
-      posts: 'article',
-      likeButton: '[aria-label*="Like"]',
-      commentButton: '[aria-label*="Comment"]',
-      textArea: 'textarea[placeholder*="comment" i], [role="textbox"]',
-      seeMore: 'article button:contains("more"), article span:contains("more")'
+      instagramMode: 'feed', // 'feed' or 'reels'
+      reelWatchMin: 4000,
+      reelWatchMax: 10000
     };
   }
 
-  getExpandKeywords() {
-    return ['more', 'show more', 'see more', 'Show more', 'See more'];
+  isReelsPage() {
+    return window.location.pathname.startsWith('/reels');
+  }
+
+  isReelsMode() {
+    return this.settings.instagramMode === 'reels' && this.isReelsPage();
+  }
+
+  start(session = null) {
+    super.start(session);
+    if (this.isActive && this.settings.instagramMode === 'reels' && !this.isReelsPage()) {
+      DOMHelpers.showNotification('Reels mode: open instagram.com/reels/ first. Using the feed for now.', 'error');
+    }
+  }
+
+  // ========== POSTS & REELS ==========
+
+  /**
+   * Override: in Reels mode, each reel is the closest container of a video
+   * that also holds the reel's like button
+   */
+  findPosts() {
+    if (!this.isReelsMode()) {
+      return super.findPosts();
+    }
+
+    const reels = [];
+    DOMHelpers.queryAll(this.selectors.reelVideo).forEach(video => {
+      let container = video.parentElement;
+      for (let depth = 0; container && depth < 12; depth++) {
+        if (DOMHelpers.query(this.selectors.likeButton, container)) {
+          if (!reels.includes(container)) reels.push(container);
+          return;
+        }
+        container = container.parentElement;
+      }
+    });
+
+    return reels;
+  }
+
+  /**
+   * Override: the Reels viewer scrolls an inner container, so jump to the next reel
+   * instead of scrolling the window
+   */
+  async smartScrollUntilNewPost() {
+    if (!this.isReelsMode()) {
+      return super.smartScrollUntilNewPost();
+    }
+
+    const reels = this.findPosts();
+    const next = reels.find(reel => !reel.getAttribute('data-surfer-engaged'));
+
+    if (next) {
+      next.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else {
+      // Next reel isn't rendered yet - the viewer loads it on ArrowDown
+      document.body.dispatchEvent(new KeyboardEvent('keydown', {
+        key: 'ArrowDown',
+        code: 'ArrowDown',
+        keyCode: 40,
+        which: 40,
+        bubbles: true,
+        cancelable: true
+      }));
+    }
+
+    await DOMHelpers.sleep(1500);
+    return this.findVisibleUnengagedPosts().length > 0;
+  }
+
+  /**
+   * Override: watch a reel for a while before engaging with it
+   */
+  async viewPost(post) {
+    if (!this.isReelsMode()) return;
+
+    const { reelWatchMin, reelWatchMax } = this.settings;
+    const watchTime = Math.floor(Math.random() * (reelWatchMax - reelWatchMin + 1)) + reelWatchMin;
+    console.log(`[Instagram Reels] Watching reel for ${(watchTime / 1000).toFixed(1)}s`);
+    await DOMHelpers.sleep(watchTime);
+  }
+
+  // ========== LIKE ==========
+
+  /**
+   * Override: the heart icon's button, ignoring the smaller comment hearts in the modal
+   */
+  findLikeButton(post) {
+    const icon = DOMHelpers.queryAll(this.selectors.likeButton, post).find(svg => {
+      const size = parseInt(svg.getAttribute('height') || svg.getBoundingClientRect().height, 10);
+      return !size || size >= 20;
+    });
+
+    if (!icon) return null;
+    return icon.closest('[role="button"], button') || icon.parentElement;
+  }
+
+  /**
+   * Override: liked posts show the filled "Unlike" heart
+   */
+  isLikeButtonPressed(likeButton) {
+    return DOMHelpers.query(this.selectors.likedIcon, likeButton) !== null;
+  }
+
+  /**
+   * Override: confirm the heart turned filled before the like is counted
+   */
+  async clickLikeButton(likeButton) {
+    await super.clickLikeButton(likeButton);
+    await DOMHelpers.sleep(800);
+
+    const liked = this.isLikeButtonPressed(likeButton);
+    if (!liked) {
+      console.log('[Instagram] Like did not register');
+    }
+    return liked;
+  }
+
+  // ========== COMMENT ==========
+
+  /**
+   * Override: close the post modal opened for commenting, whatever the outcome
+   */
+  async commentPost(post) {
+    try {
+      await super.commentPost(post);
+    } finally {
+      if (this.openedCommentDialog) {
+        await this.closeCommentDialog();
+      }
+    }
+  }
+
+  findCommentButton(post) {
+    const icon = DOMHelpers.query(this.selectors.commentButton, post);
+    return icon ? (icon.closest('[role="button"], button') || icon.parentElement) : null;
+  }
+
+  /**
+   * Override: use the inline comment box when the post has one, otherwise open the modal
+   */
+  async openCommentBox(commentButton, post) {
+    this.openedCommentDialog = false;
+
+    if (DOMHelpers.query(this.selectors.textArea, post)) {
+      console.log('[Instagram Comment] Using inline comment box');
+      return;
+    }
+
+    const hadDialog = !!DOMHelpers.query(this.selectors.dialog);
+    await super.openCommentBox(commentButton, post);
+    this.openedCommentDialog = !hadDialog && !!DOMHelpers.query(this.selectors.dialog);
+  }
+
+  findCommentTextArea(post, commentButton) {
+    const dialog = DOMHelpers.query(this.selectors.dialog);
+    const roots = dialog ? [post, dialog] : [post];
+
+    for (const root of roots) {
+      const textArea = DOMHelpers.query(this.selectors.textArea, root);
+      if (textArea) {
+        console.log('[Instagram Comment] Found text area:', textArea);
+        return textArea;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Override: the "Post" button of the text area's form
+   */
+  findSubmitButton(textArea, post) {
+    const form = textArea.closest('form') || DOMHelpers.query(this.selectors.dialog) || post;
+    const button = DOMHelpers.query(this.selectors.postButton, form);
+
+    if (!button) {
+      console.log('[Instagram Submit] No "Post" button found');
+    }
+    return button;
+  }
+
+  async closeCommentDialog() {
+    await DOMHelpers.sleep(1000);
+
+    const closeIcon = DOMHelpers.query(this.selectors.closeButton);
+    const closeButton = closeIcon && (closeIcon.closest('[role="button"], button') || closeIcon.parentElement);
+
+    if (closeButton) {
+      await this.cursor.humanLikeClick(closeButton, () => {}, 'Closed post');
+    } else {
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', keyCode: 27, bubbles: true }));
+    }
+
+    this.openedCommentDialog = false;
+    await DOMHelpers.sleep(500);
+  }
+
+  // ========== POST DATA EXTRACTION ==========
+
+  /**
+   * Username from the profile link whose text is the handle itself
+   * (works for feed posts, the post modal and reels)
+   */
+  getAuthorName(post) {
+    const links = post.querySelectorAll('a[href^="/"]');
+    for (const link of links) {
+      const match = link.getAttribute('href').match(/^\/([A-Za-z0-9._]+)\/?$/);
+      if (match && link.textContent.trim() === match[1]) {
+        return match[1];
+      }
+    }
+
+    // Fallback: "username's profile picture"
+    const picture = DOMHelpers.query(this.selectors.profilePicture, post);
+    const alt = picture?.getAttribute('alt') || '';
+    const altMatch = alt.match(/^([A-Za-z0-9._]+)'s profile picture$/);
+    return altMatch ? altMatch[1] : null;
+  }
+
+  /**
+   * The username is the handle
+   */
+  getAuthorHandle(post) {
+    const username = this.getAuthorName(post);
+    return username ? `@${username}` : null;
+  }
+
+  /**
+   * Canonical post/reel URL from the post's own permalink
+   */
+  getPostUrl(post) {
+    const link = DOMHelpers.query(this.selectors.permalink, post);
+    const path = link ? link.getAttribute('href') : window.location.pathname;
+    const match = path.match(/\/(p|reels?)\/([A-Za-z0-9_-]+)/);
+
+    if (!match) return null;
+    const type = match[1] === 'p' ? 'p' : 'reel';
+    return `https://www.instagram.com/${type}/${match[2]}/`;
+  }
+
+  /**
+   * Caption: longest caption candidate that isn't just the username
+   */
+  getPostContent(post) {
+    const author = this.getAuthorName(post);
+    let caption = '';
+
+    DOMHelpers.queryAll(this.selectors.caption, post).forEach(element => {
+      const text = element.textContent.trim().replace(/\s+/g, ' ');
+      if (text !== author && text.length > caption.length) {
+        caption = text;
+      }
+    });
+
+    return caption;
+  }
+
+  extractPostContent(post) {
+    return {
+      text: this.getPostContent(post),
+      author: this.getAuthorName(post),
+      platform: this.platform,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // ========== DIAGNOSTICS ==========
+
+  describePost(post) {
+    const likeButton = this.findLikeButton(post);
+
+    return {
+      mode: this.isReelsMode() ? 'reels' : 'feed',
+      url: this.getPostUrl(post),
+      author: this.getAuthorName(post),
+      caption: this.getPostContent(post).substring(0, 100),
+      liked: likeButton ? this.isLikeButtonPressed(likeButton) : null,
+      postedAt: post.querySelector('time[datetime]')?.getAttribute('datetime') || null
+    };
   }
 };
@@ -1,24 +1,221 @@
 /**
  * RedditAutoSurfer - Reddit-specific automation
- * Extends BaseAutoSurfer with Reddit's DOM structure and selectors
+ * Extends BaseAutoSurfer; selectors live in surfers/selector-packs/reddit.json
+ *
+ * Supports both Reddit UIs:
+ * - New Reddit (shreddit): posts are <shreddit-post> web components, vote and
+ *   comment buttons live in their shadow roots, post data is on host attributes
+ * - Old Reddit (old.reddit.com): posts are div.thing.link with data-* attributes
+ *
+ * Reddit differences from the base pipeline:
+ * - Promoted posts are always skipped
+ * - Upvotes are verified by re-reading the pressed state after the click
+ * - Comments are only posted from a post's own page, since the feed's comment
+ *   button navigates away instead of opening a composer
  */
 
 window.RedditAutoSurfer = class RedditAutoSurfer extends window.BaseAutoSurfer {
   constructor() {
-    super();
-    this.platform = 'reddit';
+    super('reddit');
   }
 
-  getPlatformSelectors() {
+  isOldReddit() {
+    return window.location.hostname.startsWith('old.');
+  }
+
+  isPostPage() {
+    return /\/comments\//.test(window.location.pathname);
+  }
+
+  // ========== ENGAGEMENT HOOKS ==========
+
+  /**
+   * Override: always skip promoted posts
+   * New Reddit renders most ads as <shreddit-ad-post> (never matched as posts),
+   * but promoted posts can also appear as flagged <shreddit-post> elements
+   */
+  shouldSkipPost(post) {
+    if (this.isPromoted(post)) {
+      console.log('[Reddit] Skipping promoted post');
+      return 'promoted';
+    }
+    return false;
+  }
+
+  isPromoted(post) {
+    return post.tagName === 'SHREDDIT-AD-POST' ||
+      post.hasAttribute('promoted') ||
+      post.hasAttribute('is-promoted') ||
+      post.getAttribute('data-promoted') === 'true' ||
+      post.classList.contains('promotedlink');
+  }
+
+  /**
+   * Override: also open collapsed self-text on old Reddit
+   */
+  findSeeMoreButtonsInPost(post) {
+    const buttons = super.findSeeMoreButtonsInPost(post);
+    if (this.isOldReddit()) {
+      buttons.push(...DOMHelpers.queryAll(this.selectors.expandoButton, post));
+    }
+    return buttons;
+  }
+
+  findLikeButton(post) {
+    return DOMHelpers.query(this.selectors.upvoteButton, post);
+  }
+
+  /**
+   * Override: new Reddit uses aria-pressed, old Reddit swaps "up" for "upmod"
+   */
+  isLikeButtonPressed(likeButton) {
+    if (likeButton.classList.contains('arrow')) {
+      return likeButton.classList.contains('upmod');
+    }
+    return likeButton.getAttribute('aria-pressed') === 'true';
+  }
+
+  /**
+   * Override: confirm the upvote registered before it is counted
+   * Shreddit may re-render the button after voting, so re-query it from the post
+   */
+  async clickLikeButton(likeButton) {
+    const post = this.getPostForElement(likeButton);
+
+    await super.clickLikeButton(likeButton);
+    await DOMHelpers.sleep(800);
+
+    const currentButton = (post && this.findLikeButton(post)) || likeButton;
+    const pressed = this.isLikeButtonPressed(currentButton);
+
+    if (!pressed) {
+      console.log('[Reddit] Upvote did not register (not logged in or vote blocked)');
+    }
+    return pressed;
+  }
+
+  /**
+   * Map an element (possibly inside a shadow root) back to its post
+   */
+  getPostForElement(element) {
+    const root = element.getRootNode();
+    if (root instanceof ShadowRoot) {
+      return root.host;
+    }
+    return element.closest('div.thing.link, shreddit-post');
+  }
+
+  /**
+   * Override: only comment from a post page
+   * In the feed, the comment button navigates to the post instead of opening a composer
+   */
+  async commentPost(post) {
+    if (!this.isPostPage()) {
+      console.log('[Reddit] Comments are only posted from a post page - skipping comment');
+      return;
+    }
+    await super.commentPost(post);
+  }
+
+  /**
+   * Override: on a post page, the composer trigger sits below the post, not inside it
+   */
+  findCommentButton(post) {
+    if (this.isPostPage()) {
+      return DOMHelpers.query(this.selectors.commentComposer);
+    }
+    return super.findCommentButton(post);
+  }
+
+  async openCommentBox(commentButton, post) {
+    await this.cursor.humanLikeClick(commentButton, (msg) => DOMHelpers.showNotification(msg, 'success'), 'Opening comment box...');
+    await DOMHelpers.sleep(1500);
+  }
+
+  findCommentTextArea(post, commentButton) {
+    const textArea = DOMHelpers.queryAll(this.selectors.textArea)
+      .find(el => el.offsetParent !== null || DOMHelpers.isElementInViewport(el));
+
+    if (textArea) {
+      console.log('[Reddit Comment] Found text area:', textArea);
+      return textArea;
+    }
+
+    return super.findCommentTextArea(post, commentButton);
+  }
+
+  // ========== POST DATA EXTRACTION ==========
+
+  /**
+   * Canonical www.reddit.com permalink so both UIs share duplicate history
+   */
+  getPostUrl(post) {
+    const permalink = post.getAttribute('permalink') || post.getAttribute('data-permalink');
+    return permalink ? `https://www.reddit.com${permalink}` : null;
+  }
+
+  getAuthorName(post) {
+    const author = post.getAttribute('author') || post.getAttribute('data-author');
+    if (!author || author === '[deleted]') {
+      return null;
+    }
+    return author;
+  }
+
+  getAuthorHandle(post) {
+    const author = this.getAuthorName(post);
+    return author ? `u/${author}` : null;
+  }
+
+  getSubreddit(post) {
+    const prefixed = post.getAttribute('subreddit-prefixed-name');
+    if (prefixed) return prefixed;
+
+    const subreddit = post.getAttribute('data-subreddit');
+    return subreddit ? `r/${subreddit}` : null;
+  }
+
+  getFlair(post) {
+    const flair = DOMHelpers.query(this.selectors.flair, post);
+    const text = flair?.textContent?.trim() || flair?.getAttribute('title') || '';
+    return text || null;
+  }
+
+  getPostTitle(post) {
+    const title = post.getAttribute('post-title') || DOMHelpers.query(this.selectors.title, post)?.textContent;
+    return title?.trim() || '';
+  }
+
+  getPostContent(post) {
+    const body = DOMHelpers.query(this.selectors.textBody, post)?.textContent?.trim().replace(/\s+/g, ' ') || '';
+    return [this.getPostTitle(post), body].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Override: use Reddit's structured post data for Pro mode
+   */
+  extractPostContent(post) {
     return {
-      posts: '[data-testid="post-container"]',
-      upvoteButton: '[aria-label*="upvote"]',
-      commentButton: '[data-testid="comment-button"]',
-      seeMore: '[data-testid="post-container"] button:contains("Read more"), [data-testid="post-container"] button:contains("Continue this thread")'
+      text: this.getPostContent(post),
+      author: this.getAuthorName(post),
+      subreddit: this.getSubreddit(post),
+      flair: this.getFlair(post),
+      platform: this.platform,
+      timestamp: new Date().toISOString()
     };
   }
 
-  getExpandKeywords() {
-    return ['Read more', 'Continue this thread', 'show more', 'Show more'];
+  // ========== DIAGNOSTICS ==========
+
+  describePost(post) {
+    return {
+      ui: this.isOldReddit() ? 'old' : 'shreddit',
+      url: this.getPostUrl(post),
+      subreddit: this.getSubreddit(post),
+      author: this.getAuthorName(post),
+      flair: this.getFlair(post),
+      title: this.getPostTitle(post).substring(0, 100),
+      isPromoted: this.isPromoted(post)
+    };
   }
 };
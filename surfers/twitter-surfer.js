@@ -1,104 +1,203 @@
 /**
  * TwitterAutoSurfer - Twitter/X-specific automation
- * Extends BaseAutoSurfer with Twitter's DOM structure and selectors
+ * Extends BaseAutoSurfer; selectors live in surfers/selector-packs/twitter.json
+ *
+ * Twitter differences from the base pipeline:
+ * - Skips promoted tweets, reposts and replies (each behind a setting)
+ * - Post data comes from the tweet's timestamp link (status URL), User-Name
+ *   block (display name + @handle) and tweet text, excluding quoted tweets
+ * - Duplicate detection keys authors by @handle, templates use the display name
  */
 
 window.TwitterAutoSurfer = class TwitterAutoSurfer extends window.BaseAutoSurfer {
   constructor() {
-    super();
-    this.platform = 'twitter';
+    super('twitter');
   }
 
-  getPlatformSelectors() {
+  getPlatformDefaultSettings() {
     return {
-      posts: '[data-testid="tweet"]',
-      likeButton: '[data-testid="like"]',
-      replyButton: '[data-testid="reply"]',
-      textArea: '[data-testid="tweetTextarea_0"]'
-      // Note: seeMore selector removed - we use keyword-based detection instead
+      skipPromotedTweets: true,
+      skipRetweets: false,
+      skipReplies: true
     };
   }
 
-  getExpandKeywords() {
-    return ['Show more', 'Show this thread', 'Show replies'];
-  }
-
   /**
-   * Override: Twitter-specific "see more" detection
-   * Twitter's "Show more" buttons can be outside the immediate tweet container
-   * in threads, so we search more broadly
+   * Override: Twitter's "Show more" buttons can be outside the immediate tweet
+   * container in threads, so fall back to the parent article
    */
   findSeeMoreButtonsInPost(post) {
-    const buttons = [];
-    const expandKeywords = this.getExpandKeywords();
-
-    // Strategy 1: Search within the post container
-    // Twitter's "Show more" is often just a plain <span> with specific styling/color
-    // We need to search ALL spans, not just those with role="button"
-    const clickableInPost = post.querySelectorAll(`
-      span,
-      div[role="button"],
-      a
-    `);
-
-    clickableInPost.forEach(element => {
-      const text = element.textContent.trim();
-
-      // Filter: Only check elements with reasonable text length
-      // Skip elements with very long text (full tweet content) or empty
-      if (text.length > 0 && text.length < 50) {
-        // Exact match for Twitter keywords
-        if (expandKeywords.some(keyword => text === keyword)) {
-          buttons.push(element);
-        }
-      }
+    const buttons = super.findSeeMoreButtonsInPost(post);
+    if (buttons.length > 0) {
+      return buttons;
+    }
+
+    const parentArticle = post.closest('article') || post.parentElement;
+    if (!parentArticle) {
+      return buttons;
+    }
+
+    // Only include buttons within ~500px vertically (same visual context)
+    const postRect = post.getBoundingClientRect();
+    return DOMHelpers.queryAll(this.selectors.seeMore, parentArticle).filter(element => {
+      const rect = element.getBoundingClientRect();
+      return Math.abs(rect.top - postRect.top) < 500;
     });
+  }
+
+  shouldSkipPost(post) {
+    if (this.settings.skipPromotedTweets && this.isPromoted(post)) {
+      console.log('[Twitter] Skipping promoted tweet');
+      return 'promoted';
+    }
+
+    if (this.settings.skipRetweets && this.isRetweet(post)) {
+      console.log('[Twitter] Skipping repost');
+      return 'repost';
+    }
+
+    if (this.settings.skipReplies && this.isReply(post)) {
+      console.log('[Twitter] Skipping reply');
+      return 'reply';
+    }
+
+    return false;
+  }
+
+  isPromoted(post) {
+    return this.queryOwn(this.selectors.promotedLabel, post).length > 0;
+  }
+
+  isRetweet(post) {
+    return DOMHelpers.query(this.selectors.repostContext, post) !== null;
+  }
+
+  /**
+   * Quoted tweets can show their own "Replying to", so only look outside them
+   */
+  isReply(post) {
+    return this.queryOwn(this.selectors.replyContext, post).length > 0;
+  }
+
+  // ========== POST DATA EXTRACTION ==========
+
+  /**
+   * Elements of the tweet itself, leaving out anything inside a quoted tweet
+   */
+  queryOwn(selector, post) {
+    const quote = this.findQuoteContainer(post);
+    return DOMHelpers.queryAll(selector, post).filter(element => !quote || !quote.contains(element));
+  }
+
+  findQuoteContainer(post) {
+    return DOMHelpers.queryAll(this.selectors.quoteTweet, post)
+      .find(container => DOMHelpers.query(this.selectors.userName, container)) || null;
+  }
+
+  /**
+   * Status URL from the timestamp link, e.g. https://x.com/jack/status/20
+   */
+  getPostUrl(post) {
+    const time = this.queryOwn(this.selectors.timestamp, post)[0];
+    const href = time?.closest('a')?.getAttribute('href') || '';
+    const match = href.match(/^\/([^/]+)\/status\/(\d+)/);
+    return match ? `https://x.com/${match[1]}/status/${match[2]}` : null;
+  }
+
+  getUserNameBlock(post) {
+    return this.queryOwn(this.selectors.userName, post)[0] || null;
+  }
 
-    // Strategy 2: If nothing found, search in parent container (for threads)
-    // Twitter threads often have "Show more" buttons in parent article elements
-    if (buttons.length === 0) {
-      const parentArticle = post.closest('article') || post.parentElement;
-      if (parentArticle) {
-        const clickableInParent = parentArticle.querySelectorAll(`
-          span,
-          div[role="button"],
-          a
-        `);
-
-        clickableInParent.forEach(element => {
-          const text = element.textContent.trim();
-
-          // Same filtering: reasonable text length only
-          if (text.length > 0 && text.length < 50) {
-            // Exact match for Twitter keywords
-            if (expandKeywords.some(keyword => text === keyword)) {
-              // Make sure this element is visually near our post
-              const rect = element.getBoundingClientRect();
-              const postRect = post.getBoundingClientRect();
-              const verticalDistance = Math.abs(rect.top - postRect.top);
-
-              // Only include if within ~500px vertically (same visual context)
-              if (verticalDistance < 500) {
-                buttons.push(element);
-              }
-            }
-          }
-        });
+  getAuthorHandle(post) {
+    const block = this.getUserNameBlock(post);
+    if (!block) return null;
+
+    for (const span of block.querySelectorAll('span')) {
+      const text = span.textContent.trim();
+      if (/^@\w{1,15}$/.test(text)) {
+        return text;
       }
     }
+    return null;
+  }
+
+  /**
+   * Display name (used for {author_first})
+   */
+  getAuthorName(post) {
+    const block = this.getUserNameBlock(post);
+    const name = block?.querySelector('a')?.textContent?.trim() || '';
+
+    if (!name || name.startsWith('@')) {
+      return null;
+    }
+    return name;
+  }
+
+  /**
+   * Override: @handles are unique, display names aren't
+   */
+  getAuthorId(post) {
+    return this.getAuthorHandle(post) || this.getAuthorName(post);
+  }
+
+  getTweetText(post) {
+    return this.queryOwn(this.selectors.tweetText, post)
+      .map(element => element.textContent.trim())
+      .join('\n');
+  }
+
+  getQuotedTweet(post) {
+    const quote = this.findQuoteContainer(post);
+    if (!quote) return null;
+
+    const handle = Array.from(DOMHelpers.query(this.selectors.userName, quote).querySelectorAll('span'))
+      .map(span => span.textContent.trim())
+      .find(text => /^@\w{1,15}$/.test(text)) || null;
 
-    return buttons;
+    return {
+      author: handle,
+      text: DOMHelpers.query(this.selectors.tweetText, quote)?.textContent?.trim() || ''
+    };
   }
 
-  findSubmitButton(textArea) {
-    // Twitter-specific submit button selector
-    const btn = document.querySelector('[data-testid="tweetButton"]');
-    if (btn && !btn.disabled) {
-      console.log('[Twitter Submit] Found tweet button');
-      return btn;
+  /**
+   * Tweet text plus the quoted tweet, so quote-tweets of the same tweet aren't
+   * mistaken for duplicates and Pro mode sees the full context
+   */
+  getPostContent(post) {
+    const text = this.getTweetText(post);
+    const quoted = this.getQuotedTweet(post);
+
+    if (!quoted || !quoted.text) {
+      return text;
     }
+    return `${text}\n\nQuoting ${quoted.author || 'a tweet'}: ${quoted.text}`;
+  }
 
-    console.log('[Twitter Submit] Tweet button not found or disabled');
-    return null;
+  extractPostContent(post) {
+    return {
+      text: this.getTweetText(post),
+      quotedTweet: this.getQuotedTweet(post),
+      author: this.getAuthorName(post),
+      handle: this.getAuthorHandle(post),
+      platform: this.platform,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // ========== DIAGNOSTICS ==========
+
+  describePost(post) {
+    return {
+      url: this.getPostUrl(post),
+      author: this.getAuthorName(post),
+      handle: this.getAuthorHandle(post),
+      text: this.getTweetText(post).substring(0, 100),
+      quotedTweet: this.getQuotedTweet(post),
+      isPromoted: this.isPromoted(post),
+      isRetweet: this.isRetweet(post),
+      isReply: this.isReply(post)
+    };
   }
 };
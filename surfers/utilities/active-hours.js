@@ -0,0 +1,187 @@
+/**
+ * ActiveHours - Per-platform quiet hours: when a session may like and comment
+ *
+ * chrome.storage.sync:
+ *   activeHours: { [platform]: {
+ *     enabled: true,
+ *     days: [1, 2, 3, 4, 5],             // Date.getDay() values, 0 = Sunday
+ *     ranges: ['08:00-12:00', '19:00-23:30'], // 24h local time; '22:00-02:00' runs past midnight
+ *     outside: 'scroll' | 'idle'          // keep scrolling without engaging, or wait for the window
+ *   } }
+ *
+ * A range belongs to the day it starts on, so with days [5] the range
+ * '22:00-02:00' is open Friday 22:00 to Saturday 02:00. A platform without
+ * an entry (or with enabled: false) is always open.
+ *
+ * The surfer checks isOpen() before each like and comment; the popup shows
+ * nextChange() as the next window.
+ */
+
+window.ActiveHours = class ActiveHours {
+  static get STORAGE_KEY() {
+    return 'activeHours';
+  }
+
+  static get DEFAULTS() {
+    return {
+      enabled: false,
+      days: [0, 1, 2, 3, 4, 5, 6],
+      ranges: ['08:00-22:00'],
+      outside: 'idle'
+    };
+  }
+
+  static get OUTSIDE_MODES() {
+    return ['idle', 'scroll'];
+  }
+
+  /**
+   * @returns {Promise<Object>} The platform's config, defaults filled in
+   */
+  static async load(platform) {
+    const result = await chrome.storage.sync.get([ActiveHours.STORAGE_KEY]);
+    return { ...ActiveHours.DEFAULTS, ...((result[ActiveHours.STORAGE_KEY] || {})[platform] || {}) };
+  }
+
+  /**
+   * Validate and store
+   * @returns {Promise<Object>} { success, errors } - nothing is saved if the config is invalid
+   */
+  static async save(platform, config) {
+    const errors = ActiveHours.validate(config);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const result = await chrome.storage.sync.get([ActiveHours.STORAGE_KEY]);
+    await chrome.storage.sync.set({
+      [ActiveHours.STORAGE_KEY]: { ...(result[ActiveHours.STORAGE_KEY] || {}), [platform]: config }
+    });
+    return { success: true, errors: [] };
+  }
+
+  static validate(config) {
+    const errors = [];
+
+    if (!Array.isArray(config.days) || config.days.length === 0 ||
+        config.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.push('pick at least one day');
+    }
+    if (!Array.isArray(config.ranges) || config.ranges.length === 0) {
+      errors.push('add at least one time range');
+    } else {
+      config.ranges.forEach(range => {
+        const parsed = ActiveHours.parseRange(range);
+        if (!parsed) {
+          errors.push(`"${range}" is not a HH:MM-HH:MM range`);
+        } else if (parsed.start === parsed.end) {
+          errors.push(`"${range}" starts and ends at the same time`);
+        }
+      });
+    }
+    if (!ActiveHours.OUTSIDE_MODES.includes(config.outside)) {
+      errors.push(`unknown outside-hours mode "${config.outside}"`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * 'HH:MM-HH:MM' → { start, end } in minutes after midnight, or null
+   */
+  static parseRange(range) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]):([0-5]\d)$/.exec(String(range).replace(/\s/g, ''));
+    if (!match) return null;
+
+    const [hoursStart, minutesStart, hoursEnd, minutesEnd] = match.slice(1).map(Number);
+    return { start: hoursStart * 60 + minutesStart, end: hoursEnd * 60 + minutesEnd };
+  }
+
+  /**
+   * @param {Object} config
+   * @param {number} at - Timestamp (ms)
+   */
+  static isOpen(config, at = Date.now()) {
+    if (!config || !config.enabled) return true;
+
+    const date = new Date(at);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const today = date.getDay();
+    const yesterday = (today + 6) % 7;
+
+    return config.ranges.map(ActiveHours.parseRange).filter(Boolean).some(({ start, end }) => {
+      if (start < end) {
+        return config.days.includes(today) && minutes >= start && minutes < end;
+      }
+      // Past midnight: the evening part is today's, the morning part yesterday's
+      return (config.days.includes(today) && minutes >= start) ||
+        (config.days.includes(yesterday) && minutes < end);
+    });
+  }
+
+  /**
+   * When the window next opens (if closed now) or closes (if open now)
+   * @returns {Object} { open, changesAt } - changesAt is null when it never changes
+   */
+  static nextChange(config, from = Date.now()) {
+    const open = ActiveHours.isOpen(config, from);
+    if (!config || !config.enabled) {
+      return { open, changesAt: null };
+    }
+
+    // Open/closed only flips on a range boundary - try each one over the next 8 days in order
+    const boundaries = [];
+    const ranges = config.ranges.map(ActiveHours.parseRange).filter(Boolean);
+    for (let i = 0; i < 8; i++) {
+      ranges.forEach(({ start, end }) => {
+        [start, end].forEach(minutes => {
+          const candidate = new Date(from);
+          candidate.setDate(candidate.getDate() + i);
+          candidate.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+          if (candidate.getTime() > from) {
+            boundaries.push(candidate.getTime());
+          }
+        });
+      });
+    }
+
+    const changesAt = boundaries
+      .sort((a, b) => a - b)
+      .find(time => ActiveHours.isOpen(config, time) !== open);
+    return { open, changesAt: changesAt || null };
+  }
+
+  constructor(platform = 'unknown') {
+    this.platform = platform;
+    this.config = ActiveHours.DEFAULTS;
+    this.loadFromStorage();
+
+    // Saved from the popup - applies to the running session right away
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync' || !changes[ActiveHours.STORAGE_KEY]) return;
+      this.config = {
+        ...ActiveHours.DEFAULTS,
+        ...((changes[ActiveHours.STORAGE_KEY].newValue || {})[this.platform] || {})
+      };
+    });
+  }
+
+  async loadFromStorage() {
+    try {
+      this.config = await ActiveHours.load(this.platform);
+    } catch (error) {
+      console.error('[ActiveHours] Failed to load:', error);
+    }
+  }
+
+  isOpen(at = Date.now()) {
+    return ActiveHours.isOpen(this.config, at);
+  }
+
+  /**
+   * When the window opens or closes next, see ActiveHours.nextChange
+   */
+  nextChange(at = Date.now()) {
+    return ActiveHours.nextChange(this.config, at);
+  }
+};
@@ -0,0 +1,172 @@
+/**
+ * CommentRotation - Recent comments and template usage per platform, kept across sessions
+ *
+ * chrome.storage.local commentRotation:
+ *   { [platform]: {
+ *     recent: [{ template, comment, at }], // the last MAX_WINDOW comments, oldest first
+ *     usage: { [template]: count }         // comments posted per template (weight suffix left out)
+ *   } }
+ *   template is null for comments that didn't come from a template (Pro mode providers, personas).
+ *
+ * The window is the platform's noRepeatWindow setting (see PlatformSettings):
+ * TemplateGenerator skips templates used in the last noRepeatWindow comments
+ * and retries comments that are near-copies of one of them (see similarity).
+ * The popup shows usage.
+ *
+ * Like the safety counters, tabs don't write this themselves: a posted
+ * comment goes to the background (recordComment), which stores it one write
+ * at a time (recordInStorage).
+ */
+self.CommentRotation = class CommentRotation {
+  static get STORAGE_KEY() {
+    return 'commentRotation';
+  }
+
+  /**
+   * How many recent comments a new one is kept apart from, unless the platform's settings say otherwise
+   */
+  static get DEFAULT_WINDOW() {
+    return 5;
+  }
+
+  /**
+   * Most comments kept, and so the largest window that can be set
+   */
+  static get MAX_WINDOW() {
+    return 20;
+  }
+
+  /**
+   * @param {*} size - noRepeatWindow setting; 0 turns rotation off
+   * @returns {number} A whole number from 0 to MAX_WINDOW
+   */
+  static clampWindow(size) {
+    const parsed = parseInt(size);
+    if (!Number.isFinite(parsed)) return CommentRotation.DEFAULT_WINDOW;
+    return Math.min(Math.max(parsed, 0), CommentRotation.MAX_WINDOW);
+  }
+
+  /**
+   * The entries a new comment is kept apart from
+   * @param {Array<Object>} recent - Stored entries, oldest first
+   * @param {*} size - noRepeatWindow setting
+   */
+  static window(recent, size) {
+    const clamped = CommentRotation.clampWindow(size);
+    return clamped > 0 ? recent.slice(-clamped) : [];
+  }
+
+  /**
+   * Word overlap (0-1) at which a comment counts as a near-copy
+   */
+  static get SIMILARITY_THRESHOLD() {
+    return 0.6;
+  }
+
+  static empty() {
+    return { recent: [], usage: {} };
+  }
+
+  /**
+   * @returns {Promise<Object>} { recent, usage } for the platform
+   */
+  static async load(platform) {
+    const result = await chrome.storage.local.get([CommentRotation.STORAGE_KEY]);
+    return { ...CommentRotation.empty(), ...((result[CommentRotation.STORAGE_KEY] || {})[platform] || {}) };
+  }
+
+  /**
+   * Store one posted comment - only the background calls this, one call at a
+   * time (see recordComment in background.js)
+   * @returns {Promise<Object>} The platform's rotation after the append
+   */
+  static async recordInStorage(platform, template, comment, at) {
+    const result = await chrome.storage.local.get([CommentRotation.STORAGE_KEY]);
+    const all = result[CommentRotation.STORAGE_KEY] || {};
+    const rotation = { ...CommentRotation.empty(), ...(all[platform] || {}) };
+
+    rotation.recent = [...rotation.recent, { template: template || null, comment, at }]
+      .slice(-CommentRotation.MAX_WINDOW);
+    if (template) {
+      rotation.usage = { ...rotation.usage, [template]: (rotation.usage[template] || 0) + 1 };
+    }
+
+    await chrome.storage.local.set({ [CommentRotation.STORAGE_KEY]: { ...all, [platform]: rotation } });
+    return rotation;
+  }
+
+  /**
+   * Lower-case words, punctuation and emoji dropped
+   */
+  static words(text) {
+    return new Set(String(text || '').toLowerCase().split(/[^\p{L}\p{N}']+/u).filter(Boolean));
+  }
+
+  /**
+   * Share of words two comments have in common (Jaccard index):
+   * "Thanks for sharing, John" / "Thanks for sharing, Jane" → 0.6
+   * @returns {number} 0 (nothing shared) to 1 (same words)
+   */
+  static similarity(a, b) {
+    const wordsA = CommentRotation.words(a);
+    const wordsB = CommentRotation.words(b);
+    if (wordsA.size === 0 && wordsB.size === 0) {
+      return String(a).trim() === String(b).trim() ? 1 : 0;
+    }
+
+    let shared = 0;
+    wordsA.forEach(word => {
+      if (wordsB.has(word)) shared++;
+    });
+    return shared / (wordsA.size + wordsB.size - shared);
+  }
+
+  /**
+   * @param {string} comment
+   * @param {Array<Object>} recent - { comment } entries
+   * @returns {number} Highest similarity to any of them
+   */
+  static maxSimilarity(comment, recent) {
+    return recent.reduce((max, entry) => Math.max(max, CommentRotation.similarity(comment, entry.comment)), 0);
+  }
+
+  constructor(platform = 'unknown') {
+    this.platform = platform;
+    this.recent = [];
+    this.loadFromStorage();
+  }
+
+  async loadFromStorage() {
+    try {
+      this.recent = (await CommentRotation.load(this.platform)).recent;
+    } catch (error) {
+      console.error('[CommentRotation] Failed to load:', error);
+    }
+  }
+
+  /**
+   * Remember a posted comment here right away, and in storage through the background
+   * @param {string|null} template - Template it came from (weight suffix left out)
+   * @param {string} comment - The posted text
+   */
+  async record(template, comment) {
+    const at = Date.now();
+    this.recent = [...this.recent, { template: template || null, comment, at }]
+      .slice(-CommentRotation.MAX_WINDOW);
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'recordComment',
+        platform: this.platform,
+        template,
+        comment,
+        at
+      });
+      if (response && response.rotation) {
+        this.recent = response.rotation.recent;
+      }
+    } catch (error) {
+      console.error('[CommentRotation] Failed to record comment:', error);
+    }
+  }
+};
@@ -6,6 +6,7 @@
  * - Bezier curve animation for realistic movement
  * - Human-like click simulation with visual feedback
  * - Random movement timing
+ * - Idle wandering and off-center clicks
  */
 
 window.CursorAnimator = class CursorAnimator {
@@ -99,7 +100,7 @@ window.CursorAnimator = class CursorAnimator {
     });
   }
 
-  async humanLikeClick(element, notificationCallback) {
+  async humanLikeClick(element, notificationCallback, notificationText = 'Clicked element') {
     try {
       await this.moveCursorTo(element);
       await this.sleep(Math.random() * 200 + 100);
@@ -117,7 +118,7 @@ window.CursorAnimator = class CursorAnimator {
       setTimeout(() => this.hideCursor(), 500);
 
       if (notificationCallback) {
-        notificationCallback('Clicked element');
+        notificationCallback(notificationText);
       }
       await this.sleep(Math.random() * 500 + 200);
 
@@ -127,6 +128,67 @@ window.CursorAnimator = class CursorAnimator {
     }
   }
 
+  async moveRandomly(durationMs = 500) {
+    // Move cursor to a random position on screen for human-like behavior
+    if (!this.cursor) return;
+
+    const randomX = Math.random() * window.innerWidth;
+    const randomY = Math.random() * window.innerHeight;
+
+    const currentX = parseFloat(this.cursor.style.left) || window.innerWidth / 2;
+    const currentY = parseFloat(this.cursor.style.top) || window.innerHeight / 2;
+
+    this.showCursor();
+    await this.animateCursorMovement(currentX, currentY, randomX, randomY, durationMs);
+    setTimeout(() => this.hideCursor(), 200);
+  }
+
+  async randomClickWithinElement(element, notificationCallback, notificationText = 'Clicked element') {
+    // Click at a random position within the element's bounds
+    try {
+      if (!this.cursor) return;
+
+      const rect = element.getBoundingClientRect();
+
+      // Generate random position within element (with 10% padding from edges)
+      const paddingX = rect.width * 0.1;
+      const paddingY = rect.height * 0.1;
+      const randomX = rect.left + paddingX + Math.random() * (rect.width - 2 * paddingX);
+      const randomY = rect.top + paddingY + Math.random() * (rect.height - 2 * paddingY);
+
+      const currentX = parseFloat(this.cursor.style.left) || Math.random() * window.innerWidth;
+      const currentY = parseFloat(this.cursor.style.top) || Math.random() * window.innerHeight;
+
+      const distance = Math.sqrt(Math.pow(randomX - currentX, 2) + Math.pow(randomY - currentY, 2));
+      const duration = Math.max(300, Math.min(1500, distance * 2));
+
+      this.showCursor();
+      await this.animateCursorMovement(currentX, currentY, randomX, randomY, duration);
+      await this.sleep(Math.random() * 200 + 100);
+
+      this.cursor.style.transform = 'scale(0.8)';
+      this.cursor.style.background = 'rgba(255, 100, 100, 0.8)';
+
+      element.click();
+
+      await this.sleep(100);
+
+      this.cursor.style.transform = 'scale(1)';
+      this.cursor.style.background = 'rgba(255, 0, 0, 0.6)';
+
+      setTimeout(() => this.hideCursor(), 500);
+
+      if (notificationCallback) {
+        notificationCallback(notificationText);
+      }
+      await this.sleep(Math.random() * 500 + 200);
+
+    } catch (error) {
+      console.log('Error in randomClickWithinElement:', error);
+      this.hideCursor();
+    }
+  }
+
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
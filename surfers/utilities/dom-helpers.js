@@ -7,6 +7,18 @@
  * - Toast notification display (3s auto-dismiss)
  * - Button visibility verification
  * - Smart scroll positioning
+ * - Selector engine: CSS plus text predicates (contains, exact, regex, aria-label)
+ *
+ * Selector specs are either a plain CSS string or a JSON-friendly object:
+ * {
+ *   "css": "button, [role=\"button\"]",          // Candidate elements (default "*")
+ *   "text": { "exact": ["See more"] },             // Trimmed textContent predicate
+ *   "ariaLabel": { "contains": ["see more"] },     // aria-label predicate
+ *   "caseSensitive": false,                        // Default false
+ *   "deep": false                                  // Also search open shadow roots
+ * }
+ * A predicate has any of "exact", "contains", "regex" (string or array of strings).
+ * An element matches when it matches "css" and ANY of the given text/aria-label values.
  */
 
 window.DOMHelpers = class DOMHelpers {
@@ -48,6 +60,115 @@ window.DOMHelpers = class DOMHelpers {
     }, 3000);
   }
 
+  /**
+   * Find all elements matching a selector spec
+   * @param {string|Object} spec - CSS string or text-match spec
+   * @param {Document|HTMLElement} root - Root to query
+   * @returns {Array<HTMLElement>} Matching elements in document order
+   */
+  static queryAll(spec, root = document) {
+    if (!spec) return [];
+    if (typeof spec === 'string') {
+      return Array.from(root.querySelectorAll(spec));
+    }
+
+    const candidates = spec.deep
+      ? this.querySelectorAllDeep(spec.css || '*', root)
+      : Array.from(root.querySelectorAll(spec.css || '*'));
+    if (!spec.text && !spec.ariaLabel) {
+      return candidates;
+    }
+
+    return candidates.filter(element => this.matchesTextSpec(element, spec));
+  }
+
+  /**
+   * querySelectorAll that also descends into open shadow roots (web components)
+   * @param {string} css - CSS selector
+   * @param {Document|HTMLElement|ShadowRoot} root - Root to query (a shadow host is searched inside its shadow root too)
+   * @returns {Array<HTMLElement>} Light DOM matches first, then shadow DOM matches
+   */
+  static querySelectorAllDeep(css, root = document) {
+    const results = Array.from(root.querySelectorAll(css));
+    const shadowRoots = [];
+
+    if (root.shadowRoot) {
+      shadowRoots.push(root.shadowRoot);
+    }
+    root.querySelectorAll('*').forEach(element => {
+      if (element.shadowRoot) shadowRoots.push(element.shadowRoot);
+    });
+
+    shadowRoots.forEach(shadowRoot => {
+      results.push(...this.querySelectorAllDeep(css, shadowRoot));
+    });
+
+    return results;
+  }
+
+  /**
+   * @param {string|Object} spec - CSS string or text-match spec
+   * @param {Document|HTMLElement} root - Root to query
+   * @returns {HTMLElement|null} First matching element
+   */
+  static query(spec, root = document) {
+    if (!spec) return null;
+    if (typeof spec === 'string') {
+      return root.querySelector(spec);
+    }
+    return this.queryAll(spec, root)[0] || null;
+  }
+
+  /**
+   * Check an element's text and aria-label against a spec's predicates
+   * @param {HTMLElement} element - Candidate element
+   * @param {Object} spec - Text-match spec
+   * @returns {boolean} True if any predicate matches
+   */
+  static matchesTextSpec(element, spec) {
+    const caseSensitive = spec.caseSensitive === true;
+
+    if (spec.text && this.matchesPredicate(element.textContent.trim(), spec.text, caseSensitive)) {
+      return true;
+    }
+
+    const ariaLabel = element.getAttribute('aria-label');
+    if (spec.ariaLabel && ariaLabel && this.matchesPredicate(ariaLabel.trim(), spec.ariaLabel, caseSensitive)) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * @param {string} value - Text to test
+   * @param {Object} predicate - { exact, contains, regex }
+   * @param {boolean} caseSensitive - Compare case-sensitively
+   * @returns {boolean} True if any of the predicate's values match
+   */
+  static matchesPredicate(value, predicate, caseSensitive = false) {
+    const list = (entry) => entry === undefined ? [] : [].concat(entry);
+    const normalize = (text) => caseSensitive ? text : text.toLowerCase();
+    const normalizedValue = normalize(value);
+
+    if (list(predicate.exact).some(expected => normalizedValue === normalize(expected))) {
+      return true;
+    }
+
+    if (list(predicate.contains).some(expected => normalizedValue.includes(normalize(expected)))) {
+      return true;
+    }
+
+    return list(predicate.regex).some(pattern => {
+      try {
+        return new RegExp(pattern, caseSensitive ? '' : 'i').test(value);
+      } catch (error) {
+        console.warn('[DOMHelpers] Invalid regex in selector spec:', pattern);
+        return false;
+      }
+    });
+  }
+
   static isPostFullyEngageable(post, selectors) {
     // Check if post AND its interaction buttons are visible and accessible
 
@@ -57,8 +178,8 @@ window.DOMHelpers = class DOMHelpers {
     }
 
     // 2. Find interaction buttons (like, comment)
-    const likeButton = post.querySelector(selectors.likeButton || selectors.upvoteButton);
-    const commentButton = post.querySelector(selectors.commentButton || selectors.replyButton);
+    const likeButton = this.query(selectors.likeButton || selectors.upvoteButton, post);
+    const commentButton = this.query(selectors.commentButton || selectors.replyButton, post);
 
     // 3. Collect valid buttons
     const buttons = [likeButton, commentButton].filter(btn => btn);
@@ -85,8 +206,8 @@ window.DOMHelpers = class DOMHelpers {
     // Scrolls post so interaction buttons are comfortably visible
 
     // Find the lowest interaction element
-    const likeButton = post.querySelector(selectors.likeButton || selectors.upvoteButton);
-    const commentButton = post.querySelector(selectors.commentButton || selectors.replyButton);
+    const likeButton = this.query(selectors.likeButton || selectors.upvoteButton, post);
+    const commentButton = this.query(selectors.commentButton || selectors.replyButton, post);
 
     const buttons = [likeButton, commentButton].filter(btn => btn);
 
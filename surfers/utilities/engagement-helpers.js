@@ -1,18 +1,14 @@
 /**
- * Engagement Helpers - Duplicate detection and safety limits
+ * Engagement Helpers - Duplicate detection
  *
  * DuplicateDetector:
  * - URL tracking (Set of engaged URLs)
  * - Author cooldown (24-hour window)
  * - Content hash detection (prevents duplicate content)
- * - Chrome storage persistence
+ * - Chrome storage persistence, picking up other tabs' and imported entries
  * - Weekly auto-cleanup
  *
- * SafetyLimits:
- * - Hourly limits: 10 comments, 30 likes
- * - Daily limits: 50 comments, 200 likes
- * - Auto-reset timers
- * - Chrome storage persistence
+ * SafetyLimits: see safety-limits.js
  */
 
 /**
@@ -24,6 +20,29 @@ window.DuplicateDetector = class DuplicateDetector {
     this.commentedAuthors = new Map(); // author -> timestamp
     this.contentHashes = new Set();
     this.loadFromStorage();
+
+    // Another tab or a history import wrote - keep its entries, or the next save would drop them
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local') {
+        this.mergeStored(changes);
+      }
+    });
+  }
+
+  /**
+   * Union stored entries into memory; an author keeps their latest timestamp
+   * @param {Object} changes - chrome.storage.onChanged changes
+   */
+  mergeStored(changes) {
+    const newValue = key => changes[key] && changes[key].newValue;
+
+    (newValue('commentedUrls') || []).forEach(url => this.commentedUrls.add(url));
+    (newValue('contentHashes') || []).forEach(hash => this.contentHashes.add(hash));
+    Object.entries(newValue('commentedAuthors') || {}).forEach(([author, timestamp]) => {
+      if (!(this.commentedAuthors.get(author) >= timestamp)) {
+        this.commentedAuthors.set(author, timestamp);
+      }
+    });
   }
 
   async loadFromStorage() {
@@ -148,88 +167,3 @@ window.DuplicateDetector = class DuplicateDetector {
     console.log('[DuplicateDetector] Cleanup completed');
   }
 };
-
-/**
- * SafetyLimits - Enforces hourly and daily limits
- */
-window.SafetyLimits = class SafetyLimits {
-  constructor() {
-    this.limits = {
-      commentsPerHour: 10,
-      commentsPerDay: 50,
-      likesPerHour: 30,
-      likesPerDay: 200
-    };
-    this.counters = {
-      hourlyComments: 0,
-      dailyComments: 0,
-      hourlyLikes: 0,
-      dailyLikes: 0,
-      lastHourReset: Date.now(),
-      lastDayReset: Date.now()
-    };
-    this.loadFromStorage();
-  }
-
-  async loadFromStorage() {
-    try {
-      const data = await chrome.storage.local.get(['safetyCounters']);
-      if (data.safetyCounters) {
-        this.counters = { ...this.counters, ...data.safetyCounters };
-      }
-      this.checkResets();
-    } catch (e) {
-      console.error('Failed to load safety counters', e);
-    }
-  }
-
-  checkResets() {
-    const now = Date.now();
-    const hourMs = 60 * 60 * 1000;
-    const dayMs = 24 * hourMs;
-
-    // Reset hourly counters
-    if (now - this.counters.lastHourReset > hourMs) {
-      this.counters.hourlyComments = 0;
-      this.counters.hourlyLikes = 0;
-      this.counters.lastHourReset = now;
-    }
-
-    // Reset daily counters
-    if (now - this.counters.lastDayReset > dayMs) {
-      this.counters.dailyComments = 0;
-      this.counters.dailyLikes = 0;
-      this.counters.lastDayReset = now;
-    }
-  }
-
-  async saveToStorage() {
-    await chrome.storage.local.set({
-      safetyCounters: this.counters
-    });
-  }
-
-  canComment() {
-    this.checkResets();
-    return this.counters.hourlyComments < this.limits.commentsPerHour &&
-      this.counters.dailyComments < this.limits.commentsPerDay;
-  }
-
-  canLike() {
-    this.checkResets();
-    return this.counters.hourlyLikes < this.limits.likesPerHour &&
-      this.counters.dailyLikes < this.limits.likesPerDay;
-  }
-
-  async recordComment() {
-    this.counters.hourlyComments++;
-    this.counters.dailyComments++;
-    await this.saveToStorage();
-  }
-
-  async recordLike() {
-    this.counters.hourlyLikes++;
-    this.counters.dailyLikes++;
-    await this.saveToStorage();
-  }
-};
@@ -0,0 +1,349 @@
+/**
+ * HistoryTransfer - Export and import of everything the extension has recorded
+ *
+ * Covers:
+ * - Engagement log and session summaries (IndexedDB, see background/engagement-history.js)
+ * - Duplicate-detector state (chrome.storage.local: commentedUrls, commentedAuthors, contentHashes)
+ * - Safety counters per platform (chrome.storage.local: safetyCounters, see SafetyLimits)
+ *
+ * JSON export is one file with all of it:
+ * {
+ *   "format": "lajysocial-history",
+ *   "version": 2,
+ *   "exportedAt": 1760000000000,
+ *   "engagements": [...],
+ *   "sessions": [...],
+ *   "duplicates": { "commentedUrls": [...], "commentedAuthors": { author: timestamp }, "contentHashes": [...] },
+ *   "safetyCounters": { [platform]: { lastHourReset, lastDayReset, log: { comment: [timestamp], like, seeMore, view } } }
+ * }
+ * Version 1 files have the old shared counters (one set for all platforms) and still import.
+ *
+ * CSV export is one file per table, recognised on import by its header row:
+ * - engagements.csv:     timestamp,date,platform,action,reason,postUrl,author,excerpt,commentText,sessionStart
+ * - duplicates.csv:      type,value,timestamp (type: url | author | contentHash)
+ * - safety-counters.csv: platform,key,value (key: lastHourReset | lastDayReset, or an action
+ *                        with one row per time it happened; the old counter,value layout still imports)
+ *
+ * Import merges into what's already stored - nothing is deleted and records
+ * that are already there are skipped. Imported engagements and sessions are
+ * stamped with importedAt, so a retention period on the history page counts
+ * from the import rather than from when they happened (see EngagementHistory).
+ */
+
+window.HistoryTransfer = class HistoryTransfer {
+  static get FORMAT() {
+    return 'lajysocial-history';
+  }
+
+  static get VERSION() {
+    return 2;
+  }
+
+  static get ENGAGEMENT_COLUMNS() {
+    return ['timestamp', 'date', 'platform', 'action', 'reason', 'postUrl', 'author', 'excerpt', 'commentText', 'sessionStart'];
+  }
+
+  static get DUPLICATE_COLUMNS() {
+    return ['type', 'value', 'timestamp'];
+  }
+
+  static get COUNTER_COLUMNS() {
+    return ['platform', 'key', 'value'];
+  }
+
+  /**
+   * Version 1 safety-counters.csv, one row per shared counter
+   */
+  static get LEGACY_COUNTER_COLUMNS() {
+    return ['counter', 'value'];
+  }
+
+  static get LEGACY_COUNTER_KEYS() {
+    return ['hourlyComments', 'dailyComments', 'hourlyLikes', 'dailyLikes', 'lastHourReset', 'lastDayReset'];
+  }
+
+  /**
+   * Gather everything into the JSON export shape
+   * @param {EngagementHistory} history
+   */
+  static async collect(history) {
+    const [engagements, sessions, local] = await Promise.all([
+      history.getAll(),
+      history.getAll(window.EngagementHistory.SESSION_STORE),
+      chrome.storage.local.get(['commentedUrls', 'commentedAuthors', 'contentHashes', 'safetyCounters'])
+    ]);
+
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      exportedAt: Date.now(),
+      engagements: engagements.map(({ id, importedAt, ...record }) => record),
+      sessions: sessions.map(({ id, importedAt, ...summary }) => summary),
+      duplicates: {
+        commentedUrls: local.commentedUrls || [],
+        commentedAuthors: local.commentedAuthors || {},
+        contentHashes: local.contentHashes || []
+      },
+      // Legacy shared counters are exported as they are; merge() knows them
+      safetyCounters: window.SafetyLimits.isLegacyCounters(local.safetyCounters)
+        ? local.safetyCounters
+        : window.SafetyLimits.readCounters(local.safetyCounters)
+    };
+  }
+
+  static toJSON(data) {
+    return JSON.stringify(data, null, 2);
+  }
+
+  /**
+   * @returns {Object} { [fileName]: csvText } - session summaries are JSON-only
+   */
+  static toCSV(data) {
+    const engagements = data.engagements.map(record => this.ENGAGEMENT_COLUMNS.map(column =>
+      column === 'date' ? new Date(record.timestamp).toISOString() : record[column]
+    ));
+
+    const duplicates = [
+      ...data.duplicates.commentedUrls.map(url => ['url', url, '']),
+      ...Object.entries(data.duplicates.commentedAuthors).map(([author, timestamp]) => ['author', author, timestamp]),
+      ...data.duplicates.contentHashes.map(hash => ['contentHash', hash, ''])
+    ];
+
+    // Counters no platform has loaded since the update are still the old shared ones
+    let counters;
+    if (window.SafetyLimits.isLegacyCounters(data.safetyCounters)) {
+      counters = this.formatCSV(this.LEGACY_COUNTER_COLUMNS, Object.entries(data.safetyCounters));
+    } else {
+      const rows = [];
+      Object.entries(data.safetyCounters || {}).forEach(([platform, { lastHourReset, lastDayReset, log }]) => {
+        rows.push([platform, 'lastHourReset', lastHourReset], [platform, 'lastDayReset', lastDayReset]);
+        Object.entries(log || {}).forEach(([action, timestamps]) => {
+          timestamps.forEach(timestamp => rows.push([platform, action, timestamp]));
+        });
+      });
+      counters = this.formatCSV(this.COUNTER_COLUMNS, rows);
+    }
+
+    return {
+      'engagements.csv': this.formatCSV(this.ENGAGEMENT_COLUMNS, engagements),
+      'duplicates.csv': this.formatCSV(this.DUPLICATE_COLUMNS, duplicates),
+      'safety-counters.csv': counters
+    };
+  }
+
+  static formatCSV(columns, rows) {
+    const escape = value => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...rows].map(row => row.map(escape).join(',')).join('\r\n');
+  }
+
+  /**
+   * RFC 4180 parser - quoted fields may hold commas, quotes ("") and newlines
+   * @returns {Array<Array<string>>} Rows of fields, blank lines dropped
+   */
+  static parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    row.push(field);
+    rows.push(row);
+    return rows.filter(fields => fields.some(value => value !== ''));
+  }
+
+  /**
+   * Turn an exported file back into (part of) the JSON export shape
+   * @param {string} fileName - Used to tell JSON from CSV
+   * @param {string} text - File contents
+   * @returns {Object} Only the sections the file contains
+   * @throws {Error} If the file isn't one of our exports
+   */
+  static parse(fileName, text) {
+    if (/\.json$/i.test(fileName) || text.trim().startsWith('{')) {
+      const data = JSON.parse(text);
+      if (data.format !== this.FORMAT) {
+        throw new Error(`${fileName} is not a history export`);
+      }
+      if (data.version > this.VERSION) {
+        throw new Error(`${fileName} was exported by a newer version (v${data.version})`);
+      }
+      return data;
+    }
+
+    const [header = [], ...rows] = this.parseCSV(text.replace(/^\uFEFF/, ''));
+    const columns = header.join(',');
+    const number = value => (value === '' ? null : Number(value));
+
+    if (columns === this.ENGAGEMENT_COLUMNS.join(',')) {
+      return {
+        engagements: rows.map(fields => {
+          const record = {};
+          this.ENGAGEMENT_COLUMNS.forEach((column, index) => {
+            if (column !== 'date') record[column] = fields[index] === '' ? null : fields[index];
+          });
+          record.timestamp = number(record.timestamp || '');
+          record.sessionStart = number(record.sessionStart || '');
+          record.excerpt = record.excerpt || '';
+          return record;
+        })
+      };
+    }
+
+    if (columns === this.DUPLICATE_COLUMNS.join(',')) {
+      const duplicates = { commentedUrls: [], commentedAuthors: {}, contentHashes: [] };
+      rows.forEach(([type, value, timestamp]) => {
+        if (type === 'url') duplicates.commentedUrls.push(value);
+        if (type === 'author') duplicates.commentedAuthors[value] = number(timestamp);
+        if (type === 'contentHash') duplicates.contentHashes.push(value);
+      });
+      return { duplicates };
+    }
+
+    if (columns === this.COUNTER_COLUMNS.join(',')) {
+      const safetyCounters = {};
+      rows.forEach(([platform, key, value]) => {
+        const counters = safetyCounters[platform] = safetyCounters[platform] || window.SafetyLimits.emptyCounters(0);
+        if (key === 'lastHourReset' || key === 'lastDayReset') {
+          counters[key] = number(value);
+        } else if (key in counters.log) {
+          counters.log[key].push(number(value));
+        }
+      });
+      return { safetyCounters };
+    }
+
+    if (columns === this.LEGACY_COUNTER_COLUMNS.join(',')) {
+      const safetyCounters = {};
+      rows.forEach(([counter, value]) => {
+        if (this.LEGACY_COUNTER_KEYS.includes(counter)) safetyCounters[counter] = number(value);
+      });
+      return { safetyCounters };
+    }
+
+    throw new Error(`${fileName} has unknown columns: ${columns}`);
+  }
+
+  /**
+   * Merge imported data into storage, skipping what's already there
+   * @param {EngagementHistory} history
+   * @param {Object} data - Output of parse()
+   * @returns {Promise<Object>} { engagements, sessions, urls, authors, hashes, counters } - how much was added
+   */
+  static async merge(history, data) {
+    const result = { engagements: 0, sessions: 0, urls: 0, authors: 0, hashes: 0, counters: false };
+
+    if (data.engagements) {
+      const valid = data.engagements.filter(record =>
+        Number.isFinite(record.timestamp) && window.EngagementHistory.ACTIONS.includes(record.action)
+      );
+      result.engagements = await this.addMissing(history, window.EngagementHistory.STORE, valid,
+        record => [record.timestamp, record.platform, record.action, record.postUrl, record.reason].join('|'));
+    }
+
+    if (data.sessions) {
+      const valid = data.sessions.filter(summary => Number.isFinite(summary.startTime));
+      result.sessions = await this.addMissing(history, window.EngagementHistory.SESSION_STORE, valid,
+        summary => [summary.startTime, summary.platform].join('|'));
+    }
+
+    if (data.duplicates) {
+      Object.assign(result, await this.mergeDuplicates(data.duplicates));
+    }
+
+    if (data.safetyCounters) {
+      await this.mergeSafetyCounters(data.safetyCounters);
+      result.counters = true;
+    }
+
+    return result;
+  }
+
+  static async addMissing(history, storeName, records, keyOf) {
+    const existing = new Set((await history.getAll(storeName)).map(keyOf));
+    const missing = records.filter(record => {
+      const key = keyOf(record);
+      if (existing.has(key)) return false;
+      existing.add(key); // Also dedupes within the file
+      return true;
+    });
+    if (missing.length === 0) return 0;
+
+    const importedAt = Date.now();
+    return history.addAll(missing.map(record => ({ ...record, importedAt })), storeName);
+  }
+
+  /**
+   * Union of URLs and hashes; an author keeps their most recent timestamp
+   */
+  static async mergeDuplicates(imported) {
+    const stored = await chrome.storage.local.get(['commentedUrls', 'commentedAuthors', 'contentHashes']);
+
+    const urls = new Set(stored.commentedUrls || []);
+    const hashes = new Set(stored.contentHashes || []);
+    const authors = { ...(stored.commentedAuthors || {}) };
+    const before = { urls: urls.size, hashes: hashes.size, authors: Object.keys(authors).length };
+
+    (imported.commentedUrls || []).forEach(url => urls.add(url));
+    (imported.contentHashes || []).forEach(hash => hashes.add(hash));
+    Object.entries(imported.commentedAuthors || {}).forEach(([author, timestamp]) => {
+      if (Number.isFinite(timestamp) && !(authors[author] >= timestamp)) {
+        authors[author] = timestamp;
+      }
+    });
+
+    await chrome.storage.local.set({
+      commentedUrls: Array.from(urls),
+      commentedAuthors: authors,
+      contentHashes: Array.from(hashes)
+    });
+
+    return {
+      urls: urls.size - before.urls,
+      hashes: hashes.size - before.hashes,
+      authors: Object.keys(authors).length - before.authors
+    };
+  }
+
+  /**
+   * The background is the only writer of safetyCounters, so the merge runs
+   * there, in line with the actions running sessions record (see SafetyLimits.mergeInStorage)
+   */
+  static async mergeSafetyCounters(imported) {
+    const response = await chrome.runtime.sendMessage({ action: 'mergeSafetyCounters', counters: imported });
+    if (!response || !response.success) {
+      throw new Error(`Could not merge safety counters: ${response ? response.error : 'no response'}`);
+    }
+  }
+};
@@ -0,0 +1,250 @@
+/**
+ * PersonaEngine - Pro mode personas as template bundles, no LLM needed
+ *
+ * A bundle is everything a persona needs to sound like itself:
+ * {
+ *   id, name,
+ *   phrases: ['Love this{comma} {author_first}', ...], // comment bodies (TemplateGenerator placeholders work)
+ *   openers: ['Honestly', ...], openerRate: 0.3,     // optional lead-in
+ *   closers: ['no notes', ...], closerRate: 0.3,     // optional tail after a dash, for phrases without an ending
+ *   endings: ['!', '.', ''],                         // picked when the phrase has no ending of its own
+ *   emoji: { rate: 0.5, set: ['🙌', '✨'] },
+ *   lowercase: false,                                // all lower case (texting style)
+ *   length: { min: 3, max: 14 }                      // words, emoji not counted
+ * }
+ *
+ * Built-in personas match the popup's persona select. A custom preset
+ * (proModeSettings.customPresets: { name, reference }) becomes a bundle
+ * through fromReference(): its pasted comments are the phrases, and their
+ * endings, emoji, case and length are the habits.
+ *
+ * TemplateGenerator.setPersona() takes a bundle; generateComment() then
+ * composes from it instead of the plain templates.
+ */
+
+window.PersonaEngine = class PersonaEngine {
+  static get BUILT_IN() {
+    return {
+      friendly: {
+        id: 'friendly',
+        name: 'Friendly/Supportive',
+        phrases: [
+          'Love this{comma} {author_first}',
+          'This made my day',
+          'So happy to see this',
+          'What a great share',
+          'Thanks so much for posting this',
+          'You always bring such good energy'
+        ],
+        openers: ['Aww', 'Oh wow', 'Yes'],
+        openerRate: 0.25,
+        closers: ['keep it up', 'rooting for you', 'thanks for sharing'],
+        closerRate: 0.3,
+        endings: ['!', '!!', '.'],
+        emoji: { rate: 0.5, set: ['😊', '🙌', '💛', '👏', '✨'] },
+        lowercase: false,
+        length: { min: 3, max: 14 }
+      },
+      quirky: {
+        id: 'quirky',
+        name: 'Quirky',
+        phrases: [
+          'Okay this just rearranged my brain furniture',
+          'Saving this for my future self',
+          '10/10 would read again',
+          'Not me nodding at my screen',
+          'This lives rent free in my head now',
+          'My coffee went cold reading this and I regret nothing'
+        ],
+        openers: ['Plot twist:', 'Hot take:', 'Wait'],
+        openerRate: 0.3,
+        closers: ['no notes', "chef's kiss", 'brb telling everyone'],
+        closerRate: 0.35,
+        endings: ['!', '...', '?!', ' :)'],
+        emoji: { rate: 0.6, set: ['🤯', '🦄', '😂', '🫠', '🍕'] },
+        lowercase: false,
+        length: { min: 3, max: 16 }
+      },
+      critical: {
+        id: 'critical',
+        name: 'Critical Thinking',
+        phrases: [
+          'Interesting point, though I wonder how this holds up at scale?',
+          'Good read - what would change your mind on this?',
+          'Curious what the data behind this looks like.',
+          "I see the logic, but isn't there a trade-off here?",
+          'Fair take, though the counterargument deserves a look.',
+          'How would this work for smaller teams?'
+        ],
+        openers: ['Genuine question:', "Playing devil's advocate:", 'Hmm,'],
+        openerRate: 0.3,
+        closers: [],
+        closerRate: 0,
+        endings: ['?', '.'],
+        emoji: { rate: 0.05, set: ['🤔'] },
+        lowercase: false,
+        length: { min: 6, max: 22 }
+      },
+      professional: {
+        id: 'professional',
+        name: 'Professional',
+        phrases: [
+          'Valuable insight, thank you for sharing',
+          'Well articulated perspective',
+          'This is a thoughtful take on an important topic',
+          'Appreciate you sharing your experience here',
+          'Great points{comma} {author_first}',
+          'Clear and practical, thank you'
+        ],
+        openers: ['Thank you for this.'],
+        openerRate: 0.15,
+        closers: ['looking forward to more', 'very useful'],
+        closerRate: 0.2,
+        endings: ['.'],
+        emoji: { rate: 0, set: [] },
+        lowercase: false,
+        length: { min: 3, max: 16 }
+      },
+      casual: {
+        id: 'casual',
+        name: 'Casual',
+        phrases: ['ha nice', 'yeah this', 'so true', 'big mood', 'same tbh', 'love it', 'oh this is good'],
+        openers: ['lol', 'ok'],
+        openerRate: 0.25,
+        closers: ['fr', 'tbh'],
+        closerRate: 0.25,
+        endings: ['', '', '!', ' lol'],
+        emoji: { rate: 0.3, set: ['😂', '👍', '🙃'] },
+        lowercase: true,
+        length: { min: 1, max: 8 }
+      }
+    };
+  }
+
+  static get EMOJI_PATTERN() {
+    return /\p{Extended_Pictographic}️?/gu;
+  }
+
+  /**
+   * Bundle for the persona the popup has selected
+   * @param {string} persona - Built-in id or 'custom'
+   * @param {Object|null} preset - { name, reference } when persona is 'custom'
+   * @returns {Object|null} null = no persona (custom without a usable preset)
+   */
+  static resolve(persona, preset = null) {
+    if (persona === 'custom') {
+      return preset ? PersonaEngine.fromReference(preset.name, preset.reference) : null;
+    }
+    return PersonaEngine.BUILT_IN[persona] || PersonaEngine.BUILT_IN.friendly;
+  }
+
+  /**
+   * Build a bundle from a user's example comments
+   * @param {string} name - Preset name
+   * @param {string} reference - Pasted comments, one per line (one paragraph is split into sentences)
+   * @returns {Object|null} null when there's nothing to learn from
+   */
+  static fromReference(name, reference) {
+    let lines = String(reference || '').split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length === 1) {
+      lines = (lines[0].match(/[^.!?]+[.!?]*/g) || []).map(line => line.trim()).filter(Boolean);
+    }
+    if (lines.length === 0) return null;
+
+    const emojiLines = lines.filter(line => (line.match(PersonaEngine.EMOJI_PATTERN) || []).length > 0);
+    const emojiSet = [...new Set(lines.flatMap(line => line.match(PersonaEngine.EMOJI_PATTERN) || []))];
+    // Every example's ending counts, so a habit shows up as often as it's used.
+    // Examples with no words left once the ending is off ("!!!") are dropped.
+    const examples = lines
+      .map(line => {
+        const text = PersonaEngine.stripEmoji(line);
+        const ending = (text.match(/[.!?…]+$/) || [''])[0];
+        return { phrase: text.slice(0, text.length - ending.length).trim(), ending };
+      })
+      .filter(example => /[\p{L}\p{N}]/u.test(example.phrase));
+    if (examples.length === 0) return null;
+
+    const phrases = examples.map(example => example.phrase);
+    const wordCounts = phrases.map(PersonaEngine.countWords);
+    const letters = phrases.join(' ').replace(/[^\p{L}]/gu, '');
+
+    return {
+      id: `custom:${name}`,
+      name,
+      phrases,
+      openers: [],
+      openerRate: 0,
+      closers: [],
+      closerRate: 0,
+      endings: examples.map(example => example.ending),
+      emoji: { rate: emojiLines.length / lines.length, set: emojiSet },
+      lowercase: letters.length > 0 && letters === letters.toLowerCase(),
+      length: { min: Math.min(...wordCounts), max: Math.max(...wordCounts) }
+    };
+  }
+
+  static stripEmoji(text) {
+    return text.replace(PersonaEngine.EMOJI_PATTERN, '').replace(/\s{2,}/g, ' ').trim();
+  }
+
+  static countWords(text) {
+    return PersonaEngine.stripEmoji(text).split(/\s+/).filter(Boolean).length;
+  }
+
+  static pick(list) {
+    return list[Math.floor(Math.random() * list.length)];
+  }
+
+  /**
+   * One comment in the bundle's voice
+   * @param {Object} bundle
+   * @param {Function} fillPlaceholders - (phrase) → phrase with {author_first} etc. filled in
+   * @returns {string}
+   */
+  static compose(bundle, fillPlaceholders = phrase => phrase) {
+    // A few tries to land inside the length range; the closest one otherwise
+    let best = null;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const comment = PersonaEngine.composeOnce(bundle, fillPlaceholders);
+      const words = PersonaEngine.countWords(comment);
+      const miss = Math.max(0, bundle.length.min - words, words - bundle.length.max);
+      if (!best || miss < best.miss) {
+        best = { comment, miss };
+      }
+      if (miss === 0) break;
+    }
+    return best.comment;
+  }
+
+  static composeOnce(bundle, fillPlaceholders) {
+    let body = fillPlaceholders(PersonaEngine.pick(bundle.phrases))
+      // A placeholder that came out empty (no author name) leaves stray separators
+      .replace(/\s+([,.!?])/g, '$1')
+      .replace(/[,\s]+$/, '')
+      .trim();
+
+    let ending = (body.match(/[.!?…]+$/) || [''])[0];
+    body = body.slice(0, body.length - ending.length);
+
+    if (bundle.openers.length > 0 && Math.random() < bundle.openerRate) {
+      const opener = PersonaEngine.pick(bundle.openers);
+      const startsSentence = /[.!?:]$/.test(opener);
+      body = `${opener}${/[,.!?:]$/.test(opener) ? '' : ','} ${startsSentence ? body : body.charAt(0).toLowerCase() + body.slice(1)}`;
+    }
+    if (!ending && bundle.closers.length > 0 && Math.random() < bundle.closerRate) {
+      body = `${body} - ${PersonaEngine.pick(bundle.closers)}`;
+    }
+    if (!ending) {
+      ending = bundle.endings.length > 0 ? PersonaEngine.pick(bundle.endings) : '';
+    }
+
+    let comment = body + ending;
+    if (bundle.lowercase) {
+      comment = comment.toLowerCase();
+    }
+    if (bundle.emoji.set.length > 0 && Math.random() < bundle.emoji.rate) {
+      comment = `${comment} ${PersonaEngine.pick(bundle.emoji.set)}`;
+    }
+    return comment;
+  }
+};
@@ -0,0 +1,123 @@
+/**
+ * PersonaPresets - The 'custom' persona's saved presets (Pro mode)
+ *
+ * Kept in chrome.storage.sync proModeSettings:
+ *   customPresets: [{ id, name, reference }]  // reference = the user's example comments
+ *   activePresetId: 'preset-...'              // the one 'custom' writes like
+ *   platformPresets: { [platform]: presetId } // platforms that use their own preset instead
+ *
+ * Presets saved before they had ids get one the first time they're read;
+ * until then the newest one is the active one, as it always was.
+ */
+
+window.PersonaPresets = class PersonaPresets {
+  static newId() {
+    return `preset-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  /**
+   * Give every preset an id and make sure the active one exists
+   * @param {Object} proSettings - proModeSettings as stored
+   * @returns {Object} A copy with the preset fields filled in
+   */
+  static normalize(proSettings) {
+    const settings = { ...(proSettings || {}) };
+    settings.customPresets = (settings.customPresets || []).map(preset => (
+      preset.id ? preset : { ...preset, id: PersonaPresets.newId() }
+    ));
+
+    const ids = settings.customPresets.map(preset => preset.id);
+    if (!ids.includes(settings.activePresetId)) {
+      settings.activePresetId = ids.length > 0 ? ids[ids.length - 1] : null;
+    }
+    settings.platformPresets = Object.fromEntries(
+      Object.entries(settings.platformPresets || {}).filter(([, id]) => ids.includes(id))
+    );
+    return settings;
+  }
+
+  /**
+   * Preset the 'custom' persona uses on a platform: its own default, else the active one
+   * @returns {Object|null} { id, name, reference }
+   */
+  static resolve(proSettings, platform) {
+    const settings = PersonaPresets.normalize(proSettings);
+    const id = (platform && settings.platformPresets[platform]) || settings.activePresetId;
+    return settings.customPresets.find(preset => preset.id === id) || null;
+  }
+
+  /**
+   * @returns {Promise<Object>} Normalized proModeSettings; ids handed out here are stored right away
+   */
+  static async load() {
+    const result = await chrome.storage.sync.get(['proModeSettings']);
+    const settings = PersonaPresets.normalize(result.proModeSettings);
+
+    const stored = (result.proModeSettings && result.proModeSettings.customPresets) || [];
+    if (stored.some(preset => !preset.id)) {
+      await chrome.storage.sync.set({ proModeSettings: settings });
+    }
+    return settings;
+  }
+
+  /**
+   * Read, change and store proModeSettings
+   * @param {Function} change - (settings) → nothing; edits the normalized settings in place
+   * @returns {Promise<Object>} The stored settings
+   */
+  static async update(change) {
+    const settings = await PersonaPresets.load();
+    change(settings);
+    const normalized = PersonaPresets.normalize(settings);
+    await chrome.storage.sync.set({ proModeSettings: normalized });
+    return normalized;
+  }
+
+  /**
+   * Add a preset, or replace the one with the same id; it becomes the active one
+   * @param {Object} preset - { id?, name, reference }
+   * @returns {Promise<Object>} The saved preset
+   */
+  static async save({ id, name, reference }) {
+    const preset = { id: id || PersonaPresets.newId(), name, reference };
+    await PersonaPresets.update(settings => {
+      const index = settings.customPresets.findIndex(entry => entry.id === preset.id);
+      if (index === -1) {
+        settings.customPresets.push(preset);
+      } else {
+        settings.customPresets[index] = preset;
+      }
+      settings.activePresetId = preset.id;
+    });
+    return preset;
+  }
+
+  /**
+   * Delete a preset; platforms that used it go back to the active one
+   */
+  static remove(id) {
+    return PersonaPresets.update(settings => {
+      settings.customPresets = settings.customPresets.filter(preset => preset.id !== id);
+    });
+  }
+
+  static setActive(id) {
+    return PersonaPresets.update(settings => {
+      settings.activePresetId = id;
+    });
+  }
+
+  /**
+   * @param {string} platform
+   * @param {string|null} id - null = the platform uses the active preset
+   */
+  static setPlatformDefault(platform, id) {
+    return PersonaPresets.update(settings => {
+      if (id) {
+        settings.platformPresets[platform] = id;
+      } else {
+        delete settings.platformPresets[platform];
+      }
+    });
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * PlatformSettings - Engagement settings per platform, falling back to the global ones
+ *
+ * chrome.storage.sync:
+ *   surfSettings: {...}                          // global settings
+ *   platformSettings: { [platform]: {...} }      // platforms with their own settings
+ *
+ * A platform without an entry inherits the global settings as they are; a
+ * platform with one uses it, and any key missing from it still falls back to
+ * the global value. Same idea as platformComments, but with the fallback.
+ */
+
+self.PlatformSettings = class PlatformSettings {
+  static get STORAGE_KEY() {
+    return 'platformSettings';
+  }
+
+  /**
+   * @param {Object} surfSettings - Global settings
+   * @param {Object} platformSettings - Stored per-platform settings
+   * @param {string|null} platform - null = just the global settings
+   */
+  static resolve(surfSettings, platformSettings, platform) {
+    const own = platform && platformSettings ? platformSettings[platform] : null;
+    return { ...(surfSettings || {}), ...(own || {}) };
+  }
+
+  /**
+   * @param {string|null} platform
+   * @returns {Promise<Object>} { settings, inherits } - settings are the effective ones
+   */
+  static async load(platform) {
+    const result = await chrome.storage.sync.get(['surfSettings', this.STORAGE_KEY]);
+    const platformSettings = result[this.STORAGE_KEY] || {};
+
+    return {
+      settings: this.resolve(result.surfSettings, platformSettings, platform),
+      inherits: !platform || !platformSettings[platform]
+    };
+  }
+
+  /**
+   * Store settings where the platform reads them from: its own entry, or the
+   * global settings while it inherits
+   */
+  static async save(platform, settings) {
+    const result = await chrome.storage.sync.get([this.STORAGE_KEY]);
+    const platformSettings = result[this.STORAGE_KEY] || {};
+
+    if (platform && platformSettings[platform]) {
+      platformSettings[platform] = settings;
+      await chrome.storage.sync.set({ [this.STORAGE_KEY]: platformSettings });
+    } else {
+      await chrome.storage.sync.set({ surfSettings: settings });
+    }
+  }
+
+  /**
+   * Switch a platform between inheriting and having its own settings
+   * Going own starts from a copy of the global settings; going back to
+   * inheriting drops the platform's settings
+   */
+  static async setInherit(platform, inherit) {
+    const result = await chrome.storage.sync.get(['surfSettings', this.STORAGE_KEY]);
+    const platformSettings = result[this.STORAGE_KEY] || {};
+
+    if (inherit) {
+      delete platformSettings[platform];
+    } else if (!platformSettings[platform]) {
+      platformSettings[platform] = { ...(result.surfSettings || {}) };
+    }
+
+    await chrome.storage.sync.set({ [this.STORAGE_KEY]: platformSettings });
+  }
+};
@@ -0,0 +1,465 @@
+/**
+ * SafetyLimits - Enforces hourly and daily limits per platform and per action
+ *
+ * Limits (chrome.storage.sync safetyLimits, edited in the popup's 🛡️ card):
+ *   { [platform]: { windowMode, commentsPerHour, commentsPerDay, likesPerHour, likesPerDay,
+ *                   seeMorePerHour, seeMorePerDay, viewsPerHour, viewsPerDay,
+ *                   commentsMinGap, likesMinGap, seeMoreMinGap, viewsMinGap } }
+ *   A limit of 0 is off. Gaps are in seconds. Missing values fall back to DEFAULT_LIMITS.
+ *
+ * Every action is logged with its timestamp for a day. In a 'rolling' window
+ * (the default) a limit works like a token bucket: each action spends a
+ * token, and that token comes back exactly one hour/day later - so 10 at
+ * 10:59 and 10 more at 11:01 can't happen. A 'fixed' window counts from its
+ * last reset instead and restarts once the hour/day has run out.
+ *
+ * Counters (chrome.storage.local safetyCounters), shared by every tab of the platform:
+ *   { [platform]: { lastHourReset, lastDayReset, log: { comment: 'lz3f0a1k,1ekg,2s0', like, seeMore, view } } }
+ *   A log is stored as its first timestamp then the gaps to the next ones, in
+ *   base 36 (see encodeLog).
+ *
+ * Tabs don't write the counters themselves: every action goes to the
+ * background (recordSafetyAction), which appends it one write at a time
+ * (recordInStorage) so two tabs can't overwrite each other's counts. Tabs
+ * pick up each other's actions through chrome.storage.onChanged. History
+ * imports are merged there too (mergeSafetyCounters → mergeInStorage).
+ */
+self.SafetyLimits = class SafetyLimits {
+  /**
+   * Also read by the options page dashboard to show how close each day came to the caps
+   */
+  static get DEFAULT_LIMITS() {
+    return {
+      commentsPerHour: 10,
+      commentsPerDay: 50,
+      likesPerHour: 30,
+      likesPerDay: 200,
+      seeMorePerHour: 0,
+      seeMorePerDay: 0,
+      viewsPerHour: 0,
+      viewsPerDay: 0,
+      commentsMinGap: 60,
+      likesMinGap: 0,
+      seeMoreMinGap: 0,
+      viewsMinGap: 0
+    };
+  }
+
+  static get WINDOWS() {
+    return ['rolling', 'fixed'];
+  }
+
+  /**
+   * Action → prefix of its limit keys (e.g. like → likesPerHour, likesPerDay, likesMinGap)
+   */
+  static get ACTIONS() {
+    return { comment: 'comments', like: 'likes', seeMore: 'seeMore', view: 'views' };
+  }
+
+  static get SPANS() {
+    const hourMs = 60 * 60 * 1000;
+    return {
+      hour: { suffix: 'PerHour', length: hourMs, reset: 'lastHourReset' },
+      day: { suffix: 'PerDay', length: 24 * hourMs, reset: 'lastDayReset' }
+    };
+  }
+
+  static limitKey(action, span) {
+    return SafetyLimits.ACTIONS[action] + SafetyLimits.SPANS[span].suffix;
+  }
+
+  static gapKey(action) {
+    return `${SafetyLimits.ACTIONS[action]}MinGap`;
+  }
+
+  /**
+   * @returns {Promise<Object>} { windowMode, ...limits } for the platform, defaults filled in
+   */
+  static async loadLimits(platform) {
+    const { safetyLimits } = await chrome.storage.sync.get(['safetyLimits']);
+    return { windowMode: 'rolling', ...SafetyLimits.DEFAULT_LIMITS, ...((safetyLimits || {})[platform] || {}) };
+  }
+
+  static async saveLimits(platform, limits) {
+    const { safetyLimits } = await chrome.storage.sync.get(['safetyLimits']);
+    await chrome.storage.sync.set({ safetyLimits: { ...(safetyLimits || {}), [platform]: limits } });
+  }
+
+  static emptyCounters(now = Date.now()) {
+    return {
+      lastHourReset: now,
+      lastDayReset: now,
+      log: Object.fromEntries(Object.keys(SafetyLimits.ACTIONS).map(action => [action, []]))
+    };
+  }
+
+  /**
+   * Sorted timestamps → 'first,gap,gap,...' in base 36 (a day of views fits in a few KB)
+   */
+  static encodeLog(timestamps) {
+    return timestamps.map((time, i) => (i === 0 ? time : time - timestamps[i - 1]).toString(36)).join(',');
+  }
+
+  /**
+   * Reverse of encodeLog; plain arrays (as exported to JSON) pass through
+   */
+  static decodeLog(log) {
+    if (Array.isArray(log)) return log;
+    if (!log) return [];
+
+    let time = 0;
+    return log.split(',').map(part => (time += parseInt(part, 36)));
+  }
+
+  /**
+   * @param {Object} stored - safetyCounters as stored
+   * @returns {Object} { [platform]: counters } with the logs as timestamp arrays
+   */
+  static readCounters(stored) {
+    if (!stored || SafetyLimits.isLegacyCounters(stored)) return {};
+
+    return Object.fromEntries(Object.entries(stored).map(([platform, counters]) => {
+      const empty = SafetyLimits.emptyCounters();
+      const log = { ...empty.log };
+      Object.entries(counters.log || {}).forEach(([action, entries]) => {
+        log[action] = SafetyLimits.decodeLog(entries);
+      });
+      return [platform, { ...empty, ...counters, log }];
+    }));
+  }
+
+  /**
+   * Reverse of readCounters
+   */
+  static writeCounters(all) {
+    return Object.fromEntries(Object.entries(all).map(([platform, counters]) => [platform, {
+      ...counters,
+      log: Object.fromEntries(Object.entries(counters.log).map(([action, timestamps]) => [action, SafetyLimits.encodeLog(timestamps)]))
+    }]));
+  }
+
+  /**
+   * Join two sets of counters for the same platform (two tabs, or stored and imported)
+   * Each timestamp is kept as many times as the side that has it most often, so
+   * an action both sides already know about isn't counted twice. Entries older
+   * than a day are dropped; a fixed window still running on either side keeps
+   * the later reset.
+   */
+  static mergeCounters(a, b, now = Date.now()) {
+    const sides = [a, b].filter(Boolean);
+    const result = SafetyLimits.emptyCounters(now);
+
+    Object.values(SafetyLimits.SPANS).forEach(({ length, reset }) => {
+      const live = sides.map(side => side[reset]).filter(time => Number.isFinite(time) && now - time <= length);
+      if (live.length > 0) result[reset] = Math.max(...live);
+    });
+
+    Object.keys(result.log).forEach(action => {
+      const occurrences = new Map();
+      sides.forEach(side => {
+        const counts = new Map();
+        ((side.log && side.log[action]) || []).forEach(time => counts.set(time, (counts.get(time) || 0) + 1));
+        counts.forEach((count, time) => occurrences.set(time, Math.max(count, occurrences.get(time) || 0)));
+      });
+
+      result.log[action] = Array.from(occurrences)
+        .filter(([time]) => Number.isFinite(time) && now - time <= SafetyLimits.SPANS.day.length)
+        .flatMap(([time, count]) => Array(count).fill(time))
+        .sort((x, y) => x - y);
+    });
+
+    return result;
+  }
+
+  /**
+   * Append one action to a platform's stored log - only the background calls
+   * this, one call at a time (see recordSafetyAction in background.js)
+   * @returns {Promise<Object>} The platform's counters after the append
+   */
+  static async recordInStorage(platform, action, timestamp) {
+    const { safetyCounters } = await chrome.storage.local.get(['safetyCounters']);
+    const all = SafetyLimits.readCounters(safetyCounters);
+
+    // Old shared counters seed the first platform that records something
+    const current = SafetyLimits.isLegacyCounters(safetyCounters)
+      ? SafetyLimits.fromLegacyCounters(safetyCounters)
+      : all[platform];
+    const counters = SafetyLimits.mergeCounters(current, null);
+    if (!(action in counters.log)) {
+      throw new Error(`Unknown safety action "${action}"`);
+    }
+    counters.log[action] = [...counters.log[action], timestamp].sort((a, b) => a - b);
+
+    all[platform] = counters;
+    await chrome.storage.local.set({ safetyCounters: SafetyLimits.writeCounters(all) });
+    return counters;
+  }
+
+  /**
+   * Merge imported counters (HistoryTransfer) into storage - background only,
+   * in the same queue as recordInStorage. Per platform, the action logs are
+   * joined and trimmed to the last day (mergeCounters), so an import can never
+   * hand back quota that was already used.
+   *
+   * Old shared counters (version 1) belonged to every platform, so they're
+   * merged into each platform that already has counters.
+   */
+  static async mergeInStorage(imported) {
+    const { safetyCounters } = await chrome.storage.local.get(['safetyCounters']);
+    const stored = SafetyLimits.readCounters(safetyCounters);
+
+    const incoming = SafetyLimits.isLegacyCounters(imported)
+      ? Object.fromEntries(Object.keys(stored).map(platform => [platform, SafetyLimits.fromLegacyCounters(imported)]))
+      : SafetyLimits.readCounters(imported);
+
+    const merged = { ...stored };
+    Object.entries(incoming).forEach(([platform, counters]) => {
+      merged[platform] = SafetyLimits.mergeCounters(stored[platform], counters);
+    });
+
+    await chrome.storage.local.set({ safetyCounters: SafetyLimits.writeCounters(merged) });
+  }
+
+  /**
+   * Before per-platform limits, safetyCounters was one set of counts shared by
+   * every platform: { hourlyComments, dailyComments, hourlyLikes, dailyLikes, lastHourReset, lastDayReset }
+   */
+  static isLegacyCounters(stored) {
+    return !!stored && Number.isFinite(stored.lastHourReset);
+  }
+
+  /**
+   * Turn old shared counts into a log - the hour's actions at the hour's
+   * reset, the rest of the day's at the day's reset
+   */
+  static fromLegacyCounters(legacy) {
+    const counters = SafetyLimits.emptyCounters();
+    counters.lastHourReset = legacy.lastHourReset;
+    counters.lastDayReset = legacy.lastDayReset || legacy.lastHourReset;
+
+    [['comment', 'Comments'], ['like', 'Likes']].forEach(([action, name]) => {
+      const hourly = legacy[`hourly${name}`] || 0;
+      const daily = Math.max(legacy[`daily${name}`] || 0, hourly);
+      counters.log[action] = [
+        ...Array(daily - hourly).fill(counters.lastDayReset),
+        ...Array(hourly).fill(counters.lastHourReset)
+      ];
+    });
+    return counters;
+  }
+
+  /**
+   * @param {string} platform - Whose limits and counters to use
+   */
+  constructor(platform = 'unknown') {
+    this.platform = platform;
+    this.limits = { ...SafetyLimits.DEFAULT_LIMITS };
+    this.windowMode = 'rolling';
+    this.counters = SafetyLimits.emptyCounters();
+    this.loadFromStorage();
+
+    // Another tab of the same platform used some quota
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes.safetyCounters) return;
+      const stored = SafetyLimits.readCounters(changes.safetyCounters.newValue)[this.platform];
+      if (stored) {
+        this.counters = SafetyLimits.mergeCounters(this.counters, stored);
+      }
+    });
+  }
+
+  /**
+   * (Re)load this platform's limits and counters - also called when the popup saves new limits
+   */
+  async loadFromStorage() {
+    try {
+      const [{ windowMode, ...limits }, data] = await Promise.all([
+        SafetyLimits.loadLimits(this.platform),
+        chrome.storage.local.get(['safetyCounters'])
+      ]);
+      this.limits = limits;
+      this.windowMode = SafetyLimits.WINDOWS.includes(windowMode) ? windowMode : 'rolling';
+
+      // Old shared counters seed whichever platform loads first
+      const stored = SafetyLimits.isLegacyCounters(data.safetyCounters)
+        ? SafetyLimits.fromLegacyCounters(data.safetyCounters)
+        : SafetyLimits.readCounters(data.safetyCounters)[this.platform];
+      if (stored) {
+        this.counters = SafetyLimits.mergeCounters(this.counters, stored);
+      }
+      this.checkResets();
+    } catch (e) {
+      console.error('Failed to load safety limits', e);
+    }
+  }
+
+  /**
+   * Restart fixed windows that have run out and drop log entries older than a day
+   */
+  checkResets() {
+    const now = Date.now();
+
+    Object.values(SafetyLimits.SPANS).forEach(({ length, reset }) => {
+      if (now - this.counters[reset] > length) {
+        this.counters[reset] = now;
+      }
+    });
+
+    const dayAgo = now - SafetyLimits.SPANS.day.length;
+    Object.keys(this.counters.log).forEach(action => {
+      this.counters.log[action] = this.counters.log[action].filter(timestamp => timestamp > dayAgo);
+    });
+  }
+
+  /**
+   * Start of the span's window: an hour/day ago, or the last reset when fixed
+   */
+  windowStart(span, now = Date.now()) {
+    const { length, reset } = SafetyLimits.SPANS[span];
+    return this.windowMode === 'fixed' ? this.counters[reset] : now - length;
+  }
+
+  inWindow(action, span, now = Date.now()) {
+    const since = this.windowStart(span, now);
+    return this.counters.log[action].filter(timestamp => timestamp >= since);
+  }
+
+  count(action, span) {
+    return this.inWindow(action, span).length;
+  }
+
+  /**
+   * When the next token of a span comes back (null if one is free or the limit is off)
+   */
+  spanFreesAt(action, span, now = Date.now()) {
+    const limit = this.limits[SafetyLimits.limitKey(action, span)];
+    const used = this.inWindow(action, span, now);
+    if (!limit || used.length < limit) return null;
+
+    const { length } = SafetyLimits.SPANS[span];
+    // Rolling: enough of the oldest actions have to age out to get under the limit
+    return this.windowMode === 'fixed'
+      ? this.windowStart(span, now) + length
+      : used[used.length - limit] + length;
+  }
+
+  /**
+   * @returns {number} ms until the action's minimum gap since the last one has passed
+   */
+  gapRemaining(action, now = Date.now()) {
+    const gap = (this.limits[SafetyLimits.gapKey(action)] || 0) * 1000;
+    const log = this.counters.log[action];
+    if (!gap || log.length === 0) return 0;
+    return Math.max(0, log[log.length - 1] + gap - now);
+  }
+
+  /**
+   * Tokens left in every span (ignores the minimum gap)
+   */
+  hasQuota(action) {
+    this.checkResets();
+    return Object.keys(SafetyLimits.SPANS).every(span => this.spanFreesAt(action, span) === null);
+  }
+
+  can(action) {
+    return this.hasQuota(action) && this.gapRemaining(action) === 0;
+  }
+
+  /**
+   * @returns {number|null} When the action is next allowed (now if it is), null if never within a day
+   */
+  nextAllowedAt(action) {
+    this.checkResets();
+    const now = Date.now();
+    const times = Object.keys(SafetyLimits.SPANS).map(span => this.spanFreesAt(action, span, now));
+    times.push(now + this.gapRemaining(action, now));
+    return Math.max(now, ...times.filter(time => time !== null));
+  }
+
+  /**
+   * Count the action here right away, and in storage through the background
+   */
+  async record(action) {
+    this.checkResets();
+    const timestamp = Date.now();
+    this.counters.log[action].push(timestamp);
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'recordSafetyAction',
+        platform: this.platform,
+        safetyAction: action,
+        timestamp
+      });
+      if (response && response.counters) {
+        this.counters = SafetyLimits.mergeCounters(this.counters, response.counters);
+      }
+    } catch (e) {
+      console.error('Failed to record safety action', e);
+    }
+  }
+
+  canComment() {
+    return this.can('comment');
+  }
+
+  canLike() {
+    return this.can('like');
+  }
+
+  canSeeMore() {
+    return this.can('seeMore');
+  }
+
+  canView() {
+    return this.can('view');
+  }
+
+  async recordComment() {
+    await this.record('comment');
+  }
+
+  async recordLike() {
+    await this.record('like');
+  }
+
+  async recordSeeMore() {
+    await this.record('seeMore');
+  }
+
+  async recordView() {
+    await this.record('view');
+  }
+
+  /**
+   * What's left of every limit, for the popup (sent with getStatus)
+   * @returns {Object} { windowMode, actions: { [action]: { nextAt, hour: {...}, day: {...} } } }
+   *   per span: { used, limit, remaining, resetsAt } - limit and remaining are null when
+   *   the limit is off; resetsAt is when the next token comes back (rolling) or the
+   *   window restarts (fixed), null if nothing is used. nextAt also waits out the minimum gap.
+   */
+  getQuota() {
+    this.checkResets();
+    const now = Date.now();
+
+    const actions = Object.fromEntries(Object.keys(SafetyLimits.ACTIONS).map(action => {
+      const quota = { nextAt: this.nextAllowedAt(action) };
+
+      Object.entries(SafetyLimits.SPANS).forEach(([span, { length }]) => {
+        const limit = this.limits[SafetyLimits.limitKey(action, span)] || null;
+        const used = this.inWindow(action, span, now);
+
+        let resetsAt = null;
+        if (used.length > 0) {
+          resetsAt = this.windowMode === 'fixed' ? this.windowStart(span, now) + length : used[0] + length;
+        }
+
+        quota[span] = { used: used.length, limit, remaining: limit ? Math.max(0, limit - used.length) : null, resetsAt };
+      });
+
+      return [action, quota];
+    }));
+
+    return { windowMode: this.windowMode, actions };
+  }
+};
@@ -0,0 +1,213 @@
+/**
+ * SelectorDiagnostics - Selector health checks against the live page
+ *
+ * Features:
+ * - Match counts for every selector from getPlatformSelectors()
+ * - Flags selectors that match nothing or suspiciously many elements
+ * - Runs the surfer's pipeline hooks on the first visible post
+ * - Highlights matched elements (green pass, orange warning, red failure)
+ * - Returns a structured pass/fail report for the popup
+ *
+ * Status rules:
+ * - Required selector with zero matches → fail
+ * - Optional selector with zero matches → warn (e.g. text areas only exist once a comment box is open)
+ * - More matches than the limit → warn (selector is probably too broad)
+ *
+ * Packs can tune limits per selector with "diagnostics": { "maxMatches": { "likeButton": 200 } }
+ */
+
+window.SelectorDiagnostics = class SelectorDiagnostics {
+  static get DEFAULT_MAX_MATCHES() {
+    return 150;
+  }
+
+  static get HIGHLIGHT_DURATION() {
+    return 5000;
+  }
+
+  static get STATUS_COLORS() {
+    return { pass: '#4CAF50', warn: '#FF9800', fail: '#f44336' };
+  }
+
+  /**
+   * Check a single selector against a root
+   * @param {string} key - Selector name from the pack
+   * @param {string|Object} selector - CSS string or text-match spec
+   * @param {Object} options
+   * @param {boolean} options.required - Zero matches is a failure
+   * @param {number} options.maxMatches - Above this is flagged as too broad
+   * @param {Document|HTMLElement} options.root - Root to query
+   * @returns {Object} Check { key, selector, count, status, message, elements }
+   */
+  static checkSelector(key, spec, { required = false, maxMatches = this.DEFAULT_MAX_MATCHES, root = document } = {}) {
+    const selector = this.describe(spec);
+    let elements;
+    try {
+      elements = DOMHelpers.queryAll(spec, root);
+    } catch (error) {
+      return { key, selector, count: null, status: 'fail', message: 'Invalid CSS selector', elements: [] };
+    }
+
+    const count = elements.length;
+    let status = 'pass';
+    let message = `${count} match${count === 1 ? '' : 'es'}`;
+
+    if (count === 0) {
+      status = required ? 'fail' : 'warn';
+      message = required ? 'Required selector matches nothing' : 'No matches on this page (optional)';
+    } else if (count > maxMatches) {
+      status = 'warn';
+      message = `${count} matches - more than ${maxMatches}, selector may be too broad`;
+    }
+
+    return { key, selector, count, status, message, elements };
+  }
+
+  /**
+   * Check a fallback list - passes if any entry matches
+   * @param {string} key - Selector name from the pack
+   * @param {Array<string|Object>} selectors - Fallback selectors in priority order
+   * @param {Object} options - Same as checkSelector()
+   * @returns {Object} Check for the first matching entry
+   */
+  static checkFallbacks(key, selectors, options = {}) {
+    const checks = selectors.map(selector => this.checkSelector(key, selector, { ...options, required: false }));
+    const matched = checks.find(check => check.count > 0);
+
+    if (matched) {
+      return { ...matched, message: `${matched.message} (fallback ${checks.indexOf(matched) + 1}/${checks.length})` };
+    }
+
+    return {
+      key,
+      selector: selectors.map(selector => this.describe(selector)).join(' | '),
+      count: 0,
+      status: options.required ? 'fail' : 'warn',
+      message: 'No fallback matches',
+      elements: []
+    };
+  }
+
+  /**
+   * @param {string|Object} spec - CSS string or text-match spec
+   * @returns {string} Readable form for the report
+   */
+  static describe(spec) {
+    return typeof spec === 'string' ? spec : JSON.stringify(spec);
+  }
+
+  /**
+   * Outline elements for a few seconds, restoring their original outline afterwards
+   * @param {Array<HTMLElement>} elements - Elements to highlight
+   * @param {string} status - pass | warn | fail
+   */
+  static highlight(elements, status) {
+    const color = this.STATUS_COLORS[status] || this.STATUS_COLORS.pass;
+
+    elements.forEach(element => {
+      const originalOutline = element.style.outline;
+      const originalOffset = element.style.outlineOffset;
+      element.style.outline = `3px solid ${color}`;
+      element.style.outlineOffset = '-3px';
+
+      setTimeout(() => {
+        element.style.outline = originalOutline;
+        element.style.outlineOffset = originalOffset;
+      }, this.HIGHLIGHT_DURATION);
+    });
+  }
+
+  /**
+   * Run the surfer's pipeline hooks against one post
+   * @param {BaseAutoSurfer} surfer - Active surfer
+   * @param {HTMLElement} post - Post to inspect
+   * @returns {Array<Object>} Hook checks
+   */
+  static checkPostHooks(surfer, post) {
+    const checks = [];
+    const hook = (key, run, { required = true } = {}) => {
+      try {
+        const result = run();
+        const found = Array.isArray(result) ? result.length > 0 : !!result;
+        const elements = Array.isArray(result) ? result : (result instanceof HTMLElement ? [result] : []);
+        checks.push({
+          key,
+          selector: `${key}()`,
+          count: Array.isArray(result) ? result.length : (found ? 1 : 0),
+          status: found ? 'pass' : (required ? 'fail' : 'warn'),
+          message: found ? 'Found in first visible post' : 'Not found in first visible post',
+          elements
+        });
+      } catch (error) {
+        checks.push({ key, selector: `${key}()`, count: null, status: 'fail', message: error.message, elements: [] });
+      }
+    };
+
+    hook('findLikeButton', () => surfer.findLikeButton(post));
+    hook('findCommentButton', () => surfer.findCommentButton(post));
+    hook('findSeeMoreButtonsInPost', () => surfer.findSeeMoreButtonsInPost(post), { required: false });
+
+    return checks;
+  }
+
+  /**
+   * Run all checks for a surfer
+   * @param {BaseAutoSurfer} surfer - Active surfer (selector pack already loaded)
+   * @param {Object} options
+   * @param {boolean} options.highlight - Outline matched elements on the page
+   * @returns {Object} Report { platform, passed, summary, checks, post }
+   */
+  static run(surfer, { highlight = true } = {}) {
+    const pack = surfer.selectorPack || {};
+    const required = pack.required || [];
+    const limits = (pack.diagnostics && pack.diagnostics.maxMatches) || {};
+    const checks = [];
+
+    Object.entries(surfer.getPlatformSelectors()).forEach(([key, value]) => {
+      const options = {
+        required: required.includes(key),
+        maxMatches: limits[key] || this.DEFAULT_MAX_MATCHES
+      };
+      checks.push(Array.isArray(value)
+        ? this.checkFallbacks(key, value, options)
+        : this.checkSelector(key, value, options));
+    });
+
+    // Pipeline hooks on the first visible post
+    const posts = surfer.findPosts();
+    const post = posts.find(p => DOMHelpers.isElementInViewport(p)) || posts[0] || null;
+    let postDetails = null;
+
+    if (post) {
+      checks.push(...this.checkPostHooks(surfer, post));
+      try {
+        postDetails = {
+          ...surfer.describePost(post),
+          shouldSkip: surfer.shouldSkipPost(post)
+        };
+      } catch (error) {
+        postDetails = { error: error.message };
+      }
+    }
+
+    if (highlight) {
+      checks.forEach(check => this.highlight(check.elements, check.status));
+    }
+
+    const summary = { pass: 0, warn: 0, fail: 0 };
+    checks.forEach(check => summary[check.status]++);
+
+    return {
+      platform: surfer.platform,
+      packVersion: pack.version || null,
+      packSource: surfer.selectorPackReport ? surfer.selectorPackReport.source : null,
+      url: window.location.href,
+      timestamp: Date.now(),
+      passed: summary.fail === 0,
+      summary,
+      // Elements can't be sent through chrome messaging
+      checks: checks.map(({ elements, ...check }) => check),
+      post: postDetails
+    };
+  }
+};
@@ -0,0 +1,312 @@
+/**
+ * SelectorPackLoader - Versioned, user-overridable selector packs
+ *
+ * Features:
+ * - Bundled JSON packs per platform (surfers/selector-packs/{platform}.json)
+ * - User overrides stored in chrome.storage.local (selectorPackOverrides)
+ * - Schema validation (pack shape + CSS selector syntax)
+ * - Live-page validation (match counts, required selectors present)
+ * - Falls back to the bundled pack when an override is invalid
+ *
+ * Pack format:
+ * {
+ *   "platform": "linkedin",
+ *   "version": 2,
+ *   "selectors": { "posts": "...", "likeButton": "...", "seeMore": { "css": "...", "text": {...} }, ... },
+ *   "required": ["posts", "likeButton"],
+ *   "submitButton": { "selectors": [...], "maxDepth": 6, "searchDocument": false }
+ * }
+ *
+ * Selector values are CSS strings, text-match specs (see DOMHelpers.queryAll)
+ * or arrays of either as ordered fallbacks.
+ *
+ * Overrides use the same format but only need the fields they change.
+ * "selectors" and "submitButton" are merged key by key over the bundled pack.
+ */
+
+window.SelectorPackLoader = class SelectorPackLoader {
+  static get storageKey() {
+    return 'selectorPackOverrides';
+  }
+
+  /**
+   * Fetch the pack that ships with the extension
+   * @param {string} platform - Platform name
+   * @returns {Promise<Object|null>} Bundled pack or null if missing
+   */
+  static async fetchBundled(platform) {
+    try {
+      const response = await fetch(chrome.runtime.getURL(`surfers/selector-packs/${platform}.json`));
+      if (!response.ok) return null;
+      return await response.json();
+    } catch (error) {
+      console.error(`[SelectorPacks] Failed to fetch bundled pack for ${platform}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} platform - Platform name
+   * @returns {Promise<Object|null>} User override or null
+   */
+  static async getOverride(platform) {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      const overrides = result[this.storageKey] || {};
+      return overrides[platform] || null;
+    } catch (error) {
+      console.error('[SelectorPacks] Failed to read overrides:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save (or clear with null) the user override for a platform
+   * @param {string} platform - Platform name
+   * @param {Object|null} override - Partial pack
+   */
+  static async saveOverride(platform, override) {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    const overrides = result[this.storageKey] || {};
+
+    if (override) {
+      overrides[platform] = override;
+    } else {
+      delete overrides[platform];
+    }
+
+    await chrome.storage.local.set({ [this.storageKey]: overrides });
+  }
+
+  /**
+   * Merge an override on top of a bundled pack
+   * @param {Object} bundled - Complete bundled pack
+   * @param {Object|null} override - Partial override pack
+   * @returns {Object} Merged pack
+   */
+  static merge(bundled, override) {
+    if (!override) return bundled;
+
+    return {
+      ...bundled,
+      ...override,
+      platform: bundled.platform,
+      version: bundled.version,
+      overrideVersion: override.version,
+      selectors: { ...bundled.selectors, ...(override.selectors || {}) },
+      submitButton: { ...(bundled.submitButton || {}), ...(override.submitButton || {}) }
+    };
+  }
+
+  /**
+   * Check a CSS selector parses with querySelectorAll
+   * @param {string} selector - CSS selector
+   * @returns {string|null} Error message or null if valid
+   */
+  static checkSyntax(selector) {
+    try {
+      document.createDocumentFragment().querySelectorAll(selector);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Check a selector value: CSS string or text-match spec
+   * @param {string|Object} spec - Selector value from a pack
+   * @returns {string|null} Error message or null if valid
+   */
+  static checkSpec(spec) {
+    if (typeof spec === 'string') {
+      if (!spec.trim()) return 'must be a non-empty string';
+      return this.checkSyntax(spec) ? `is not a valid CSS selector: ${spec}` : null;
+    }
+
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      return 'must be a CSS string or a text-match object';
+    }
+
+    if (spec.css !== undefined && (typeof spec.css !== 'string' || this.checkSyntax(spec.css))) {
+      return `has an invalid "css" selector: ${spec.css}`;
+    }
+
+    for (const flag of ['caseSensitive', 'deep']) {
+      if (spec[flag] !== undefined && typeof spec[flag] !== 'boolean') {
+        return `"${flag}" must be true or false`;
+      }
+    }
+
+    for (const field of ['text', 'ariaLabel']) {
+      const predicate = spec[field];
+      if (predicate === undefined) continue;
+
+      if (!predicate || typeof predicate !== 'object' || Array.isArray(predicate)) {
+        return `"${field}" must be an object with exact/contains/regex`;
+      }
+
+      for (const [kind, value] of Object.entries(predicate)) {
+        if (!['exact', 'contains', 'regex'].includes(kind)) {
+          return `"${field}.${kind}" is not a supported predicate (use exact, contains or regex)`;
+        }
+        const values = [].concat(value);
+        if (values.some(v => typeof v !== 'string')) {
+          return `"${field}.${kind}" must be a string or an array of strings`;
+        }
+        if (kind === 'regex') {
+          for (const pattern of values) {
+            try {
+              new RegExp(pattern);
+            } catch (error) {
+              return `"${field}.regex" has an invalid pattern: ${pattern}`;
+            }
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate pack shape and selector syntax (no page access needed)
+   * @param {Object} pack - Pack or partial override
+   * @param {Object} options
+   * @param {boolean} options.partial - Allow missing fields (overrides)
+   * @returns {Array<string>} Error messages (empty when valid)
+   */
+  static validateSchema(pack, { partial = false } = {}) {
+    const errors = [];
+
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      return ['Pack must be a JSON object'];
+    }
+
+    if (!partial && typeof pack.version !== 'number') {
+      errors.push('"version" must be a number');
+    }
+
+    if (pack.selectors !== undefined || !partial) {
+      if (!pack.selectors || typeof pack.selectors !== 'object' || Array.isArray(pack.selectors)) {
+        errors.push('"selectors" must be an object');
+      } else {
+        Object.entries(pack.selectors).forEach(([key, value]) => {
+          const list = Array.isArray(value) ? value : [value];
+          list.forEach(selector => {
+            const specError = this.checkSpec(selector);
+            if (specError) {
+              errors.push(`selectors.${key} ${specError}`);
+            }
+          });
+        });
+      }
+    }
+
+    if (pack.required !== undefined && !Array.isArray(pack.required)) {
+      errors.push('"required" must be an array of selector names');
+    }
+
+    if (pack.submitButton !== undefined) {
+      const rules = pack.submitButton;
+      if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        errors.push('"submitButton" must be an object');
+      } else {
+        if (rules.selectors !== undefined && !Array.isArray(rules.selectors)) {
+          errors.push('submitButton.selectors must be an array');
+        }
+        (rules.selectors || []).forEach(selector => {
+          if (this.checkSyntax(selector)) {
+            errors.push(`submitButton.selectors has an invalid CSS selector: ${selector}`);
+          }
+        });
+        if (rules.maxDepth !== undefined && typeof rules.maxDepth !== 'number') {
+          errors.push('submitButton.maxDepth must be a number');
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a merged pack against the current page
+   * Required selectors that match nothing are reported as warnings, since the
+   * feed may still be loading when the pack is checked.
+   *
+   * @param {Object} pack - Merged pack
+   * @param {Document|HTMLElement} root - Root to query
+   * @returns {Object} Report { valid, errors, warnings, matches }
+   */
+  static validateAgainstPage(pack, root = document) {
+    const errors = this.validateSchema(pack);
+    const warnings = [];
+    const matches = {};
+
+    Object.entries(pack.selectors || {}).forEach(([key, value]) => {
+      if (Array.isArray(value)) return;
+      try {
+        matches[key] = DOMHelpers.queryAll(value, root).length;
+      } catch (error) {
+        matches[key] = null;
+      }
+    });
+
+    (pack.required || []).forEach(key => {
+      if (!pack.selectors || !pack.selectors[key]) {
+        errors.push(`Required selector "${key}" is missing`);
+      } else if (matches[key] === 0) {
+        warnings.push(`Required selector "${key}" matches nothing on this page`);
+      }
+    });
+
+    return {
+      platform: pack.platform,
+      version: pack.version,
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      matches
+    };
+  }
+
+  /**
+   * Load the effective pack for a platform
+   * @param {string} platform - Platform name
+   * @returns {Promise<Object>} { pack, report, source }
+   */
+  static async load(platform) {
+    const bundled = await this.fetchBundled(platform);
+    if (!bundled) {
+      return {
+        pack: null,
+        source: 'none',
+        report: { platform, valid: false, errors: [`No selector pack for ${platform}`], warnings: [], matches: {} }
+      };
+    }
+
+    const override = await this.getOverride(platform);
+    if (override) {
+      const overrideErrors = this.validateSchema(override, { partial: true });
+      if (overrideErrors.length === 0) {
+        const pack = this.merge(bundled, override);
+        const report = this.validateAgainstPage(pack);
+
+        if (override.version !== undefined && override.version < bundled.version) {
+          report.warnings.push(`Override targets pack v${override.version}, bundled pack is v${bundled.version}`);
+        }
+
+        console.log(`[SelectorPacks] Loaded ${platform} pack v${bundled.version} with user override`, report);
+        return { pack, report: { ...report, source: 'override' }, source: 'override' };
+      }
+
+      console.warn(`[SelectorPacks] Ignoring invalid ${platform} override:`, overrideErrors);
+      const report = this.validateAgainstPage(bundled);
+      report.warnings.push(...overrideErrors.map(error => `Override ignored: ${error}`));
+      return { pack: bundled, report: { ...report, source: 'bundled' }, source: 'bundled' };
+    }
+
+    const report = this.validateAgainstPage(bundled);
+    console.log(`[SelectorPacks] Loaded ${platform} pack v${bundled.version}`, report);
+    return { pack: bundled, report: { ...report, source: 'bundled' }, source: 'bundled' };
+  }
+};
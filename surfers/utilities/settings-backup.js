@@ -0,0 +1,288 @@
+/**
+ * SettingsBackup - Versioned settings backup/restore and named settings profiles
+ *
+ * Backup file (everything the popup stores in chrome.storage.sync, plus the profiles):
+ * {
+ *   "format": "lajysocial-settings",
+ *   "version": 1,
+ *   "exportedAt": 1760000000000,
+ *   "settings": { surfSettings, platformSettings, platformComments, proModeSettings, theme, language,
+ *                 mode, schedules, customPresets, selectedPresets, safetyLimits, activeHours },
+ *   "profiles": [...]
+ * }
+ *
+ * Profile (one click to switch to, shareable as its own file):
+ * { "format": "lajysocial-profile", "version": 1, "id", "name", "savedAt",
+ *   "settings": { surfSettings, platformSettings, platformComments, proModeSettings, mode, safetyLimits,
+ *                 activeHours } }
+ * Theme and language are left out - they're how you like the popup, not how the surfer behaves.
+ *
+ * Profiles are kept in chrome.storage.local (settingsProfiles): comment
+ * templates make them too big for sync's per-item quota.
+ *
+ * Files are migrated to the current version on import. Files with no
+ * "format" field are treated as version 0: a raw chrome.storage.sync dump
+ * (e.g. copied from DevTools).
+ */
+
+window.SettingsBackup = class SettingsBackup {
+  static get FORMAT() {
+    return 'lajysocial-settings';
+  }
+
+  static get PROFILE_FORMAT() {
+    return 'lajysocial-profile';
+  }
+
+  static get VERSION() {
+    return 1;
+  }
+
+  static get KEYS() {
+    return [
+      'surfSettings', 'platformSettings', 'platformComments', 'proModeSettings', 'theme', 'language', 'mode',
+      'schedules', 'customPresets', 'selectedPresets', 'safetyLimits', 'activeHours'
+    ];
+  }
+
+  static get PROFILE_KEYS() {
+    return [
+      'surfSettings', 'platformSettings', 'platformComments', 'proModeSettings', 'mode', 'safetyLimits', 'activeHours'
+    ];
+  }
+
+  static get PROFILES_KEY() {
+    return 'settingsProfiles';
+  }
+
+  /**
+   * Upgrade steps, run in order from the file's version; each returns the
+   * file one version newer
+   */
+  static get MIGRATIONS() {
+    return [
+      // 0 → 1: raw storage dump, wrap it in the backup format
+      data => ({
+        format: data.format || SettingsBackup.FORMAT,
+        version: 1,
+        exportedAt: data.exportedAt || null,
+        settings: data.settings || Object.fromEntries(
+          SettingsBackup.KEYS.filter(key => key in data).map(key => [key, data[key]])
+        ),
+        profiles: data.profiles || []
+      })
+    ];
+  }
+
+  /**
+   * @param {Object} data - Parsed backup or profile file
+   * @returns {Object} The same file at the current version
+   * @throws {Error} If it comes from a newer version of the extension
+   */
+  static migrate(data) {
+    let version = Number.isInteger(data.version) && data.format ? data.version : 0;
+    if (version > this.VERSION) {
+      throw new Error(`File is from a newer version of the extension (v${version}), update first`);
+    }
+
+    let migrated = data;
+    while (version < this.VERSION) {
+      migrated = this.MIGRATIONS[version](migrated);
+      version++;
+    }
+    return migrated;
+  }
+
+  /**
+   * @param {Object} settings - The "settings" part of a backup or profile
+   * @returns {Array<string>} Problems found (empty = OK)
+   */
+  static validate(settings) {
+    const errors = [];
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(settings)) {
+      return ['no settings in file'];
+    }
+    if ('surfSettings' in settings && !isObject(settings.surfSettings)) {
+      errors.push('surfSettings must be an object');
+    }
+    if ('platformSettings' in settings &&
+        (!isObject(settings.platformSettings) || !Object.values(settings.platformSettings).every(isObject))) {
+      errors.push('platformSettings must map platforms to settings objects');
+    }
+    if ('safetyLimits' in settings &&
+        (!isObject(settings.safetyLimits) || !Object.values(settings.safetyLimits).every(isObject))) {
+      errors.push('safetyLimits must map platforms to limits');
+    }
+    if ('activeHours' in settings &&
+        (!isObject(settings.activeHours) || !Object.values(settings.activeHours).every(isObject))) {
+      errors.push('activeHours must map platforms to active hours');
+    }
+    if ('proModeSettings' in settings && !isObject(settings.proModeSettings)) {
+      errors.push('proModeSettings must be an object');
+    }
+    if ('platformComments' in settings) {
+      if (!isObject(settings.platformComments) ||
+          Object.values(settings.platformComments).some(list => !Array.isArray(list) || list.some(item => typeof item !== 'string'))) {
+        errors.push('platformComments must map platforms to lists of comments');
+      }
+    }
+    if ('theme' in settings && !['light', 'dark'].includes(settings.theme)) {
+      errors.push(`unknown theme "${settings.theme}"`);
+    }
+    if ('language' in settings && !['en', 'vi'].includes(settings.language)) {
+      errors.push(`unknown language "${settings.language}"`);
+    }
+    if ('mode' in settings && !['free', 'pro'].includes(settings.mode)) {
+      errors.push(`unknown mode "${settings.mode}"`);
+    }
+    if ('schedules' in settings && !Array.isArray(settings.schedules)) {
+      errors.push('schedules must be a list');
+    }
+
+    return errors;
+  }
+
+  static async createBackup() {
+    const [settings, profiles] = await Promise.all([
+      chrome.storage.sync.get(this.KEYS),
+      this.getProfiles()
+    ]);
+
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      exportedAt: Date.now(),
+      settings,
+      profiles
+    };
+  }
+
+  /**
+   * Replace the stored settings with a backup's; profiles are merged by id
+   * Schedules go through the background so their alarms are re-armed
+   * @returns {Promise<Object>} { success, errors }
+   */
+  static async restore(data) {
+    if (data.format && data.format !== this.FORMAT) {
+      return { success: false, errors: ['not a settings backup'] };
+    }
+
+    let backup;
+    try {
+      backup = this.migrate(data);
+    } catch (error) {
+      return { success: false, errors: [error.message] };
+    }
+
+    const errors = this.validate(backup.settings);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const { schedules, ...settings } = backup.settings;
+    await chrome.storage.sync.set(settings);
+
+    if (schedules) {
+      const response = await chrome.runtime.sendMessage({ action: 'saveSchedules', schedules });
+      if (response && !response.success) {
+        errors.push(...response.errors);
+      }
+    }
+
+    for (const profile of backup.profiles || []) {
+      await this.saveProfile(profile);
+    }
+
+    return { success: errors.length === 0, errors };
+  }
+
+  static newProfileId() {
+    return `profile-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  static async getProfiles() {
+    const result = await chrome.storage.local.get([this.PROFILES_KEY]);
+    return result[this.PROFILES_KEY] || [];
+  }
+
+  /**
+   * Snapshot the current settings under a name (replaces a profile with the same name)
+   */
+  static async saveCurrentAsProfile(name) {
+    const settings = await chrome.storage.sync.get(this.PROFILE_KEYS);
+    const existing = (await this.getProfiles()).find(profile => profile.name === name);
+
+    return this.saveProfile({
+      id: existing ? existing.id : this.newProfileId(),
+      name,
+      savedAt: Date.now(),
+      settings
+    });
+  }
+
+  /**
+   * Add or replace (by id) a profile
+   */
+  static async saveProfile(profile) {
+    const profiles = (await this.getProfiles()).filter(entry => entry.id !== profile.id);
+    const { format, version, ...stored } = profile;
+    profiles.push(stored);
+    await chrome.storage.local.set({ [this.PROFILES_KEY]: profiles });
+    return stored;
+  }
+
+  static async deleteProfile(id) {
+    const profiles = (await this.getProfiles()).filter(profile => profile.id !== id);
+    await chrome.storage.local.set({ [this.PROFILES_KEY]: profiles });
+  }
+
+  /**
+   * Make a profile's settings the current ones
+   * @returns {Promise<Object|null>} The profile, or null if it's gone
+   */
+  static async applyProfile(id) {
+    const profile = (await this.getProfiles()).find(entry => entry.id === id);
+    if (!profile) return null;
+
+    await chrome.storage.sync.set(profile.settings);
+    return profile;
+  }
+
+  static exportProfile(profile) {
+    return { format: this.PROFILE_FORMAT, version: this.VERSION, ...profile };
+  }
+
+  /**
+   * Add a shared profile file; a profile with the same id is replaced
+   * @returns {Promise<Object>} { success, errors, profile }
+   */
+  static async importProfile(data) {
+    if (data.format !== this.PROFILE_FORMAT) {
+      return { success: false, errors: ['not a settings profile'] };
+    }
+    if (data.version > this.VERSION) {
+      return { success: false, errors: [`File is from a newer version of the extension (v${data.version}), update first`] };
+    }
+    if (!data.name || typeof data.name !== 'string') {
+      return { success: false, errors: ['profile has no name'] };
+    }
+
+    const settings = Object.fromEntries(
+      this.PROFILE_KEYS.filter(key => data.settings && key in data.settings).map(key => [key, data.settings[key]])
+    );
+    const errors = this.validate(settings);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const profile = await this.saveProfile({
+      id: data.id || this.newProfileId(),
+      name: data.name,
+      savedAt: data.savedAt || Date.now(),
+      settings
+    });
+    return { success: true, errors: [], profile };
+  }
+};
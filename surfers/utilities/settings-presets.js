@@ -0,0 +1,133 @@
+/**
+ * SettingsPresets - One-click combos of the engagement sliders
+ *
+ * Built-in presets are the README's recommended profiles. Custom presets are
+ * saved per platform in chrome.storage.sync:
+ *   customPresets: { [platform]: [{ id, name, values }] }
+ *   selectedPresets: { [platform]: presetId } - last preset picked, to tell when the sliders drift from it
+ *
+ * A preset only sets the keys it lists (e.g. Beginner turns comments off and
+ * leaves their probability and delay alone), and only those keys are compared
+ * when checking whether the current settings still match it.
+ */
+
+window.SettingsPresets = class SettingsPresets {
+  /**
+   * Settings a preset may set - the scroll, like, comment and see-more sliders and toggles
+   */
+  static get KEYS() {
+    return [
+      'scrollSpeedMin', 'scrollSpeedMax',
+      'enableAutoLike', 'likeProbability', 'likeDelay',
+      'enableAutoComment', 'commentProbability', 'commentDelay',
+      'enableSeeMore', 'seeMoreDelay'
+    ];
+  }
+
+  static get BUILT_IN() {
+    return [
+      {
+        id: 'beginner',
+        name: 'Beginner',
+        builtIn: true,
+        values: {
+          scrollSpeedMin: 3000, scrollSpeedMax: 6000,
+          enableAutoLike: true, likeProbability: 50, likeDelay: 5000,
+          enableAutoComment: false,
+          enableSeeMore: true, seeMoreDelay: 2000
+        }
+      },
+      {
+        id: 'moderate',
+        name: 'Moderate',
+        builtIn: true,
+        values: {
+          scrollSpeedMin: 2000, scrollSpeedMax: 4000,
+          enableAutoLike: true, likeProbability: 70, likeDelay: 5000,
+          enableAutoComment: true, commentProbability: 20, commentDelay: 10000,
+          enableSeeMore: true, seeMoreDelay: 2000
+        }
+      },
+      {
+        id: 'aggressive',
+        name: 'Aggressive',
+        builtIn: true,
+        values: {
+          scrollSpeedMin: 2000, scrollSpeedMax: 3000,
+          enableAutoLike: true, likeProbability: 90, likeDelay: 3000,
+          enableAutoComment: true, commentProbability: 40, commentDelay: 8000,
+          enableSeeMore: true, seeMoreDelay: 1000
+        }
+      }
+    ];
+  }
+
+  /**
+   * Built-in presets followed by the platform's custom ones
+   */
+  static async list(platform) {
+    const result = await chrome.storage.sync.get(['customPresets']);
+    const custom = (result.customPresets || {})[platform] || [];
+    return [...this.BUILT_IN, ...custom];
+  }
+
+  /**
+   * Save the preset-able part of a settings object as a custom preset
+   * (a preset with the same name on the same platform is replaced)
+   */
+  static async saveCustom(platform, name, settings) {
+    const result = await chrome.storage.sync.get(['customPresets']);
+    const customPresets = result.customPresets || {};
+    const presets = customPresets[platform] || [];
+
+    const existing = presets.find(preset => preset.name === name);
+    const preset = {
+      id: existing ? existing.id : `custom-${Date.now().toString(36)}`,
+      name,
+      values: this.pick(settings)
+    };
+
+    customPresets[platform] = [...presets.filter(entry => entry.id !== preset.id), preset];
+    await chrome.storage.sync.set({ customPresets });
+    return preset;
+  }
+
+  static async deleteCustom(platform, id) {
+    const result = await chrome.storage.sync.get(['customPresets']);
+    const customPresets = result.customPresets || {};
+    customPresets[platform] = (customPresets[platform] || []).filter(preset => preset.id !== id);
+    await chrome.storage.sync.set({ customPresets });
+  }
+
+  static async getSelected(platform) {
+    const result = await chrome.storage.sync.get(['selectedPresets']);
+    return (result.selectedPresets || {})[platform] || null;
+  }
+
+  static async setSelected(platform, id) {
+    const result = await chrome.storage.sync.get(['selectedPresets']);
+    const selectedPresets = result.selectedPresets || {};
+    selectedPresets[platform] = id;
+    await chrome.storage.sync.set({ selectedPresets });
+  }
+
+  static pick(settings) {
+    return Object.fromEntries(this.KEYS.filter(key => key in settings).map(key => [key, settings[key]]));
+  }
+
+  /**
+   * @returns {Array<Object>} [{ key, preset, current }] for every key the preset sets that differs
+   */
+  static diff(preset, settings) {
+    return Object.entries(preset.values)
+      .filter(([key, value]) => settings[key] !== value)
+      .map(([key, value]) => ({ key, preset: value, current: settings[key] }));
+  }
+
+  /**
+   * First preset the settings fully match, or null
+   */
+  static findMatch(presets, settings) {
+    return presets.find(preset => this.diff(preset, settings).length === 0) || null;
+  }
+};
@@ -5,20 +5,49 @@
  * - Users provide their own templates for authentic voice
  * - Placeholders add dynamic variety and personalization
  *
- * Supported Placeholders:
- * - {author_first}: First name of post author
- * - {comma}: Random comma (50% chance) for natural variation
+ * Template language:
+ * - Variables: {author_first}, {author}, {author_handle}, {platform}, {day_part}
+ *   (morning/afternoon/evening/night), {hashtag} (first one in the post),
+ *   {topic} (the post's most used keyword), {comma} (a comma half the time)
+ * - Filters after a colon, chained left to right: {topic:capitalize}, {author:upper},
+ *   {author:lower}, {topic:truncate(12)}
+ * - Spintax, one option picked at random: {great|nice|solid} (options may hold
+ *   variables and be empty: {Thanks|Cheers}{!|})
+ * - Conditional sections in [square brackets], dropped when a variable inside
+ *   is empty: "Thanks[, {author_first}]!" → "Thanks, John!" or "Thanks!"
+ *   Brackets without a variable inside are plain text.
+ * A variable left empty outside a section takes its stray comma or space with it.
  *
  * Example Templates:
  * - "Appreciate the insights" → "Appreciate the insights"
  * - "{author_first}, this is valuable" → "John, this is valuable"
  * - "Thanks for sharing{comma} {author_first}" → "Thanks for sharing John" OR "Thanks for sharing, John"
+ * - "{Great|Solid} point on {topic}[ {hashtag}]" → "Solid point on remote #remotework"
+ *
+ * Weights: a trailing " *N" makes a template N times as likely ("Well said! *3").
+ * A template that really ends in "*N" escapes it: "Rated it 5 \*5" (weight 1),
+ * "Rated it 5 \*5 *2" (weight 2). validateTemplate() flags "*N" endings that
+ * could be read either way.
+ *
+ * Rotation: setRecent() with the platform's no-repeat window of comments
+ * (CommentRotation.window) keeps the next comment away from them - templates
+ * used in the window are skipped (unless there aren't enough others), and a
+ * comment too similar to one of them is drawn again. lastTemplate tells which template the last comment came from.
+ *
+ * validateTemplate() lists what's wrong with a template; the popup refuses to
+ * save templates with errors.
+ *
+ * Pro mode personas: setPersona() with a PersonaEngine bundle makes
+ * generateComment() write in that persona's voice instead of from the templates.
  */
 
 window.TemplateGenerator = class TemplateGenerator {
   constructor() {
     this.templates = [];
     this.platform = 'facebook'; // Default platform
+    this.persona = null; // PersonaEngine bundle, null = plain templates
+    this.recent = []; // CommentRotation entries { template, comment }, oldest first
+    this.lastTemplate = null; // Template (weight left out) behind the last comment, null for personas
     this.defaultTemplates = {
       facebook: [
         "Great insight!",
@@ -103,6 +132,37 @@ window.TemplateGenerator = class TemplateGenerator {
     }
   }
 
+  /**
+   * Write in a persona's voice (Pro mode)
+   * @param {Object|null} bundle - PersonaEngine bundle, null = back to the templates
+   */
+  setPersona(bundle) {
+    this.persona = bundle || null;
+  }
+
+  /**
+   * Keep new comments apart from these
+   * @param {Array<Object>} recent - CommentRotation entries { template, comment } in the no-repeat window
+   */
+  setRecent(recent) {
+    this.recent = Array.isArray(recent) ? recent : [];
+  }
+
+  /**
+   * "Well said! *3" → { template: 'Well said!', weight: 3 }
+   * "Rated it 5 \*5" → { template: 'Rated it 5 *5', weight: 1 }
+   * @param {string} line - Template as the user wrote it
+   * @returns {Object} { template, weight } - weight 1 without a suffix
+   */
+  static parseWeight(line) {
+    const match = /^(.*\S)\s+\*(\d+)$/.exec(line.trim());
+    const template = match ? match[1] : line.trim();
+    return {
+      template: template.replace(/\\\*(\d+)$/, '*$1'),
+      weight: match ? parseInt(match[2]) : 1
+    };
+  }
+
   /**
    * Get current templates (user or default for platform)
    * @returns {Array<string>}
@@ -118,37 +178,277 @@ window.TemplateGenerator = class TemplateGenerator {
    * Generate a comment from templates with placeholder substitution
    * @param {Object} context - Context for placeholder replacement
    * @param {string} context.authorName - Full name of post author
+   * @param {string} context.authorHandle - @handle / u/name, where the platform has one
+   * @param {string} context.platform - Defaults to the generator's platform
+   * @param {string} context.postText - Source of {hashtag} and {topic}
    * @returns {string} Generated comment
    */
   generateComment(context = {}) {
-    const templates = this.getTemplates();
-    const template = templates[Math.floor(Math.random() * templates.length)];
+    if (this.persona) {
+      this.lastTemplate = null;
+      return this.drawDistinct(() => window.PersonaEngine.compose(this.persona, phrase => this.processTemplate(phrase, context)));
+    }
 
-    return this.processTemplate(template, context);
+    // Templates in the no-repeat window sit out - as many as can while leaving one to pick
+    const entries = this.getTemplates().map(TemplateGenerator.parseWeight);
+    const distinct = new Set(entries.map(entry => entry.template)).size;
+    const recentTemplates = this.recent.map(entry => entry.template).filter(Boolean);
+    const windowSize = Math.min(recentTemplates.length, distinct - 1);
+    const blocked = new Set(windowSize > 0 ? recentTemplates.slice(-windowSize) : []);
+    const pool = entries.filter(entry => !blocked.has(entry.template));
+
+    return this.drawDistinct(() => {
+      const entry = this.pickWeighted(pool.length > 0 ? pool : entries);
+      this.lastTemplate = entry.template;
+      return this.processTemplate(entry.template, context);
+    });
   }
 
   /**
-   * Process template placeholders
-   * @param {string} template - Template string with placeholders
-   * @param {Object} context - Context for replacement
-   * @returns {string} Processed comment
+   * @param {Array<Object>} entries - { template, weight }
    */
-  processTemplate(template, context = {}) {
-    let result = template;
+  pickWeighted(entries) {
+    const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    let roll = Math.random() * total;
+    for (const entry of entries) {
+      roll -= entry.weight;
+      if (roll < 0) return entry;
+    }
+    return entries[entries.length - 1];
+  }
+
+  /**
+   * A few draws to get a comment that isn't a near-copy of a recent one;
+   * the least similar draw otherwise
+   * @param {Function} draw - () → comment (sets lastTemplate for templates)
+   */
+  drawDistinct(draw) {
+    if (this.recent.length === 0) return draw();
 
-    // {author_first} - Extract first name
-    if (result.includes('{author_first}')) {
-      const authorFirst = this.extractFirstName(context.authorName || '');
-      result = result.replace(/{author_first}/g, authorFirst);
+    let best = null;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const comment = draw();
+      const similarity = CommentRotation.maxSimilarity(comment, this.recent);
+      if (!best || similarity < best.similarity) {
+        best = { comment, similarity, template: this.lastTemplate };
+      }
+      if (similarity < CommentRotation.SIMILARITY_THRESHOLD) break;
     }
+    this.lastTemplate = best.template;
+    return best.comment;
+  }
+
+  static get VARIABLES() {
+    return ['author_first', 'author', 'author_handle', 'platform', 'day_part', 'hashtag', 'topic', 'comma'];
+  }
 
-    // {comma} - Optional comma (50% chance)
-    if (result.includes('{comma}')) {
-      const comma = Math.random() > 0.5 ? ',' : '';
-      result = result.replace(/{comma}/g, comma);
+  static get FILTERS() {
+    return {
+      capitalize: value => value.charAt(0).toUpperCase() + value.slice(1),
+      upper: value => value.toUpperCase(),
+      lower: value => value.toLowerCase(),
+      // Cut at a word boundary when there is one
+      truncate: (value, length) => {
+        if (value.length <= length) return value;
+        const cut = value.slice(0, length);
+        const lastSpace = cut.lastIndexOf(' ');
+        return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+      }
+    };
+  }
+
+  /**
+   * Words too common to be a post's topic
+   */
+  static get STOP_WORDS() {
+    return new Set([
+      'about', 'after', 'again', 'also', 'been', 'before', 'being', 'could', 'does', 'doing', 'every',
+      'from', 'have', 'here', 'just', 'know', 'like', 'made', 'make', 'many', 'more', 'most', 'much',
+      'only', 'other', 'over', 'really', 'same', 'should', 'some', 'such', 'than', 'that', 'their',
+      'them', 'then', 'there', 'these', 'they', 'thing', 'things', 'this', 'those', 'through', 'very',
+      'want', 'were', 'what', 'when', 'where', 'which', 'while', 'will', 'with', 'would', 'your', 'yours'
+    ]);
+  }
+
+  /**
+   * {name} or {name:filter:filter(arg)} - anything else in braces is spintax or an error
+   */
+  static get VARIABLE_PATTERN() {
+    return /\{([a-z_]+)((?::[a-z]+(?:\(\d+\))?)*)\}/g;
+  }
+
+  /**
+   * @param {string} line - Template, with its weight suffix if it has one
+   * @returns {Array<string>} Problems found (empty = OK)
+   */
+  static validateTemplate(line) {
+    const errors = [];
+    const { template, weight } = TemplateGenerator.parseWeight(line);
+    if (weight < 1) {
+      errors.push('a weight must be 1 or more, e.g. *2');
+    }
+
+    // "*N" endings that don't clearly say weight or text
+    const weightless = line.trim().replace(/\s+\*\d+$/, '');
+    const unspaced = /[^\s\\](\*\d+)$/.exec(line.trim());
+    if (unspaced) {
+      errors.push(`"${unspaced[1]}" at the end has no space before it - write " ${unspaced[1]}" for a weight or "\\${unspaced[1]}" to keep it as text`);
+    } else if (weightless !== line.trim() && /\s\*\d+$/.test(weightless)) {
+      errors.push('ends in two weights - write "\\*N" for the one that is text');
+    }
+
+    let braces = 0;
+    let brackets = 0;
+    for (const char of template) {
+      if (char === '{') braces++;
+      if (char === '}') braces--;
+      if (char === '[') brackets++;
+      if (char === ']') brackets--;
+      if (braces < 0) {
+        errors.push('"}" without a matching "{"');
+        braces = 0;
+      }
+      if (brackets < 0) {
+        errors.push('"]" without a matching "["');
+        brackets = 0;
+      }
+      if (brackets > 1) {
+        errors.push('sections in [brackets] can\'t be nested');
+      }
     }
+    if (braces > 0) errors.push('"{" is never closed');
+    if (brackets > 0) errors.push('"[" is never closed');
+    if (errors.length > 0) return [...new Set(errors)];
+
+    // Every innermost {...} without "|" must be a known variable with known filters
+    let rest = template;
+    let previous;
+    do {
+      previous = rest;
+      rest = rest.replace(/\{([^{}]*)\}/g, (match, inner) => {
+        if (inner.includes('|')) return 'x';
+
+        const [name, ...filters] = inner.split(':');
+        if (!TemplateGenerator.VARIABLES.includes(name)) {
+          errors.push(`unknown variable {${name}}`);
+        }
+        filters.forEach(filter => {
+          const [, filterName, argument] = filter.match(/^([a-z]+)(?:\((\d+)\))?$/) || [null, filter, null];
+          if (!(filterName in TemplateGenerator.FILTERS)) {
+            errors.push(`unknown filter "${filterName}" in {${inner}}`);
+          } else if (filterName === 'truncate' && !(parseInt(argument) > 0)) {
+            errors.push(`truncate needs a length, e.g. {${name}:truncate(20)}`);
+          }
+        });
+        return 'x';
+      });
+    } while (rest !== previous);
+
+    return [...new Set(errors)];
+  }
+
+  /**
+   * Values for every variable; missing context leaves them empty
+   * @param {Object} context - { authorName, authorHandle, platform, postText, now }
+   */
+  buildVariables(context = {}) {
+    const postText = context.postText || '';
+    const hashtag = (postText.match(/#[\p{L}\p{N}_]+/u) || [''])[0];
+
+    return {
+      author_first: this.extractFirstName(context.authorName || ''),
+      author: (context.authorName || '').trim(),
+      author_handle: (context.authorHandle || '').trim(),
+      platform: TemplateGenerator.PLATFORM_NAMES[context.platform || this.platform] || '',
+      day_part: this.getDayPart(context.now ? new Date(context.now) : new Date()),
+      hashtag,
+      topic: this.extractTopic(postText),
+      comma: Math.random() > 0.5 ? ',' : ''
+    };
+  }
+
+  static get PLATFORM_NAMES() {
+    return { facebook: 'Facebook', linkedin: 'LinkedIn', twitter: 'X', instagram: 'Instagram', reddit: 'Reddit' };
+  }
+
+  getDayPart(date) {
+    const hour = date.getHours();
+    if (hour >= 5 && hour < 12) return 'morning';
+    if (hour >= 12 && hour < 17) return 'afternoon';
+    if (hour >= 17 && hour < 22) return 'evening';
+    return 'night';
+  }
+
+  /**
+   * Most used word of 4+ letters that isn't a stop word, a link, a mention or a hashtag
+   */
+  extractTopic(text) {
+    const counts = new Map();
+    text
+      .replace(/https?:\/\/\S+|[@#][\p{L}\p{N}_]+/gu, ' ')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}'-]+/u)
+      .map(word => word.replace(/^['-]+|['-]+$/g, ''))
+      .filter(word => word.length >= 4 && !/^\d+$/.test(word) && !TemplateGenerator.STOP_WORDS.has(word))
+      .forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+
+    let topic = '';
+    counts.forEach((count, word) => {
+      if (!topic || count > counts.get(topic)) topic = word;
+    });
+    return topic;
+  }
+
+  /**
+   * Process template placeholders, spintax and conditional sections
+   * @param {string} template - Template string (see the language at the top of the file)
+   * @param {Object} context - { authorName, authorHandle, platform, postText, now }
+   * @returns {string} Processed comment
+   */
+  processTemplate(template, context = {}) {
+    const variables = this.buildVariables(context);
+    // Post text ends up in values - keep it from reading as template syntax
+    const valueOf = (name, filters) => {
+      let value = String(variables[name] || '').replace(/[{}[\]|]/g, '');
+      filters.split(':').filter(Boolean).forEach(filter => {
+        const [, filterName, argument] = filter.match(/^([a-z]+)(?:\((\d+)\))?$/) || [];
+        const apply = TemplateGenerator.FILTERS[filterName];
+        if (apply && value) value = apply(value, parseInt(argument) || 0);
+      });
+      return value;
+    };
+
+    // 1. Sections: dropped when a variable in them is empty ({comma} doesn't count)
+    let result = template.replace(/\[([^\[\]]*)\]/g, (match, inner) => {
+      const names = [...inner.matchAll(TemplateGenerator.VARIABLE_PATTERN)]
+        .map(([, name]) => name)
+        .filter(name => TemplateGenerator.VARIABLES.includes(name));
+      if (names.length === 0) return match;
+      return names.some(name => name !== 'comma' && !variables[name]) ? '' : inner;
+    });
+
+    // 2. Variables
+    result = result.replace(TemplateGenerator.VARIABLE_PATTERN, (match, name, filters) => (
+      TemplateGenerator.VARIABLES.includes(name) ? valueOf(name, filters) : match
+    ));
+
+    // 3. Spintax, innermost first
+    let previous;
+    do {
+      previous = result;
+      result = result.replace(/\{([^{}]*\|[^{}]*)\}/g, (match, inner) => {
+        const options = inner.split('|');
+        return options[Math.floor(Math.random() * options.length)];
+      });
+    } while (result !== previous);
 
-    return result;
+    // 4. Tidy up after empty values: "Thanks, !" → "Thanks!", ", this" → "this",
+    //    and keep the capital when the template's opening section was dropped
+    return result
+      .replace(/[ \t]{2,}/g, ' ')
+      .replace(/[,\s]+([,.!?…])/g, '$1')
+      .replace(/^[,\s]+|[,\s]+$/g, '')
+      .replace(/^\p{Ll}/u, letter => (/^\p{Lu}/u.test(template.replace(/^[^\p{L}]*/u, '')) ? letter.toUpperCase() : letter));
   }
 
   /**
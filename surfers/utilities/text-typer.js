@@ -5,7 +5,7 @@
  * - Character-by-character typing
  * - Random delays between keystrokes (50-150ms)
  * - Random pauses (10% chance for 200-700ms pause)
- * - Handles both contenteditable and textarea elements
+ * - Handles both contenteditable and textarea elements (including React-controlled ones)
  * - Dispatches proper input/change events
  */
 
@@ -72,10 +72,15 @@ window.TextTyper = class TextTyper {
 
     } else {
 
-      textArea.value = '';
+      // React-controlled inputs (Instagram) ignore plain .value assignments,
+      // so go through the native setter to make them see the change
+      const prototype = textArea.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+      const setValue = Object.getOwnPropertyDescriptor(prototype, 'value').set;
+
+      setValue.call(textArea, '');
 
       for (let i = 0; i < text.length; i++) {
-        textArea.value += text[i];
+        setValue.call(textArea, textArea.value + text[i]);
         textArea.dispatchEvent(new Event('input', { bubbles: true }));
 
         await this.sleep(Math.random() * 100 + 50);